@@ -0,0 +1,44 @@
+/**
+ * Migration to store structured recurrence rules for event templates
+ * so occurrences can be generated automatically instead of one at a time.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('event_recurrence_rules', function (table) {
+        table.increments('recurrence_rule_id').primary(); // PK
+        table.integer('event_template_id').unsigned().notNullable().unique()
+            .references('event_template_id').inTable('event_templates')
+            .onDelete('CASCADE'); // FK - One rule per template. If template is deleted, delete the rule.
+        table.string('recurrence_frequency').notNullable(); // 'weekly' or 'monthly'
+        table.integer('recurrence_interval').notNullable().defaultTo(1); // Every N weeks / months
+        table.string('recurrence_weekdays'); // Comma-separated day numbers (0 = Sunday), weekly rules only
+        table.date('recurrence_start_date').notNullable();
+        table.date('recurrence_end_date').notNullable();
+        table.time('recurrence_start_time').notNullable();
+        table.time('recurrence_end_time').notNullable();
+        table.string('recurrence_location');
+        table.integer('recurrence_capacity');
+        table.integer('recurrence_deadline_days'); // Registration closes this many days before each start
+        table.text('recurrence_skip_dates'); // Comma-separated YYYY-MM-DD dates to leave out (holidays, etc.)
+        table.timestamps(true, true);
+    })
+    .alterTable('event_occurrences', function (table) {
+        // Lets us tell generated occurrences apart from ones an admin created by hand
+        table.boolean('event_generated_from_rule').notNullable().defaultTo(false);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('event_occurrences', function (table) {
+        table.dropColumn('event_generated_from_rule');
+    })
+    .dropTableIfExists('event_recurrence_rules');
+};
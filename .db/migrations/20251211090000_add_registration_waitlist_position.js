@@ -0,0 +1,25 @@
+/**
+ * Migration to support waitlists on full event occurrences.
+ * Waitlisted people get a registration row with registration_status = 'waitlisted'
+ * and a position that decides who gets promoted first.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('registration', function (table) {
+        table.integer('registration_waitlist_position'); // 1 = next in line. NULL when not waitlisted.
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('registration', function (table) {
+        table.dropColumn('registration_waitlist_position');
+    });
+};
@@ -0,0 +1,49 @@
+/**
+ * Migration to give registration_status a fixed set of values:
+ * registered, waitlisted, cancelled, attended, no-show.
+ *
+ * Older rows used NULL for "registered" and 'Cancelled' (capitalized) for cancellations,
+ * so those are cleaned up first, then a CHECK constraint keeps stray values out.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    // NULL used to mean "registered"
+    await knex('registration')
+        .whereNull('registration_status')
+        .update({ registration_status: 'registered' });
+
+    // Normalize casing/spacing ('Cancelled' -> 'cancelled', 'No Show' -> 'no-show')
+    await knex.raw(`
+        UPDATE registration
+        SET registration_status = replace(lower(trim(registration_status)), ' ', '-')
+    `);
+
+    // Anything we still don't recognize falls back to registered
+    await knex('registration')
+        .whereNotIn('registration_status', ['registered', 'waitlisted', 'cancelled', 'attended', 'no-show'])
+        .update({ registration_status: 'registered' });
+
+    await knex.schema.alterTable('registration', function (table) {
+        table.string('registration_status').notNullable().defaultTo('registered').alter();
+    });
+
+    await knex.raw(`
+        ALTER TABLE registration
+        ADD CONSTRAINT registration_status_check
+        CHECK (registration_status IN ('registered', 'waitlisted', 'cancelled', 'attended', 'no-show'))
+    `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.raw('ALTER TABLE registration DROP CONSTRAINT IF EXISTS registration_status_check');
+
+    await knex.schema.alterTable('registration', function (table) {
+        table.string('registration_status').nullable().alter();
+    });
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration to back up the registration/donation concurrency fixes at the database level:
+ * 1. A person can only have one active (non-cancelled) registration per event occurrence.
+ * 2. The donations sequence is moved past any IDs the old "max + 1" code handed out by hand,
+ *    so the database can assign donation IDs from now on.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    // If duplicates slipped in before, keep the earliest one and cancel the rest
+    await knex.raw(`
+        UPDATE registration r
+        SET registration_status = 'cancelled', registration_waitlist_position = NULL
+        WHERE r.registration_status <> 'cancelled'
+          AND EXISTS (
+              SELECT 1 FROM registration earlier
+              WHERE earlier.user_id = r.user_id
+                AND earlier.event_occurrence_id = r.event_occurrence_id
+                AND earlier.registration_status <> 'cancelled'
+                AND earlier.registration_id < r.registration_id
+          )
+    `);
+
+    // Partial unique index - cancelled rows are history, so they're left out
+    await knex.raw(`
+        CREATE UNIQUE INDEX registration_active_user_occurrence_unique
+        ON registration (user_id, event_occurrence_id)
+        WHERE registration_status <> 'cancelled'
+    `);
+
+    await knex.raw(`
+        SELECT setval('donations_donation_id_seq', COALESCE((SELECT MAX(donation_id) FROM donations), 0) + 1, false)
+    `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+    // The sequence change is safe to leave as-is
+    return knex.raw('DROP INDEX IF EXISTS registration_active_user_occurrence_unique');
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration to give each user a private calendar feed URL.
+ * The token is the only thing protecting the feed (calendar apps can't log in),
+ * so it's random, unique, and can be reset if the link gets shared.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('users', function (table) {
+        table.string('user_calendar_token', 64).unique(); // NULL until the user first looks at their feed link
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('users', function (table) {
+        table.dropColumn('user_calendar_token');
+    });
+};
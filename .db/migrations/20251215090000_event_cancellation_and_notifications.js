@@ -0,0 +1,83 @@
+/**
+ * Migration for cancelling and rescheduling event occurrences without deleting them:
+ * 1. event_occurrences gets a status ('scheduled' or 'cancelled') plus when/why it was cancelled.
+ * 2. registration remembers why it was cancelled, so "the event was cancelled" can be told
+ *    apart from "the participant cancelled".
+ * 3. event_occurrence_changes keeps a history of every cancellation and reschedule (with the reason).
+ * 4. notifications is an outbox of messages for participants. Rows start out 'pending'
+ *    and are shown on the participant's registrations page; an email sender can pick them up later.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('event_occurrences', function (table) {
+        table.string('event_status', 20).notNullable().defaultTo('scheduled');
+        table.timestamp('event_cancelled_at', { useTz: true });
+        table.text('event_cancellation_reason');
+    });
+
+    await knex.raw(`
+        ALTER TABLE event_occurrences
+        ADD CONSTRAINT event_occurrences_status_check
+        CHECK (event_status IN ('scheduled', 'cancelled'))
+    `);
+
+    await knex.schema.alterTable('registration', function (table) {
+        table.string('registration_cancelled_reason', 50); // e.g. 'event-cancelled'; NULL if the participant cancelled
+    });
+
+    await knex.schema.createTable('event_occurrence_changes', function (table) {
+        table.increments('event_change_id').primary();
+        table.integer('event_occurrence_id').notNullable()
+            .references('event_occurrence_id').inTable('event_occurrences').onDelete('CASCADE');
+        table.string('event_change_type', 20).notNullable(); // 'cancelled' or 'rescheduled'
+        table.text('event_change_reason');
+        table.timestamp('event_previous_start', { useTz: true });
+        table.timestamp('event_previous_end', { useTz: true });
+        table.timestamp('event_new_start', { useTz: true });
+        table.timestamp('event_new_end', { useTz: true });
+        table.integer('changed_by_user_id')
+            .references('user_id').inTable('users').onDelete('SET NULL');
+        table.timestamps(true, true);
+
+        table.index(['event_occurrence_id']);
+    });
+
+    await knex.schema.createTable('notifications', function (table) {
+        table.increments('notification_id').primary();
+        table.integer('user_id').notNullable()
+            .references('user_id').inTable('users').onDelete('CASCADE');
+        table.integer('event_occurrence_id')
+            .references('event_occurrence_id').inTable('event_occurrences').onDelete('SET NULL');
+        table.string('notification_type', 50).notNullable(); // e.g. 'event-cancelled', 'event-rescheduled'
+        table.string('notification_subject', 200).notNullable();
+        table.text('notification_body').notNullable();
+        table.string('notification_status', 20).notNullable().defaultTo('pending'); // 'pending' or 'sent'
+        table.timestamp('notification_sent_at', { useTz: true });
+        table.timestamps(true, true);
+
+        table.index(['user_id']);
+        table.index(['notification_status']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('notifications');
+    await knex.schema.dropTableIfExists('event_occurrence_changes');
+
+    await knex.schema.alterTable('registration', function (table) {
+        table.dropColumn('registration_cancelled_reason');
+    });
+
+    await knex.raw('ALTER TABLE event_occurrences DROP CONSTRAINT IF EXISTS event_occurrences_status_check');
+    await knex.schema.alterTable('event_occurrences', function (table) {
+        table.dropColumn('event_status');
+        table.dropColumn('event_cancelled_at');
+        table.dropColumn('event_cancellation_reason');
+    });
+};
@@ -0,0 +1,88 @@
+/**
+ * Migration to turn event locations into venue records.
+ * 1. Creates the venues table (name, address, room, max capacity, accessibility notes, partner organization).
+ * 2. Adds venue_id to event_occurrences and event_recurrence_rules.
+ * 3. Makes one venue per distinct location string (ignoring case and extra spaces) and points
+ *    the existing occurrences/rules at it.
+ *
+ * event_location / recurrence_location stay as the display label (kept in sync with the venue
+ * by the app), so search, calendar feeds and exports keep working unchanged.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('venues', function (table) {
+        table.increments('venue_id').primary(); // PK
+        table.string('venue_name', 150).notNullable();
+        table.string('venue_address', 255);
+        table.string('venue_room', 100);
+        table.integer('venue_max_capacity'); // NULL = no limit (e.g. online)
+        table.text('venue_accessibility_notes');
+        table.string('venue_partner_organization', 150);
+        table.timestamps(true, true);
+    });
+
+    // The same name + room can't be added twice
+    await knex.raw(`
+        CREATE UNIQUE INDEX venues_name_room_unique
+        ON venues (LOWER(venue_name), LOWER(COALESCE(venue_room, '')))
+    `);
+
+    await knex.schema.alterTable('event_occurrences', function (table) {
+        // RESTRICT: a venue with events can't be deleted out from under them
+        table.integer('venue_id').references('venue_id').inTable('venues').onDelete('RESTRICT');
+        table.index(['venue_id']);
+    });
+
+    await knex.schema.alterTable('event_recurrence_rules', function (table) {
+        table.integer('venue_id').references('venue_id').inTable('venues').onDelete('SET NULL');
+    });
+
+    // One venue per location string - the most common spelling wins as the venue name
+    await knex.raw(`
+        INSERT INTO venues (venue_name)
+        SELECT DISTINCT ON (LOWER(TRIM(location))) TRIM(location)
+        FROM (
+            SELECT event_location AS location, COUNT(*) AS uses
+            FROM event_occurrences
+            WHERE TRIM(COALESCE(event_location, '')) <> ''
+            GROUP BY event_location
+            UNION ALL
+            SELECT recurrence_location, COUNT(*)
+            FROM event_recurrence_rules
+            WHERE TRIM(COALESCE(recurrence_location, '')) <> ''
+            GROUP BY recurrence_location
+        ) locations
+        ORDER BY LOWER(TRIM(location)), uses DESC
+    `);
+
+    await knex.raw(`
+        UPDATE event_occurrences o
+        SET venue_id = v.venue_id, event_location = v.venue_name
+        FROM venues v
+        WHERE LOWER(TRIM(o.event_location)) = LOWER(v.venue_name)
+    `);
+
+    await knex.raw(`
+        UPDATE event_recurrence_rules r
+        SET venue_id = v.venue_id, recurrence_location = v.venue_name
+        FROM venues v
+        WHERE LOWER(TRIM(r.recurrence_location)) = LOWER(v.venue_name)
+    `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    // event_location still holds the label, so nothing is lost going back
+    await knex.schema.alterTable('event_recurrence_rules', function (table) {
+        table.dropColumn('venue_id');
+    });
+    await knex.schema.alterTable('event_occurrences', function (table) {
+        table.dropColumn('venue_id');
+    });
+    await knex.schema.dropTableIfExists('venues');
+};
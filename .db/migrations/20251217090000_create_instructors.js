@@ -0,0 +1,45 @@
+/**
+ * Migration for instructors/facilitators and who leads each event occurrence.
+ * - instructors: the people who run events. user_id links an instructor to a login
+ *   (user_role 'instructor') so they can open rosters/check-in for their own events;
+ *   outside facilitators without an account just leave it empty.
+ * - event_occurrence_instructors: which instructors lead which occurrence (can be several).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('instructors', function (table) {
+        table.increments('instructor_id').primary(); // PK
+        table.integer('user_id').unique()
+            .references('user_id').inTable('users').onDelete('SET NULL');
+        table.string('instructor_first_name', 100).notNullable();
+        table.string('instructor_last_name', 100).notNullable();
+        table.string('instructor_email', 255);
+        table.string('instructor_phone', 50);
+        table.string('instructor_type', 20).notNullable().defaultTo('instructor'); // 'instructor' or 'facilitator'
+        table.text('instructor_bio');
+        table.timestamps(true, true);
+    })
+    .createTable('event_occurrence_instructors', function (table) {
+        table.integer('event_occurrence_id').notNullable()
+            .references('event_occurrence_id').inTable('event_occurrences').onDelete('CASCADE');
+        table.integer('instructor_id').notNullable()
+            .references('instructor_id').inTable('instructors').onDelete('CASCADE');
+        table.timestamps(true, true);
+
+        table.primary(['event_occurrence_id', 'instructor_id']);
+        table.index(['instructor_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('event_occurrence_instructors')
+    .dropTableIfExists('instructors');
+};
@@ -0,0 +1,59 @@
+/**
+ * Migration for eligibility rules on event templates (who is allowed to register).
+ * 1. event_templates gets an optional age range, a field of interest and a first-time-only flag.
+ *    Ages are worked out from users.user_dob on the day the event starts.
+ * 2. event_template_required_milestones lists milestones (from user_milestones) a participant
+ *    must already have - all of them - before signing up.
+ * 3. event_eligibility_overrides lets an admin wave a specific participant through a template's
+ *    rules (with who did it and why).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('event_templates', function (table) {
+        table.integer('eligibility_min_age'); // NULL = no minimum
+        table.integer('eligibility_max_age'); // NULL = no maximum
+        table.string('eligibility_field_of_interest', 50); // e.g. 'STEM' or 'Arts' ('Both' on a user matches either); NULL = anyone
+        table.boolean('eligibility_first_time_only').notNullable().defaultTo(false); // Only people who haven't attended this program before
+    });
+
+    await knex.schema.createTable('event_template_required_milestones', function (table) {
+        table.integer('event_template_id').notNullable()
+            .references('event_template_id').inTable('event_templates').onDelete('CASCADE');
+        table.integer('milestone_id').notNullable()
+            .references('milestone_id').inTable('milestones').onDelete('CASCADE');
+        table.timestamps(true, true);
+
+        table.primary(['event_template_id', 'milestone_id']);
+    });
+
+    await knex.schema.createTable('event_eligibility_overrides', function (table) {
+        table.integer('event_template_id').notNullable()
+            .references('event_template_id').inTable('event_templates').onDelete('CASCADE');
+        table.integer('user_id').notNullable()
+            .references('user_id').inTable('users').onDelete('CASCADE');
+        table.integer('granted_by_user_id')
+            .references('user_id').inTable('users').onDelete('SET NULL');
+        table.text('override_reason');
+        table.timestamps(true, true);
+
+        table.primary(['event_template_id', 'user_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('event_eligibility_overrides');
+    await knex.schema.dropTableIfExists('event_template_required_milestones');
+
+    await knex.schema.alterTable('event_templates', function (table) {
+        table.dropColumn('eligibility_min_age');
+        table.dropColumn('eligibility_max_age');
+        table.dropColumn('eligibility_field_of_interest');
+        table.dropColumn('eligibility_first_time_only');
+    });
+};
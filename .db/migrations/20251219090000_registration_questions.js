@@ -0,0 +1,52 @@
+/**
+ * Migration for custom signup questions on event templates.
+ * - event_template_questions: the questions a template asks at registration (t-shirt size,
+ *   dietary needs, photo consent, emergency contact, ...), in display order.
+ *   question_type is 'text', 'textarea', 'select' (one of question_options, one per line) or 'yes-no'.
+ * - registration_answers: one answer per registration per question.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('event_template_questions', function (table) {
+        table.increments('question_id').primary(); // PK
+        table.integer('event_template_id').notNullable()
+            .references('event_template_id').inTable('event_templates').onDelete('CASCADE');
+        table.string('question_label', 255).notNullable();
+        table.string('question_type', 20).notNullable().defaultTo('text');
+        table.text('question_options'); // 'select' only: one choice per line
+        table.boolean('question_required').notNullable().defaultTo(false);
+        table.integer('question_order').notNullable().defaultTo(0);
+        table.timestamps(true, true);
+
+        table.index(['event_template_id']);
+    });
+
+    await knex.raw(`
+        ALTER TABLE event_template_questions
+        ADD CONSTRAINT event_template_questions_type_check
+        CHECK (question_type IN ('text', 'textarea', 'select', 'yes-no'))
+    `);
+
+    await knex.schema.createTable('registration_answers', function (table) {
+        table.integer('registration_id').notNullable()
+            .references('registration_id').inTable('registration').onDelete('CASCADE');
+        table.integer('question_id').notNullable()
+            .references('question_id').inTable('event_template_questions').onDelete('CASCADE');
+        table.text('answer_text');
+        table.timestamps(true, true);
+
+        table.primary(['registration_id', 'question_id']);
+        table.index(['question_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.dropTableIfExists('registration_answers');
+    await knex.schema.dropTableIfExists('event_template_questions');
+};
@@ -0,0 +1,72 @@
+/**
+ * Migration for programs where registrations have to be approved by an admin:
+ * 1. event_templates.event_requires_approval - new sign-ups for the template start out 'pending'.
+ * 2. registration_status gains 'pending' (waiting for review) and 'declined'.
+ * 3. registration remembers who reviewed it, when, and the note they left for the participant.
+ * 4. Declined rows are history like cancelled ones, so they're left out of the
+ *    "one active registration per person per occurrence" index.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('event_templates', function (table) {
+        table.boolean('event_requires_approval').notNullable().defaultTo(false);
+    });
+
+    await knex.schema.alterTable('registration', function (table) {
+        table.text('registration_review_note');
+        table.timestamp('registration_reviewed_at', { useTz: true });
+        table.integer('registration_reviewed_by_user_id')
+            .references('user_id').inTable('users').onDelete('SET NULL');
+    });
+
+    await knex.raw('ALTER TABLE registration DROP CONSTRAINT IF EXISTS registration_status_check');
+    await knex.raw(`
+        ALTER TABLE registration
+        ADD CONSTRAINT registration_status_check
+        CHECK (registration_status IN ('pending', 'registered', 'waitlisted', 'declined', 'cancelled', 'attended', 'no-show'))
+    `);
+
+    await knex.raw('DROP INDEX IF EXISTS registration_active_user_occurrence_unique');
+    await knex.raw(`
+        CREATE UNIQUE INDEX registration_active_user_occurrence_unique
+        ON registration (user_id, event_occurrence_id)
+        WHERE registration_status NOT IN ('cancelled', 'declined')
+    `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    // Requests that were never approved don't have a seat to go back to
+    await knex('registration')
+        .whereIn('registration_status', ['pending', 'declined'])
+        .update({ registration_status: 'cancelled' });
+
+    await knex.raw('DROP INDEX IF EXISTS registration_active_user_occurrence_unique');
+    await knex.raw(`
+        CREATE UNIQUE INDEX registration_active_user_occurrence_unique
+        ON registration (user_id, event_occurrence_id)
+        WHERE registration_status <> 'cancelled'
+    `);
+
+    await knex.raw('ALTER TABLE registration DROP CONSTRAINT IF EXISTS registration_status_check');
+    await knex.raw(`
+        ALTER TABLE registration
+        ADD CONSTRAINT registration_status_check
+        CHECK (registration_status IN ('registered', 'waitlisted', 'cancelled', 'attended', 'no-show'))
+    `);
+
+    await knex.schema.alterTable('registration', function (table) {
+        table.dropColumn('registration_review_note');
+        table.dropColumn('registration_reviewed_at');
+        table.dropColumn('registration_reviewed_by_user_id');
+    });
+
+    await knex.schema.alterTable('event_templates', function (table) {
+        table.dropColumn('event_requires_approval');
+    });
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration for moving a registration to another date of the same event.
+ * The old row is cancelled (registration_cancelled_reason = 'transferred') and kept as history;
+ * the new row points back at it, so a chain of date changes can always be followed.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('registration', function (table) {
+        table.integer('registration_transferred_from_id')
+            .references('registration_id').inTable('registration').onDelete('SET NULL');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('registration', function (table) {
+        table.dropColumn('registration_transferred_from_id');
+    });
+};
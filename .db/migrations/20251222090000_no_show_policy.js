@@ -0,0 +1,33 @@
+/**
+ * Migration for no-show tracking:
+ * 1. event_templates.event_high_demand - participants with too many recent no-shows join
+ *    these events' waitlists first instead of taking an open seat straight away.
+ * 2. registration_attended_flag is brought in line with registration_status. Attendance rates
+ *    are computed from the flag, but imported rows only ever had their status set.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.alterTable('event_templates', function (table) {
+        table.boolean('event_high_demand').notNullable().defaultTo(false);
+    });
+
+    await knex('registration')
+        .where('registration_status', 'attended')
+        .update({ registration_attended_flag: true });
+    await knex('registration')
+        .whereNot('registration_status', 'attended')
+        .update({ registration_attended_flag: false });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    // The attendance flags stay as they are - they match the statuses either way
+    await knex.schema.alterTable('event_templates', function (table) {
+        table.dropColumn('event_high_demand');
+    });
+};
@@ -0,0 +1,152 @@
+/**
+ * Migration for admin-built survey forms:
+ * - survey_forms: a named set of questions plus its scoring rules. Answers to the question flagged
+ *   question_drives_nps at or above survey_form_promoter_min count as promoters, at or below
+ *   survey_form_detractor_max as detractors. The default form is used by templates without one.
+ * - survey_form_questions: 'rating' (1-5), 'choice' (one of question_options), 'text' or 'nps' (0-10).
+ *   question_in_overall marks the ratings averaged into surveys.overall_score. question_legacy_column
+ *   also copies the answer into that surveys column, so reports on the original four scores keep working.
+ * - survey_answers: one answer per survey response per question.
+ * - event_templates.survey_form_id / surveys.survey_form_id: which form a template uses / a response used.
+ *
+ * The original hard-coded survey becomes the default form, and every existing response is
+ * copied into survey_answers (its stored overall_score and nps_bucket are left as they are).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('survey_forms', function (table) {
+        table.increments('survey_form_id').primary(); // PK
+        table.string('survey_form_name', 255).notNullable();
+        table.text('survey_form_description');
+        table.boolean('survey_form_is_default').notNullable().defaultTo(false);
+        table.integer('survey_form_promoter_min').notNullable().defaultTo(9);
+        table.integer('survey_form_detractor_max').notNullable().defaultTo(6);
+        table.timestamps(true, true);
+    });
+
+    // Only one form can be the default
+    await knex.raw(`
+        CREATE UNIQUE INDEX survey_forms_one_default
+        ON survey_forms (survey_form_is_default)
+        WHERE survey_form_is_default
+    `);
+
+    await knex.schema.createTable('survey_form_questions', function (table) {
+        table.increments('question_id').primary(); // PK
+        table.integer('survey_form_id').notNullable()
+            .references('survey_form_id').inTable('survey_forms').onDelete('CASCADE');
+        table.string('question_label', 255).notNullable();
+        table.string('question_type', 20).notNullable().defaultTo('rating');
+        table.text('question_options'); // 'choice': one choice per line; 'rating': optional labels for 1-5
+        table.boolean('question_required').notNullable().defaultTo(false);
+        table.integer('question_order').notNullable().defaultTo(0);
+        table.boolean('question_in_overall').notNullable().defaultTo(false);
+        table.boolean('question_drives_nps').notNullable().defaultTo(false);
+        table.string('question_legacy_column', 30);
+        table.timestamps(true, true);
+
+        table.index(['survey_form_id']);
+    });
+
+    await knex.raw(`
+        ALTER TABLE survey_form_questions
+        ADD CONSTRAINT survey_form_questions_type_check
+        CHECK (question_type IN ('rating', 'choice', 'text', 'nps'))
+    `);
+
+    await knex.schema.createTable('survey_answers', function (table) {
+        table.integer('survey_id').notNullable()
+            .references('survey_id').inTable('surveys').onDelete('CASCADE');
+        table.integer('question_id').notNullable()
+            .references('question_id').inTable('survey_form_questions').onDelete('CASCADE');
+        table.integer('answer_value'); // 'rating' and 'nps'
+        table.text('answer_text'); // 'choice' and 'text'
+        table.timestamps(true, true);
+
+        table.primary(['survey_id', 'question_id']);
+        table.index(['question_id']);
+    });
+
+    await knex.schema.alterTable('event_templates', function (table) {
+        table.integer('survey_form_id')
+            .references('survey_form_id').inTable('survey_forms').onDelete('SET NULL');
+    });
+
+    await knex.schema.alterTable('surveys', function (table) {
+        table.integer('survey_form_id')
+            .references('survey_form_id').inTable('survey_forms').onDelete('SET NULL');
+    });
+
+    // The original survey: four 1-5 ratings (recommendation drives NPS: 4-5 promoter, 1-2 detractor) plus comments
+    const [defaultForm] = await knex('survey_forms')
+        .insert({
+            survey_form_name: 'Event Feedback',
+            survey_form_description: 'The standard post-event survey.',
+            survey_form_is_default: true,
+            survey_form_promoter_min: 4,
+            survey_form_detractor_max: 2
+        })
+        .returning('survey_form_id');
+    const formId = defaultForm.survey_form_id;
+
+    const questions = [
+        { label: 'Overall Satisfaction', column: 'satisfaction_score', labels: ['Poor', 'Fair', 'Good', 'Very Good', 'Excellent'] },
+        { label: 'How useful was this event?', column: 'usefulness_score', labels: ['Not Useful', 'Slightly Useful', 'Somewhat Useful', 'Very Useful', 'Extremely Useful'] },
+        { label: 'Instructor Quality', column: 'instructor_score', labels: ['Poor', 'Fair', 'Good', 'Very Good', 'Outstanding'] },
+        { label: 'Would you recommend this event?', column: 'recommendation_score', labels: ['Definitely Not', 'Probably Not', 'Maybe', 'Probably', 'Definitely!'], nps: true }
+    ];
+
+    for (let i = 0; i < questions.length; i++) {
+        await knex('survey_form_questions').insert({
+            survey_form_id: formId,
+            question_label: questions[i].label,
+            question_type: 'rating',
+            question_options: questions[i].labels.join('\n'),
+            question_required: true,
+            question_order: i + 1,
+            question_in_overall: true,
+            question_drives_nps: Boolean(questions[i].nps),
+            question_legacy_column: questions[i].column
+        });
+    }
+    await knex('survey_form_questions').insert({
+        survey_form_id: formId,
+        question_label: 'Your Comments',
+        question_type: 'text',
+        question_required: false,
+        question_order: questions.length + 1,
+        question_legacy_column: 'survey_comments'
+    });
+
+    await knex('surveys').update({ survey_form_id: formId });
+
+    // Copy every existing response into survey_answers
+    const formQuestions = await knex('survey_form_questions').where('survey_form_id', formId);
+    for (const question of formQuestions) {
+        const valueColumn = question.question_type === 'text' ? 'answer_text' : 'answer_value';
+        await knex.raw(`
+            INSERT INTO survey_answers (survey_id, question_id, ${valueColumn})
+            SELECT survey_id, ?, ${question.question_legacy_column}
+            FROM surveys
+            WHERE ${question.question_legacy_column} IS NOT NULL
+        `, [question.question_id]);
+    }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.schema.alterTable('surveys', function (table) {
+        table.dropColumn('survey_form_id');
+    });
+    await knex.schema.alterTable('event_templates', function (table) {
+        table.dropColumn('survey_form_id');
+    });
+    await knex.schema.dropTableIfExists('survey_answers');
+    await knex.schema.dropTableIfExists('survey_form_questions');
+    await knex.schema.dropTableIfExists('survey_forms');
+};
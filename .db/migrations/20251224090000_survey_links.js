@@ -0,0 +1,24 @@
+/**
+ * Migration for survey links that work without logging in.
+ * A link can only be used once, so each registration can have at most one survey response.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('surveys', function (table) {
+        table.unique(['registration_id'], { indexName: 'surveys_registration_id_unique' });
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('surveys', function (table) {
+        table.dropUnique(['registration_id'], 'surveys_registration_id_unique');
+    });
+};
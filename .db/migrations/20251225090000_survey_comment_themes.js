@@ -0,0 +1,43 @@
+/**
+ * Migration for tagging survey comments with themes and sentiment (see lexicons/*.json):
+ * 1. survey_themes - one row per theme a survey's comments mention.
+ * 2. surveys.survey_sentiment - 'positive', 'negative' or 'neutral' (null when there were no comments).
+ * 3. surveys.survey_themes_version - fingerprint of the lexicons the survey was tagged with, so
+ *    surveys are tagged again after the keyword lists change.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+    await knex.schema.createTable('survey_themes', function (table) {
+        table.integer('survey_id').notNullable()
+            .references('survey_id').inTable('surveys').onDelete('CASCADE');
+        table.string('theme', 50).notNullable();
+        table.primary(['survey_id', 'theme']);
+        table.index('theme');
+    });
+
+    await knex.schema.alterTable('surveys', function (table) {
+        table.string('survey_sentiment', 10);
+        table.string('survey_themes_version', 20);
+    });
+
+    await knex.raw(`
+        ALTER TABLE surveys
+        ADD CONSTRAINT surveys_survey_sentiment_check
+        CHECK (survey_sentiment IN ('positive', 'negative', 'neutral'))
+    `);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+    await knex.raw('ALTER TABLE surveys DROP CONSTRAINT IF EXISTS surveys_survey_sentiment_check');
+    await knex.schema.alterTable('surveys', function (table) {
+        table.dropColumn('survey_sentiment');
+        table.dropColumn('survey_themes_version');
+    });
+    await knex.schema.dropTableIfExists('survey_themes');
+};
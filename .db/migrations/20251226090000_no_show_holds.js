@@ -0,0 +1,26 @@
+/**
+ * Migration for the reliability policy's waitlist hold:
+ * registration.registration_no_show_hold marks waitlisted rows that were put there by the policy
+ * (rather than because the event was full). Promotions skip them until the release window
+ * (NO_SHOW_RELEASE_HOURS before the event), so an unrelated cancellation doesn't let them straight in.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('registration', function (table) {
+        table.boolean('registration_no_show_hold').notNullable().defaultTo(false);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('registration', function (table) {
+        table.dropColumn('registration_no_show_hold');
+    });
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration for single-use survey links:
+ * registration.registration_survey_link_used_at records when a survey was submitted through the
+ * registration's link. The link is refused from then on, even if that survey is later deleted.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('registration', function (table) {
+        table.timestamp('registration_survey_link_used_at');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('registration', function (table) {
+        table.dropColumn('registration_survey_link_used_at');
+    });
+};
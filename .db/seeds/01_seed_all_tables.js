@@ -182,7 +182,7 @@ exports.seed = async function(knex) {
         user_id: parseInt(row.user_id, 10),
         event_occurrence_id: parseInt(row.event_occurrence_id, 10),
         registration_status: row.registration_status,
-        registration_attended_flag: row.registration_attended_flag === 'true' || row.registration_attended_flag === '1',
+        registration_attended_flag: ['true', '1'].includes(String(row.registration_attended_flag).trim().toLowerCase()),
         registration_check_in_time: parseDateTime(row.registration_check_in_time),
         registration_created_at: parseDateTime(row.registration_created_at) || new Date()
     }));
@@ -34,6 +34,8 @@ const cookieParser = require("cookie-parser"); // Reads cookies - i18n needs thi
 let path = require("path"); // Node's built-in path helper for file paths
 let app = express(); // Create our Express app instance
 const bcrypt = require("bcrypt"); // For securely hashing passwords - never store plain text!
+const crypto = require("crypto"); // Node's built-in crypto - used to sign check-in codes
+const QRCode = require("qrcode"); // Draws the check-in QR codes shown on the registrations page
 
 /*
  * i18n Configuration
@@ -111,7 +113,7 @@ app.use((req, res, next) => {
     res.locals.isLoggedIn = req.session.isLoggedIn || false;
     res.locals.user_id = req.session.user_id || '';
     res.locals.email = req.session.email || '';
-    res.locals.level = req.session.level || ''; // 'admin' or 'participant'
+    res.locals.level = req.session.level || ''; // 'admin', 'instructor' or 'participant'
     res.locals.first_name = req.session.first_name || '';
     res.locals.last_name = req.session.last_name || '';
     res.locals.currentLang = req.getLocale(); // Current language ('en' or 'es')
@@ -127,10 +129,14 @@ app.use((req, res, next) => {
  */
 app.use((req, res, next) => {
     // Public routes - anyone can access these without logging in
-    let public_routes = ['/', '/login', '/register', '/about', '/events', '/donate', '/analytics', '/teapot'];
+    let public_routes = ['/', '/login', '/register', '/about', '/events', '/events/calendar.json', '/donate', '/analytics', '/teapot'];
     
-    // Language switch routes should always work (even for logged-out users)
-    if (public_routes.includes(req.path) || req.path.startsWith('/lang/')) {
+    // Language switch routes should always work (even for logged-out users).
+    // Calendar feeds are public too - calendar apps can't log in, so private feeds use a secret token instead
+    // Single event pages (/events/123) are public so they can be shared on flyers and social media
+    // Survey links (/survey/<signed token>) are public too, so people can answer straight from a text or email
+    if (public_routes.includes(req.path) || req.path.startsWith('/lang/') || /^\/events\/\d+$/.test(req.path) || /^\/survey\/[^/]+$/.test(req.path) ||
+        req.path.startsWith('/calendar/') || (req.path.startsWith('/events/') && req.path.endsWith('.ics'))) {
         return next(); // Let them through!
     }
 
@@ -138,9 +144,22 @@ app.use((req, res, next) => {
     let admin_routes = [
         '/manage-events',
         '/manage-events/new',
+        '/manage-event-occurrences',
+        '/manage-event-occurrences/new',
         '/manage-milestones',
         '/manage-milestones/new',
+        '/manage-venues',
+        '/manage-venues/new',
+        '/manage-instructors',
+        '/manage-instructors/new',
+        '/manage-approvals',
         '/manage-surveys',
+        '/manage-surveys/analytics',
+        '/manage-surveys/analytics/comments',
+        '/manage-surveys/themes',
+        '/manage-surveys/themes/tag',
+        '/manage-survey-forms',
+        '/manage-survey-forms/new',
         '/manage-donations',
         '/manage-donations/new',
         '/manage-donations/export',
@@ -153,12 +172,26 @@ app.use((req, res, next) => {
      * For example: /manage-events/5/delete or /manage-participants/123/update
      * We check if the path starts with a manage route and ends with an action keyword
      */
-    if ((req.path.startsWith('/manage-events/') && (req.path.endsWith('/delete') || req.path.endsWith('/new'))) ||
+    if ((req.path.startsWith('/manage-events/') && (req.path.endsWith('/delete') || req.path.endsWith('/new') || req.path.endsWith('/recurrence') || req.path.endsWith('/recurrence/preview') || req.path.endsWith('/recurrence/generate') || req.path.endsWith('/eligibility') || req.path.endsWith('/eligibility/overrides') || req.path.endsWith('/eligibility/overrides/remove'))) ||
+        /^\/manage-events\/\d+\/questions(\/\d+\/(update|delete|move))?$/.test(req.path) ||
+        (req.path.startsWith('/manage-event-occurrences/') && (req.path.endsWith('/waitlist') || req.path.endsWith('/move') || req.path.endsWith('/remove') || req.path.endsWith('/check-in') || req.path.endsWith('/check-in/status') || req.path.endsWith('/walk-in') || req.path.endsWith('/roster') || req.path.endsWith('/roster/mark') || req.path.endsWith('/roster/export') || req.path.endsWith('/roster/print') || req.path.endsWith('/update') || req.path.endsWith('/delete') || req.path.endsWith('/cancel') || req.path.endsWith('/reschedule'))) ||
         (req.path.startsWith('/manage-milestones/') && (req.path.endsWith('/delete') || req.path.endsWith('/update'))) ||
+        (req.path.startsWith('/manage-venues/') && (req.path.endsWith('/delete') || req.path.endsWith('/update'))) ||
+        /^\/manage-instructors\/\d+(\/update|\/delete)?$/.test(req.path) ||
+        /^\/manage-event-occurrences\/bulk\/(preview|apply)$/.test(req.path) ||
+        /^\/manage-approvals\/\d+\/(approve|decline)$/.test(req.path) ||
+        /^\/manage-survey-forms\/\d+(\/(update|delete|default|questions(\/\d+\/(update|delete|move))?))?$/.test(req.path) ||
         (req.path.startsWith('/manage-donations/') && (req.path.endsWith('/delete') || req.path.endsWith('/update'))) ||
         (req.path.startsWith('/manage-participants/') && (req.path.endsWith('/delete') || req.path.endsWith('/update') || req.path.endsWith('/milestones') || req.path.endsWith('/milestones/add') || req.path.endsWith('/milestones/remove')))) {
-        // Must be logged in AND be an admin
+        // Must be logged in AND be an admin...
         if (!req.session.isLoggedIn || !req.session.level || req.session.level.toLowerCase() !== 'admin') {
+            // ...or an instructor opening the roster/check-in for one of their own events
+            const instructorMatch = req.path.match(INSTRUCTOR_ROUTE_PATTERN);
+            if (instructorMatch && req.session.isLoggedIn && (req.session.level || '').toLowerCase() === 'instructor') {
+                return isInstructorForOccurrence(knex, req.session.user_id, parseInt(instructorMatch[1], 10))
+                    .then(isTheirs => isTheirs ? next() : res.render("login", { error_message: "Authentication error" }))
+                    .catch(next);
+            }
             return res.render("login", { error_message: "Authentication error" });
         } else {
             return next();
@@ -204,893 +237,6769 @@ function getCount (tableName) {
         .first()
 }
 
-
-// ========== LANGUAGE SWITCH ==========
-/*
- * This route handles switching between English and Spanish.
- * When user clicks the flag icon, it hits this route with the new language.
+/**
+ * formatDateOnly - Formats a date as YYYY-MM-DD (the format HTML date inputs expect)
+ * @param {Date|string} value - A Date object or a date string from the database
+ * @returns {string} - The formatted date, or '' if the value isn't a valid date
  */
-app.get('/lang/:locale', (req, res) => {
-    const locale = req.params.locale; // 'en' or 'es'
-    
-    // Only accept valid locales (don't let someone set it to random stuff)
-    if (['en', 'es'].includes(locale)) {
-        // Save their preference in a cookie that lasts 1 year
-        res.cookie('lang', locale, { maxAge: 365 * 24 * 60 * 60 * 1000 });
-        req.setLocale(locale); // Set for this request
+function formatDateOnly (value) {
+    if (!value) return '';
+    // Already a YYYY-MM-DD string? Just trim off any time portion
+    if (typeof value === 'string' && value.match(/^\d{4}-\d{2}-\d{2}/)) {
+        return value.slice(0, 10);
     }
-    
-    // Send them back to whatever page they were on
-    // req.get('Referer') gets the previous page URL from the browser
-    const referer = req.get('Referer') || '/';
-    res.redirect(referer);
-});
-
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
 
-// ========== BASIC PAGE ROUTES ==========
+// ~~~~~ Recurrence Helpers ~~~~~
 /*
- * These are simple routes that just render a page without needing
- * to fetch any data from the database. Nice and straightforward.
+ * Event templates can carry a recurrence rule (see event_recurrence_rules) that
+ * describes when the event repeats. These helpers turn that rule into the list of
+ * event_occurrences rows it should produce.
  */
+const RECURRENCE_FREQUENCIES = ['weekly', 'monthly'];
+const MAX_GENERATED_OCCURRENCES = 200; // Safety cap so a typo in the end date can't create thousands of rows
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-// Homepage
-app.get('/', (req, res) => {
-    res.render('home', { error_message: "" });
-});
+/**
+ * splitList - Splits a comma/space separated string (how we store weekdays and skip dates) into an array
+ * @param {string} value - e.g. "1,3,5" or "2025-12-25, 2026-01-01"
+ * @returns {Array} - e.g. ['1', '3', '5']
+ */
+function splitList (value) {
+    return String(value || '').split(/[\s,]+/).filter(Boolean);
+}
 
-// Login page - shows the login form
-app.get('/login', (req, res) => {
-    res.render('login', { error_message: "" });
-});
+/**
+ * normalizeRecurrenceRule - Turns a saved event_recurrence_rules row into plain strings for the form
+ * @param {Object|null} row - The saved rule, or null if the template doesn't have one yet
+ * @param {Object} template - The event template (used for sensible defaults)
+ * @returns {Object} - Rule object shaped like the one parseRecurrenceForm returns
+ */
+function normalizeRecurrenceRule (row, template) {
+    if (!row) {
+        // No rule saved yet - start from the template's old free-text pattern
+        const pattern = (template.event_recurrence_pattern || '').toLowerCase();
+        return {
+            recurrence_frequency: pattern.includes('month') || pattern.includes('quarter') ? 'monthly' : 'weekly',
+            recurrence_interval: pattern.includes('bi-weekly') ? 2 : pattern.includes('quarter') ? 3 : 1,
+            recurrence_weekdays: '',
+            recurrence_start_date: formatDateOnly(new Date()),
+            recurrence_end_date: '',
+            recurrence_start_time: '10:00',
+            recurrence_end_time: '12:00',
+            venue_id: null,
+            recurrence_location: '',
+            recurrence_capacity: template.event_default_capacity || null,
+            recurrence_deadline_days: 7,
+            recurrence_skip_dates: ''
+        };
+    }
 
-// Registration page - shows the signup form
-app.get('/register', (req, res) => {
-    res.render('register', { error_message: "" });
-});
+    return {
+        recurrence_frequency: row.recurrence_frequency,
+        recurrence_interval: row.recurrence_interval,
+        recurrence_weekdays: row.recurrence_weekdays || '',
+        recurrence_start_date: formatDateOnly(row.recurrence_start_date),
+        recurrence_end_date: formatDateOnly(row.recurrence_end_date),
+        recurrence_start_time: String(row.recurrence_start_time).slice(0, 5), // Postgres returns HH:MM:SS
+        recurrence_end_time: String(row.recurrence_end_time).slice(0, 5),
+        venue_id: row.venue_id,
+        recurrence_location: row.recurrence_location || '',
+        recurrence_capacity: row.recurrence_capacity,
+        recurrence_deadline_days: row.recurrence_deadline_days,
+        recurrence_skip_dates: splitList(row.recurrence_skip_dates).join(', ')
+    };
+}
 
-// About page - info about Ella Rises, programs, contact, etc.
-app.get('/about', (req, res) => {
-    res.render('about', { error_message: "" });
-});
+/**
+ * parseRecurrenceForm - Validates the recurrence form and builds a rule object from it
+ * @param {Object} body - req.body (or req.query) from the recurrence form
+ * @returns {Object} - { rule, errors } where rule uses event_recurrence_rules column names
+ */
+function parseRecurrenceForm (body) {
+    const errors = [];
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const timePattern = /^\d{2}:\d{2}$/;
+
+    const frequency = RECURRENCE_FREQUENCIES.includes(body.recurrence_frequency) ? body.recurrence_frequency : 'weekly';
+    const interval = parseInt(body.recurrence_interval, 10) || 1;
+    const startDate = (body.recurrence_start_date || '').trim();
+    const endDate = (body.recurrence_end_date || '').trim();
+    const startTime = (body.recurrence_start_time || '').trim();
+    const endTime = (body.recurrence_end_time || '').trim();
+    const capacity = body.recurrence_capacity ? parseInt(body.recurrence_capacity, 10) : null;
+    const deadlineDays = body.recurrence_deadline_days !== undefined && body.recurrence_deadline_days !== ''
+        ? parseInt(body.recurrence_deadline_days, 10)
+        : null;
+
+    // Checkboxes come through as a string when one is checked and an array when several are
+    const weekdays = [...new Set([].concat(body.recurrence_weekdays || [])
+        .map(day => parseInt(day, 10))
+        .filter(day => day >= 0 && day <= 6))]
+        .sort();
+    const skipDates = splitList(body.recurrence_skip_dates);
+
+    if (interval < 1 || interval > 12) errors.push('Repeat interval must be between 1 and 12.');
+    if (!datePattern.test(startDate)) errors.push('Please enter a valid start date.');
+    if (!datePattern.test(endDate)) errors.push('Please enter a valid end date.');
+    if (datePattern.test(startDate) && datePattern.test(endDate) && endDate < startDate) {
+        errors.push('End date must be on or after the start date.');
+    }
+    if (!timePattern.test(startTime) || !timePattern.test(endTime)) {
+        errors.push('Please enter a start and end time.');
+    } else if (endTime <= startTime) {
+        errors.push('End time must be after the start time.');
+    }
+    if (capacity !== null && (isNaN(capacity) || capacity < 1)) errors.push('Capacity must be a positive number greater than 0.');
+    if (deadlineDays !== null && (isNaN(deadlineDays) || deadlineDays < 0)) errors.push('Registration deadline days cannot be negative.');
+    if (skipDates.some(date => !datePattern.test(date))) errors.push('Skip dates must be in YYYY-MM-DD format.');
+
+    return {
+        rule: {
+            recurrence_frequency: frequency,
+            recurrence_interval: interval,
+            recurrence_weekdays: frequency === 'weekly' ? weekdays.join(',') : '',
+            recurrence_start_date: startDate,
+            recurrence_end_date: endDate,
+            recurrence_start_time: startTime,
+            recurrence_end_time: endTime,
+            venue_id: parseInt(body.venue_id, 10) || null,
+            recurrence_location: (body.recurrence_location || '').trim(), // Replaced with the venue's label when saved
+            recurrence_capacity: capacity,
+            recurrence_deadline_days: deadlineDays,
+            recurrence_skip_dates: skipDates.join(', ')
+        },
+        errors
+    };
+}
 
+/**
+ * describeRecurrenceRule - Short label for a rule, stored in event_templates.event_recurrence_pattern
+ * so the existing tables and dropdowns keep showing something familiar
+ * @param {Object} rule - Rule object
+ * @returns {string} - e.g. 'Weekly', 'Bi-weekly', 'Monthly'
+ */
+function describeRecurrenceRule (rule) {
+    const interval = parseInt(rule.recurrence_interval, 10) || 1;
+    if (rule.recurrence_frequency === 'monthly') {
+        if (interval === 3) return 'Quarterly';
+        if (interval === 12) return 'Annually';
+        return 'Monthly';
+    }
+    return interval === 2 ? 'Bi-weekly' : 'Weekly';
+}
 
-// ~~~ ~~~ ~~~ ~~~ ~~~ ANALYTICS DASHBOARD ~~~ ~~~ ~~~ ~~~ ~~~ 
-// This page embeds a Tableau dashboard with organizational analytics
-app.get('/analytics', (req, res) => {
-    res.render('analytics-dashboard', { error_message: "" });
-});
+/**
+ * expandRecurrenceRule - Expands a rule into the individual dates it describes
+ * All the math is done on plain calendar dates (in UTC) so daylight saving time can't shift anything.
+ * @param {Object} rule - Rule object (from parseRecurrenceForm or normalizeRecurrenceRule)
+ * @param {string} fromDate - Only dates on or after this YYYY-MM-DD are returned
+ * @returns {Array} - [{ date, event_date_time_start, event_date_time_end, event_registration_deadline }]
+ */
+function expandRecurrenceRule (rule, fromDate) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const toUtc = dateStr => {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    const toDateStr = ms => new Date(ms).toISOString().slice(0, 10);
+
+    const start = toUtc(formatDateOnly(rule.recurrence_start_date));
+    const end = toUtc(formatDateOnly(rule.recurrence_end_date));
+    const interval = parseInt(rule.recurrence_interval, 10) || 1;
+    const startTime = String(rule.recurrence_start_time).slice(0, 5);
+    const endTime = String(rule.recurrence_end_time).slice(0, 5);
+    const skipDates = new Set(splitList(rule.recurrence_skip_dates));
+    const matches = [];
+
+    if (rule.recurrence_frequency === 'monthly') {
+        // Same day of the month as the start date, every N months
+        const first = new Date(start);
+        const dayOfMonth = first.getUTCDate();
+        for (let i = 0; ; i += interval) {
+            const candidate = Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + i, dayOfMonth);
+            if (candidate > end) break;
+            // Months without this day (e.g. the 31st in April) are skipped rather than rolled into the next month
+            if (new Date(candidate).getUTCDate() !== dayOfMonth) continue;
+            matches.push(candidate);
+        }
+    } else {
+        // Weekly: the chosen weekdays, every N weeks (weeks start on Sunday)
+        let weekdays = splitList(rule.recurrence_weekdays).map(Number);
+        if (weekdays.length === 0) weekdays = [new Date(start).getUTCDay()];
+        const firstSunday = start - new Date(start).getUTCDay() * dayMs;
+        for (let day = start; day <= end; day += dayMs) {
+            const weekIndex = Math.floor((day - firstSunday) / (7 * dayMs));
+            if (weekIndex % interval === 0 && weekdays.includes(new Date(day).getUTCDay())) {
+                matches.push(day);
+            }
+        }
+    }
 
-// Easter egg! HTTP 418 "I'm a teapot" - a fun joke status code from April Fools
-app.get('/teapot', (req, res) => {
-    res.status(418).render('teapot');
-});
+    const deadlineDays = rule.recurrence_deadline_days;
+    return matches
+        .map(toDateStr)
+        .filter(date => date >= fromDate && !skipDates.has(date))
+        .map(date => ({
+            date,
+            event_date_time_start: `${date} ${startTime}`,
+            event_date_time_end: `${date} ${endTime}`,
+            event_registration_deadline: deadlineDays !== null && deadlineDays !== undefined
+                ? `${toDateStr(toUtc(date) - deadlineDays * dayMs)} ${startTime}`
+                : null
+        }));
+}
 
-// ~~~ ~~~ ~~~ ~~~ ~~~ EVENTS ~~~ ~~~ ~~~ ~~~ ~~~ 
-/*
- * Public Events Page
- * Shows all upcoming or past events with pagination.
- * Users can register for upcoming events if logged in.
- * 
- * Query params:
- *   - filter: 'upcoming' (default) or 'past'
- *   - page: page number for pagination
+/**
+ * planRecurrence - Works out what applying a rule to a template would change
+ * Only future occurrences are touched. Generated occurrences with no registrations get replaced;
+ * anything with registrations (or created by hand) is kept, and we won't generate a second
+ * occurrence on a day that already has a kept one. At most MAX_GENERATED_OCCURRENCES dates are
+ * generated; when the pattern has more, `truncated` says where it was cut off.
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} template - The event template row
+ * @param {Object} rule - Rule object
+ * @returns {Promise} - Resolves to { toCreate, toRemove, kept, truncated } - truncated is
+ *                      { limit, lastDate, dropped } or null
  */
-app.get('/events', (req, res) => {
-    // Get filter from query string, default to showing upcoming events
-    const filter = req.query.filter || 'upcoming';
-    
-    // Pagination setup - show 10 events per page
-    const page = parseInt(req.query.page, 10) || 1;
-    const perPage = 10;
-    const offset = (page - 1) * perPage; // Skip this many records
-    
-    const currentDate = new Date();
-    const currentUserId = req.session.user_id || null; // null if not logged in
+async function planRecurrence (db, template, rule) {
+    const now = new Date();
 
-    /*
-     * Main events query - joins event_occurrences with event_templates
-     * event_occurrences = specific instances of events (with dates, locations)
-     * event_templates = the "blueprint" for event types (descriptions, types)
-     */
-    let eventsQuery = knex('event_occurrences')
-        .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+    const existing = await db('event_occurrences')
+        .leftJoin('registration', 'event_occurrences.event_occurrence_id', '=', 'registration.event_occurrence_id')
         .select(
             'event_occurrences.event_occurrence_id',
-            'event_occurrences.event_template_id',
             'event_occurrences.event_name',
             'event_occurrences.event_date_time_start',
             'event_occurrences.event_date_time_end',
             'event_occurrences.event_location',
-            'event_occurrences.event_capacity',
-            'event_occurrences.event_registration_deadline',
-            'event_templates.event_type',
-            'event_templates.event_description'
-        );
+            'event_occurrences.event_generated_from_rule'
+        )
+        .count('registration.registration_id as registration_count')
+        .where('event_occurrences.event_template_id', template.event_template_id)
+        .where('event_occurrences.event_date_time_start', '>=', now)
+        .groupBy('event_occurrences.event_occurrence_id')
+        .orderBy('event_occurrences.event_date_time_start', 'asc');
+
+    const toRemove = existing.filter(o => o.event_generated_from_rule && parseInt(o.registration_count, 10) === 0);
+    const kept = existing.filter(o => !toRemove.includes(o));
+    const keptDates = new Set(kept.map(o => formatDateOnly(o.event_date_time_start)));
+
+    // Today's occurrence may already have started (so it isn't in `existing`) - don't add another one for today
+    const upcoming = expandRecurrenceRule(rule, formatDateOnly(now))
+        .filter(o => new Date(o.event_date_time_start.replace(' ', 'T')) >= now);
+    const truncated = upcoming.length > MAX_GENERATED_OCCURRENCES
+        ? {
+            limit: MAX_GENERATED_OCCURRENCES,
+            lastDate: upcoming[MAX_GENERATED_OCCURRENCES - 1].date,
+            dropped: upcoming.length - MAX_GENERATED_OCCURRENCES
+        }
+        : null;
+
+    const toCreate = upcoming
+        .slice(0, MAX_GENERATED_OCCURRENCES)
+        .filter(o => !keptDates.has(o.date))
+        .map(o => ({
+            event_template_id: template.event_template_id,
+            event_name: template.event_name,
+            event_date_time_start: o.event_date_time_start,
+            event_date_time_end: o.event_date_time_end,
+            venue_id: rule.venue_id || null,
+            event_location: rule.recurrence_location || null,
+            event_capacity: rule.recurrence_capacity || template.event_default_capacity || null,
+            event_registration_deadline: o.event_registration_deadline,
+            event_generated_from_rule: true
+        }));
+
+    return { toCreate, toRemove, kept, truncated };
+}
 
-    // Apply filter and sorting based on upcoming vs past
-    if (filter === 'past') {
-        // Past events: before today, sorted newest first
-        eventsQuery = eventsQuery
-            .where('event_occurrences.event_date_time_start', '<', currentDate)
-            .orderBy('event_occurrences.event_date_time_start', 'desc');
-    } else {
-        // Upcoming events: today or later, sorted soonest first
-        eventsQuery = eventsQuery
-            .where('event_occurrences.event_date_time_start', '>=', currentDate)
-            .orderBy('event_occurrences.event_date_time_start', 'asc');
-    }
+// ~~~~~ Event Listing Filters ~~~~~
+/*
+ * The public /events page can be narrowed down by type, date range, location, open seats
+ * and a keyword. The same filters have to hit both the page query and the count query
+ * (or pagination breaks), so they're applied through one helper.
+ */
 
-    // Separate count query for pagination (need to know total events)
-    let countQuery = knex('event_occurrences')
-        .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id');
-    
-    // Apply same filter to count query
-    if (filter === 'past') {
-        countQuery = countQuery.where('event_occurrences.event_date_time_start', '<', currentDate);
-    } else {
-        countQuery = countQuery.where('event_occurrences.event_date_time_start', '>=', currentDate);
-    }
-    countQuery = countQuery.count('* as count').first();
+/**
+ * parseEventFilters - Reads the /events filter options from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} - { search, type, location, from, to, openSeats } (empty strings / false when not set)
+ */
+function parseEventFilters (query) {
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    const from = String(query.from || '').trim();
+    const to = String(query.to || '').trim();
+
+    return {
+        search: String(query.search || '').trim(),
+        type: String(query.type || '').trim(),
+        location: String(query.location || '').trim(),
+        from: isDate(from) ? from : '',
+        to: isDate(to) ? to : '',
+        openSeats: query.open_seats === '1'
+    };
+}
 
-    // Apply pagination limits to main query
-    eventsQuery = eventsQuery.limit(perPage).offset(offset);
+/**
+ * hasEventFilters - Whether any of the optional /events filters are in use
+ * @param {Object} filters - Output of parseEventFilters
+ * @returns {boolean}
+ */
+function hasEventFilters (filters) {
+    return Boolean(filters.search || filters.type || filters.location || filters.from || filters.to || filters.openSeats);
+}
 
-    // Get how many people are registered for each event
-    // This helps us show "X/Y spots filled" and check if event is full
-    const registrationCountsQuery = knex('registration')
-        .select('event_occurrence_id')
-        .count('* as registration_count')
-        .groupBy('event_occurrence_id');
+/**
+ * applyEventFilters - Adds the /events filters to a query
+ * The query must already join event_occurrences to event_templates.
+ * @param {Object} query - knex query builder
+ * @param {Object} filters - Output of parseEventFilters
+ * @returns {Object} - The same query builder, for chaining
+ */
+function applyEventFilters (query, filters) {
+    if (filters.search) {
+        const searchTerm = `%${filters.search}%`;
+        query = query.where(function() {
+            this.where('event_occurrences.event_name', 'ilike', searchTerm)
+                .orWhere('event_templates.event_description', 'ilike', searchTerm);
+        });
+    }
+    if (filters.type) {
+        query = query.where('event_templates.event_type', filters.type);
+    }
+    if (filters.location) {
+        query = query.where('event_occurrences.event_location', 'ilike', `%${filters.location}%`);
+    }
+    // Date range is inclusive - "to" covers that whole day
+    if (filters.from) {
+        query = query.where('event_occurrences.event_date_time_start', '>=', new Date(`${filters.from}T00:00:00`));
+    }
+    if (filters.to) {
+        const dayAfter = new Date(`${filters.to}T00:00:00`);
+        dayAfter.setDate(dayAfter.getDate() + 1);
+        query = query.where('event_occurrences.event_date_time_start', '<', dayAfter);
+    }
+    // No capacity means unlimited seats, so those always count as open
+    if (filters.openSeats) {
+        const takenSeats = whereHoldsSeat(knex('registration')
+            .count('*')
+            .whereRaw('registration.event_occurrence_id = event_occurrences.event_occurrence_id'));
+        query = query.where(function() {
+            this.whereNull('event_occurrences.event_capacity')
+                .orWhere('event_occurrences.event_capacity', '>', takenSeats);
+        });
+    }
+    return query;
+}
 
-    // If user is logged in, get their existing registrations
-    // So we can disable the Register button for events they already signed up for
-    const userRegistrationsQuery = currentUserId 
-        ? knex('registration')
-            .select('event_occurrence_id')
-            .where('user_id', currentUserId)
-        : Promise.resolve([]); // Empty array if not logged in
+/**
+ * findDoubleBookedOccurrences - Finds occurrences that overlap another one at the same location
+ * @param {Array} occurrences - event_occurrences rows (start, end, location)
+ * @returns {Set} - IDs of every occurrence involved in a clash
+ */
+function findDoubleBookedOccurrences (occurrences) {
+    const clashes = new Set();
+    const byLocation = {};
+
+    occurrences.forEach(occurrence => {
+        const location = (occurrence.event_location || '').trim().toLowerCase();
+        if (!location) return; // Can't double-book "nowhere"
+        (byLocation[location] = byLocation[location] || []).push(occurrence);
+    });
 
-    // Run all queries in parallel for better performance
-    Promise.all([eventsQuery, countQuery, registrationCountsQuery, userRegistrationsQuery])
-        .then(([events, countResult, registrationCounts, userRegistrations]) => {
-            const totalCount = parseInt(countResult.count, 10);
-            const totalPages = Math.ceil(totalCount / perPage);
+    Object.values(byLocation).forEach(group => {
+        group.sort((a, b) => new Date(a.event_date_time_start) - new Date(b.event_date_time_start));
+        // Sweep in start order, remembering which earlier event runs the latest
+        let latest = null;
+        group.forEach(occurrence => {
+            const start = new Date(occurrence.event_date_time_start);
+            const end = new Date(occurrence.event_date_time_end || occurrence.event_date_time_start);
+            if (latest && start < latest.end) {
+                clashes.add(latest.id);
+                clashes.add(occurrence.event_occurrence_id);
+            }
+            if (!latest || end > latest.end) {
+                latest = { id: occurrence.event_occurrence_id, end: end };
+            }
+        });
+    });
 
-            // Build a lookup map: event_id -> registration count
-            const registrationCountMap = {};
-            registrationCounts.forEach(rc => {
-                registrationCountMap[rc.event_occurrence_id] = parseInt(rc.registration_count, 10);
-            });
+    return clashes;
+}
 
-            // Build a Set of events the user is registered for (fast lookup)
-            const userRegisteredEvents = new Set(userRegistrations.map(r => r.event_occurrence_id));
+/**
+ * buildEventFilterParams - Turns the filters back into a query string so they survive pagination
+ * @param {Object} filters - Output of parseEventFilters
+ * @returns {string} - e.g. "&type=STEM&open_seats=1" ('' when no filters are set)
+ */
+function buildEventFilterParams (filters) {
+    const params = new URLSearchParams();
+    if (filters.search) params.set('search', filters.search);
+    if (filters.type) params.set('type', filters.type);
+    if (filters.location) params.set('location', filters.location);
+    if (filters.from) params.set('from', filters.from);
+    if (filters.to) params.set('to', filters.to);
+    if (filters.openSeats) params.set('open_seats', '1');
+    const queryString = params.toString();
+    return queryString ? '&' + queryString : '';
+}
 
-            // Enrich each event with registration info
-            events = events.map(event => ({
-                ...event,
-                registration_count: registrationCountMap[event.event_occurrence_id] || 0,
-                is_user_registered: userRegisteredEvents.has(event.event_occurrence_id)
-            }));
+// ~~~~~ Registration Status Lifecycle ~~~~~
+/*
+ * Every registration row is in exactly one of these states. All status changes go
+ * through transitionRegistration() so the rules below live in one place.
+ *
+ *   pending    -> registered, waitlisted, declined or cancelled (templates that need approval)
+ *   waitlisted -> registered or cancelled
+ *   registered -> cancelled, attended or no-show
+ *   attended  <-> no-show (admins fixing a check-in mistake)
+ *
+ * Cancelled and declined are final - signing up again creates a new registration row, so the
+ * cancellation stays in the person's history.
+ */
+const REGISTRATION_STATUS = {
+    PENDING: 'pending',
+    REGISTERED: 'registered',
+    WAITLISTED: 'waitlisted',
+    DECLINED: 'declined',
+    CANCELLED: 'cancelled',
+    ATTENDED: 'attended',
+    NO_SHOW: 'no-show'
+};
+
+// Which statuses each status is allowed to move to
+const REGISTRATION_TRANSITIONS = {
+    [REGISTRATION_STATUS.PENDING]: [REGISTRATION_STATUS.REGISTERED, REGISTRATION_STATUS.WAITLISTED, REGISTRATION_STATUS.DECLINED, REGISTRATION_STATUS.CANCELLED],
+    [REGISTRATION_STATUS.WAITLISTED]: [REGISTRATION_STATUS.REGISTERED, REGISTRATION_STATUS.CANCELLED],
+    [REGISTRATION_STATUS.REGISTERED]: [REGISTRATION_STATUS.CANCELLED, REGISTRATION_STATUS.ATTENDED, REGISTRATION_STATUS.NO_SHOW],
+    [REGISTRATION_STATUS.ATTENDED]: [REGISTRATION_STATUS.NO_SHOW],
+    [REGISTRATION_STATUS.NO_SHOW]: [REGISTRATION_STATUS.ATTENDED],
+    [REGISTRATION_STATUS.DECLINED]: [],
+    [REGISTRATION_STATUS.CANCELLED]: []
+};
+
+// Statuses that take up one of the occurrence's seats
+const SEAT_HOLDING_STATUSES = [REGISTRATION_STATUS.REGISTERED, REGISTRATION_STATUS.ATTENDED, REGISTRATION_STATUS.NO_SHOW];
+
+// Statuses that count as "signed up" - you can't sign up again while you have one of these
+const ACTIVE_STATUSES = [REGISTRATION_STATUS.PENDING, REGISTRATION_STATUS.REGISTERED, REGISTRATION_STATUS.WAITLISTED, REGISTRATION_STATUS.ATTENDED, REGISTRATION_STATUS.NO_SHOW];
+
+// Statuses for an upcoming event that can still be cancelled or switched away from
+const UPCOMING_STATUSES = [REGISTRATION_STATUS.PENDING, REGISTRATION_STATUS.REGISTERED, REGISTRATION_STATUS.WAITLISTED];
 
-            // Render the events page with all our data
-            res.render('events', {
-                events: events,
-                filter: filter,
-                currentPage: page,
-                totalPages: totalPages,
-                totalCount: totalCount,
-                error_message: req.query.error || '',
-                success_message: req.query.success || ''
-            });
-        })
-        .catch(err => {
-            console.log('Error fetching events:', err);
-            // On error, show empty state with error message
-            res.render('events', {
-                events: [],
-                filter: filter,
-                currentPage: 1,
-                totalPages: 1,
-                totalCount: 0,
-                error_message: 'Error loading events. Please try again.'
-            });
-        });
-});
+/**
+ * canTransitionRegistration - Checks whether a registration may move from one status to another
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Desired status
+ * @returns {boolean}
+ */
+function canTransitionRegistration (fromStatus, toStatus) {
+    return (REGISTRATION_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
 
-/*
- * Event Registration Route
- * When a user clicks "Register" on an event, this handles the signup process.
- * We do a bunch of validation before actually creating the registration.
+/**
+ * transitionRegistration - Moves a registration to a new status, if the lifecycle allows it
+ * @param {Object} db - knex instance or transaction
+ * @param {number} registrationId - The registration to update
+ * @param {string} toStatus - One of REGISTRATION_STATUS
+ * @param {Object} changes - Any other columns to update at the same time (e.g. check-in time)
+ * @returns {Promise} - Resolves to the registration as it was before the change, or null if the
+ *                      registration doesn't exist or the change isn't allowed
  */
-app.post('/events/:event_occurrence_id/register', (req, res) => {
-    const eventOccurrenceId = req.params.event_occurrence_id;
-    const userId = req.session.user_id;
+async function transitionRegistration (db, registrationId, toStatus, changes = {}) {
+    const registration = await db('registration')
+        .where('registration_id', registrationId)
+        .first();
 
-    // Must be logged in to register for events
-    if (!userId) {
-        return res.redirect('/login?redirect=' + encodeURIComponent('/events'));
+    if (!registration || !canTransitionRegistration(registration.registration_status, toStatus)) {
+        return null;
     }
 
-    // First, get the event details so we can validate
-    knex('event_occurrences')
-        .where('event_occurrence_id', eventOccurrenceId)
-        .first()
-        .then(event => {
-            // Make sure the event actually exists
-            if (!event) {
-                return res.redirect('/events?error=' + encodeURIComponent('Event not found.'));
-            }
+    await db('registration')
+        .where('registration_id', registrationId)
+        .update({
+            ...changes,
+            registration_status: toStatus,
+            // Only waitlisted rows have a place in line
+            registration_waitlist_position: toStatus === REGISTRATION_STATUS.WAITLISTED
+                ? (changes.registration_waitlist_position || registration.registration_waitlist_position)
+                : null,
+            // ...and only while they're waiting can the no-show policy hold them back
+            registration_no_show_hold: toStatus === REGISTRATION_STATUS.WAITLISTED
+                ? Boolean(changes.registration_no_show_hold !== undefined ? changes.registration_no_show_hold : registration.registration_no_show_hold)
+                : false,
+            updated_at: new Date()
+        });
 
-            const currentDate = new Date();
-            const eventStart = new Date(event.event_date_time_start);
-            const deadline = event.event_registration_deadline ? new Date(event.event_registration_deadline) : null;
+    return registration;
+}
 
-            // Validation 1: Can't register for events that already started
-            if (eventStart < currentDate) {
-                return res.redirect('/events?error=' + encodeURIComponent('This event has already started.'));
-            }
+/**
+ * findActiveRegistration - Looks up a user's current (non-cancelled) registration for an occurrence
+ * @param {Object} db - knex instance or transaction
+ * @param {number} userId - The user
+ * @param {number} eventOccurrenceId - The occurrence
+ * @returns {Promise} - Resolves to the registration row, or undefined
+ */
+function findActiveRegistration (db, userId, eventOccurrenceId) {
+    return db('registration')
+        .where({ user_id: userId, event_occurrence_id: eventOccurrenceId })
+        .whereIn('registration_status', ACTIVE_STATUSES)
+        .first();
+}
 
-            // Validation 2: Check if registration deadline passed (if there is one)
-            if (deadline && deadline < currentDate) {
-                return res.redirect('/events?error=' + encodeURIComponent('Registration deadline has passed.'));
-            }
+/**
+ * lockOccurrence - Fetches an occurrence and locks its row until the transaction ends
+ * Anything that reads the seat count and then writes a registration should call this first,
+ * so concurrent requests for the same occurrence wait their turn instead of overbooking it.
+ * @param {Object} trx - knex transaction
+ * @param {number} eventOccurrenceId - The occurrence to lock
+ * @returns {Promise} - Resolves to the occurrence row, or undefined
+ */
+function lockOccurrence (trx, eventOccurrenceId) {
+    return trx('event_occurrences')
+        .where('event_occurrence_id', eventOccurrenceId)
+        .forUpdate()
+        .first();
+}
+
+/**
+ * isUniqueViolation - Checks whether a database error came from a unique constraint/index
+ * @param {Error} err - Error thrown by knex/pg
+ * @returns {boolean}
+ */
+function isUniqueViolation (err) {
+    return Boolean(err) && err.code === '23505'; // Postgres "unique_violation"
+}
+
+/**
+ * whereHoldsSeat - Limits a registration query to rows that actually take up a seat
+ * @param {Object} query - A knex query on the registration table
+ * @returns {Object} - The same query, filtered
+ */
+function whereHoldsSeat (query) {
+    return query.whereIn('registration.registration_status', SEAT_HOLDING_STATUSES);
+}
+
+/**
+ * countTakenSeats - How many seats are taken for an occurrence
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventOccurrenceId - The occurrence to count
+ * @returns {Promise} - Resolves to a number
+ */
+function countTakenSeats (db, eventOccurrenceId) {
+    return whereHoldsSeat(db('registration').where('registration.event_occurrence_id', eventOccurrenceId))
+        .count('* as count')
+        .first()
+        .then(result => parseInt(result.count, 10));
+}
+
+// ~~~~~ Waitlist Helpers ~~~~~
+/*
+ * When an occurrence is full, people can join its waitlist. They get a registration row
+ * with a 'waitlisted' status and a registration_waitlist_position (1 = next in line).
+ */
+
+/**
+ * resequenceWaitlist - Renumbers an occurrence's waitlist 1..n (closes gaps after someone leaves)
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventOccurrenceId - The occurrence whose waitlist to renumber
+ * @returns {Promise}
+ */
+async function resequenceWaitlist (db, eventOccurrenceId) {
+    const waitlist = await db('registration')
+        .select('registration_id')
+        .where({ event_occurrence_id: eventOccurrenceId, registration_status: REGISTRATION_STATUS.WAITLISTED })
+        .orderBy('registration_waitlist_position', 'asc')
+        .orderBy('registration_id', 'asc');
+
+    for (let i = 0; i < waitlist.length; i++) {
+        await db('registration')
+            .where('registration_id', waitlist[i].registration_id)
+            .update({ registration_waitlist_position: i + 1 });
+    }
+}
+
+/**
+ * promoteFromWaitlist - Moves people off the waitlist (in order) while there are open seats
+ * Call this whenever a seat might have opened up: a cancellation or a capacity increase.
+ * People held back by the no-show policy (registration_no_show_hold) are passed over until
+ * NO_SHOW_RELEASE_HOURS before the event - see releaseHeldSeats.
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventOccurrenceId - The occurrence to fill
+ * @returns {Promise} - Resolves to the array of promoted registration rows
+ */
+async function promoteFromWaitlist (db, eventOccurrenceId) {
+    const occurrence = await lockOccurrence(db, eventOccurrenceId);
+
+    // No promotions once the event has started
+    if (!occurrence || new Date(occurrence.event_date_time_start) < new Date()) {
+        return [];
+    }
+
+    let nextInLine = db('registration')
+        .where({ event_occurrence_id: eventOccurrenceId, registration_status: REGISTRATION_STATUS.WAITLISTED })
+        .orderBy('registration_waitlist_position', 'asc')
+        .orderBy('registration_id', 'asc');
+
+    const releaseTime = new Date(occurrence.event_date_time_start).getTime() - NO_SHOW_RELEASE_HOURS * 60 * 60 * 1000;
+    if (Date.now() < releaseTime) {
+        nextInLine = nextInLine.where('registration_no_show_hold', false);
+    }
+
+    // No capacity set means unlimited seats - everyone gets in
+    if (occurrence.event_capacity) {
+        const openSeats = occurrence.event_capacity - await countTakenSeats(db, eventOccurrenceId);
+        if (openSeats <= 0) {
+            return [];
+        }
+        nextInLine = nextInLine.limit(openSeats);
+    }
+
+    const promoted = await nextInLine;
+    if (promoted.length === 0) {
+        return [];
+    }
+
+    for (const registration of promoted) {
+        await transitionRegistration(db, registration.registration_id, REGISTRATION_STATUS.REGISTERED);
+    }
+
+    await resequenceWaitlist(db, eventOccurrenceId);
+    return promoted;
+}
+
+// ~~~~~ Registration Approval ~~~~~
+/*
+ * Templates with event_requires_approval set don't hand out seats straight away: new sign-ups
+ * start out 'pending' and wait in the admin approval queue. Pending requests don't hold a seat -
+ * approving one takes a seat if there's one free, otherwise it goes to the back of the waitlist.
+ * Either way the participant gets a notification (with the reviewer's note) on their registrations page.
+ */
+
+const RECENT_REVIEWS_SHOWN = 10; // Latest decisions listed under the approval queue
+const APPROVAL_REQUESTED_MESSAGE = 'Thanks! Your registration request has been sent. You\'ll see the decision on your registrations page once it\'s been reviewed.';
+
+/**
+ * requiresApproval - Whether sign-ups for an occurrence have to be approved by an admin first
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} event - The event_occurrences row
+ * @returns {Promise} - Resolves to a boolean
+ */
+function requiresApproval (db, event) {
+    return db('event_templates')
+        .where('event_template_id', event.event_template_id)
+        .first('event_requires_approval')
+        .then(template => Boolean(template && template.event_requires_approval));
+}
+
+/**
+ * reviewRegistration - Approves or declines a pending registration and lets the participant know
+ * Call inside a transaction - the occurrence is locked so an approval can't take the last seat twice.
+ * @param {Object} trx - knex transaction
+ * @param {number} registrationId - The pending registration
+ * @param {boolean} approve - true to approve, false to decline
+ * @param {number} reviewerId - The admin making the decision
+ * @param {string} note - Optional message for the participant
+ * @returns {Promise} - Resolves to { error } or { success }
+ */
+async function reviewRegistration (trx, registrationId, approve, reviewerId, note) {
+    const registration = await trx('registration')
+        .where({ registration_id: registrationId, registration_status: REGISTRATION_STATUS.PENDING })
+        .forUpdate()
+        .first();
+    if (!registration) {
+        return { error: 'That request has already been reviewed or withdrawn.' };
+    }
+
+    const occurrence = await lockOccurrence(trx, registration.event_occurrence_id);
+    const user = await trx('users')
+        .select('user_first_name', 'user_last_name')
+        .where('user_id', registration.user_id)
+        .first();
+    const name = user ? `${user.user_first_name} ${user.user_last_name}` : 'The participant';
+    const when = formatEventTime(occurrence.event_date_time_start, occurrence.event_date_time_end);
+
+    const changes = {
+        registration_review_note: note || null,
+        registration_reviewed_at: new Date(),
+        registration_reviewed_by_user_id: reviewerId
+    };
+    let toStatus = REGISTRATION_STATUS.DECLINED;
+    let subject = `Not approved: ${occurrence.event_name}`;
+    let body = `Your registration request for ${occurrence.event_name} on ${when} was not approved.`;
+    let success = `Declined ${name}'s request.`;
+
+    if (approve) {
+        if (new Date(occurrence.event_date_time_start) < new Date()) {
+            return { error: 'This event has already started, so the request can only be declined.' };
+        }
+
+        const takenSeats = await countTakenSeats(trx, occurrence.event_occurrence_id);
+        if (!occurrence.event_capacity || takenSeats < occurrence.event_capacity) {
+            toStatus = REGISTRATION_STATUS.REGISTERED;
+            subject = `Approved: ${occurrence.event_name}`;
+            body = `Your registration for ${occurrence.event_name} on ${when} has been approved - see you there!`;
+            success = `Approved ${name}.`;
+        } else {
+            // Filled up while they were waiting - they keep their spot in line instead
+            const lastInLine = await trx('registration')
+                .where({ event_occurrence_id: occurrence.event_occurrence_id, registration_status: REGISTRATION_STATUS.WAITLISTED })
+                .max('registration_waitlist_position as position')
+                .first();
+            changes.registration_waitlist_position = (lastInLine.position || 0) + 1;
+            toStatus = REGISTRATION_STATUS.WAITLISTED;
+            subject = `Approved (waitlist): ${occurrence.event_name}`;
+            body = `Your registration for ${occurrence.event_name} on ${when} has been approved, but the event is full, so you're #${changes.registration_waitlist_position} on the waitlist. We'll register you automatically if a seat opens up.`;
+            success = `Approved ${name} - the event is full, so they're #${changes.registration_waitlist_position} on the waitlist.`;
+        }
+    }
+
+    await transitionRegistration(trx, registrationId, toStatus, changes);
+    await trx('notifications').insert({
+        user_id: registration.user_id,
+        event_occurrence_id: occurrence.event_occurrence_id,
+        notification_type: approve ? 'registration-approved' : 'registration-declined',
+        notification_subject: subject,
+        notification_body: note ? `${body}\n\nNote: ${note}` : body
+    });
+    return { success: success };
+}
+
+// ~~~~~ Registration Transfers ~~~~~
+/*
+ * "Switch date" moves a registration to another occurrence of the same event template instead of
+ * making people cancel and start over. The old row is cancelled with the reason 'transferred' and the
+ * new one points back at it (registration_transferred_from_id), so the history stays intact, and the
+ * signup answers are copied across. A request still waiting for approval stays pending at the new date;
+ * anyone already approved keeps their approval.
+ */
+
+/**
+ * findTransferableRegistration - A registration with its occurrence and participant name, for the Switch Date pages
+ * @param {Object} db - knex instance or transaction
+ * @param {number} registrationId - The registration
+ * @returns {Promise} - Resolves to the joined row, or undefined
+ */
+function findTransferableRegistration (db, registrationId) {
+    return db('registration')
+        .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .innerJoin('users', 'registration.user_id', '=', 'users.user_id')
+        .select(
+            'registration.registration_id',
+            'registration.user_id',
+            'registration.registration_status',
+            'registration.registration_waitlist_position',
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_template_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location',
+            'users.user_first_name',
+            'users.user_last_name'
+        )
+        .where('registration.registration_id', registrationId)
+        .first();
+}
+
+/**
+ * getTransferOptions - The other upcoming dates of the same event a registration could move to
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} registration - Needs event_template_id and event_occurrence_id
+ * @returns {Promise} - Resolves to occurrence rows with seats_taken, is_full and is_closed added
+ */
+async function getTransferOptions (db, registration) {
+    const occurrences = await whereNotCancelled(db('event_occurrences'))
+        .select(
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location',
+            'event_occurrences.event_capacity',
+            'event_occurrences.event_registration_deadline'
+        )
+        .where('event_occurrences.event_template_id', registration.event_template_id)
+        .whereNot('event_occurrences.event_occurrence_id', registration.event_occurrence_id)
+        .where('event_occurrences.event_date_time_start', '>=', new Date())
+        .orderBy('event_occurrences.event_date_time_start', 'asc');
+
+    const seatCounts = await whereHoldsSeat(db('registration')
+        .whereIn('registration.event_occurrence_id', occurrences.map(occurrence => occurrence.event_occurrence_id)))
+        .select('registration.event_occurrence_id')
+        .count('* as count')
+        .groupBy('registration.event_occurrence_id');
+
+    const now = new Date();
+    return occurrences.map(occurrence => {
+        const counted = seatCounts.find(row => row.event_occurrence_id === occurrence.event_occurrence_id);
+        const seatsTaken = counted ? parseInt(counted.count, 10) : 0;
+        return {
+            ...occurrence,
+            seats_taken: seatsTaken,
+            is_full: Boolean(occurrence.event_capacity) && seatsTaken >= occurrence.event_capacity,
+            is_closed: Boolean(occurrence.event_registration_deadline) && new Date(occurrence.event_registration_deadline) < now
+        };
+    });
+}
+
+/**
+ * transferRegistration - Moves a registration to another date of the same event
+ * Call inside a transaction. Both occurrences are locked (lowest ID first, like switching
+ * registrations) so the seat count at the new date can't change underneath us.
+ * The new date gets the same eligibility, overlap and no-show checks as registering for it,
+ * so switching dates can't be used to get around them.
+ * @param {Object} trx - knex transaction
+ * @param {number} registrationId - The registration to move
+ * @param {number} toOccurrenceId - The date to move it to
+ * @param {boolean} joinWaitlist - Whether it's OK to go on the new date's waitlist if it's full
+ * @param {boolean} confirmedOverlap - They already saw the overlap warning and chose to move anyway
+ * @returns {Promise} - Resolves to { error } ({ error, overlap: true } for a clash they can confirm past)
+ *                      or { success, from, to, registration } (the new row)
+ */
+async function transferRegistration (trx, registrationId, toOccurrenceId, joinWaitlist, confirmedOverlap) {
+    const registration = await trx('registration')
+        .where('registration_id', registrationId)
+        .whereIn('registration_status', UPCOMING_STATUSES)
+        .forUpdate()
+        .first();
+    if (!registration) {
+        return { error: 'This registration can no longer be moved.' };
+    }
+    if (registration.event_occurrence_id === toOccurrenceId) {
+        return { error: 'That\'s the date this registration is already for.' };
+    }
+
+    const lockIds = [registration.event_occurrence_id, toOccurrenceId].sort((a, b) => a - b);
+    const locked = {};
+    for (const id of lockIds) {
+        locked[id] = await lockOccurrence(trx, id);
+    }
+    const from = locked[registration.event_occurrence_id];
+    const to = locked[toOccurrenceId];
+    const now = new Date();
+
+    if (!to || to.event_template_id !== from.event_template_id) {
+        return { error: 'Registrations can only move to another date of the same event.' };
+    }
+    if (new Date(from.event_date_time_start) < now) {
+        return { error: 'This event has already started, so the registration can\'t be moved.' };
+    }
+    if (to.event_status === EVENT_STATUS.CANCELLED) {
+        return { error: 'That date has been cancelled.' };
+    }
+    if (new Date(to.event_date_time_start) < now) {
+        return { error: 'That date has already started.' };
+    }
+    if (to.event_registration_deadline && new Date(to.event_registration_deadline) < now) {
+        return { error: 'The registration deadline for that date has passed.' };
+    }
+    if (await findActiveRegistration(trx, registration.user_id, toOccurrenceId)) {
+        return { error: 'There\'s already a registration for that date.' };
+    }
+
+    // Age limits etc. are measured against the new date
+    const ineligibleReason = await checkEligibility(trx, to, registration.user_id);
+    if (ineligibleReason) {
+        return { error: ineligibleReason };
+    }
+
+    // The date being given up doesn't count as a clash
+    const overlaps = ((await checkOverlapPolicy(trx, registration.user_id, to, confirmedOverlap)) || [])
+        .filter(overlap => overlap.registration_id !== registration.registration_id);
+    if (overlaps.length > 0) {
+        const clashes = overlaps
+            .map(overlap => `${overlap.event_name} (${formatEventTime(overlap.event_date_time_start, overlap.event_date_time_end)})`)
+            .join(', ');
+        return REGISTRATION_OVERLAP_POLICY === 'warn'
+            ? { error: `That date overlaps with ${clashes}. Choose "Move Anyway" if you still want to switch.`, overlap: true }
+            : { error: `That date overlaps with ${clashes}. Cancel or switch that registration first.` };
+    }
+
+    // Requests waiting for approval carry on waiting; everyone else needs a seat or a place in line
+    const when = formatEventTime(to.event_date_time_start, to.event_date_time_end);
+    let status = REGISTRATION_STATUS.PENDING;
+    let position = null;
+    let held = false;
+    let success = `Moved to ${when} - still waiting for approval.`;
+
+    if (registration.registration_status !== REGISTRATION_STATUS.PENDING) {
+        status = REGISTRATION_STATUS.REGISTERED;
+        success = `Moved to ${when}.`;
+
+        // High-demand programs send people with repeated no-shows to the waitlist first
+        const heldPosition = await applyNoShowPolicy(trx, to, registration.user_id);
+        const takenSeats = await countTakenSeats(trx, toOccurrenceId);
+        if (heldPosition) {
+            position = heldPosition;
+            held = true;
+            status = REGISTRATION_STATUS.WAITLISTED;
+            success = describeNoShowHold(heldPosition);
+        } else if (to.event_capacity && takenSeats >= to.event_capacity) {
+            if (!joinWaitlist) {
+                return { error: 'That date is full. Choose "Join Waitlist" to move onto its waitlist instead.' };
+            }
+            const lastInLine = await trx('registration')
+                .where({ event_occurrence_id: toOccurrenceId, registration_status: REGISTRATION_STATUS.WAITLISTED })
+                .max('registration_waitlist_position as position')
+                .first();
+            position = (lastInLine.position || 0) + 1;
+            status = REGISTRATION_STATUS.WAITLISTED;
+            success = `Moved to the waitlist for ${when} (#${position}).`;
+        }
+    }
+
+    // Give up the old spot (letting that date's waitlist move up)...
+    await transitionRegistration(trx, registration.registration_id, REGISTRATION_STATUS.CANCELLED, {
+        registration_cancelled_reason: 'transferred'
+    });
+    if (registration.registration_status === REGISTRATION_STATUS.WAITLISTED) {
+        await resequenceWaitlist(trx, registration.event_occurrence_id);
+    } else if (registration.registration_status === REGISTRATION_STATUS.REGISTERED) {
+        await promoteFromWaitlist(trx, registration.event_occurrence_id);
+    }
+
+    // ...and take the new one, bringing the signup answers along
+    const [moved] = await trx('registration')
+        .insert({
+            user_id: registration.user_id,
+            event_occurrence_id: toOccurrenceId,
+            registration_status: status,
+            registration_waitlist_position: position,
+            registration_no_show_hold: held,
+            registration_created_at: now,
+            registration_transferred_from_id: registration.registration_id
+        })
+        .returning('*');
+
+    const answers = await trx('registration_answers')
+        .select('question_id', 'answer_text')
+        .where('registration_id', registration.registration_id);
+    if (answers.length > 0) {
+        await trx('registration_answers').insert(answers.map(answer => ({ ...answer, registration_id: moved.registration_id })));
+    }
+
+    return { success: success, from: from, to: to, registration: moved };
+}
+
+// ~~~~~ Attendance & No-Shows ~~~~~
+/*
+ * Attendance rates come from past registrations that were checked in (attended) or not (no-show).
+ * A registration counts as attended if either its status or registration_attended_flag says so,
+ * so the two can't drift apart and turn real attendance into no-shows. A nightly job marks anyone still 'registered'
+ * for an event that has ended as a no-show, so nobody has to do it by hand.
+ *
+ * Templates flagged event_high_demand apply a reliability policy: someone with NO_SHOW_LIMIT
+ * or more no-shows in the last NO_SHOW_LOOKBACK_DAYS joins the waitlist even if seats are open.
+ * Seats nobody else took are handed to the waitlist NO_SHOW_RELEASE_HOURS before the event.
+ */
+const NO_SHOW_LIMIT = parseInt(process.env.NO_SHOW_LIMIT, 10) || 3;
+const NO_SHOW_LOOKBACK_DAYS = 365;
+const NO_SHOW_RELEASE_HOURS = 48;
+
+// Whether a registration row counts as attended (see above)
+const ATTENDED_SQL = `coalesce(registration.registration_attended_flag, false) or registration.registration_status = '${REGISTRATION_STATUS.ATTENDED}'`;
+
+/**
+ * getAttendanceStats - Attendance rate and no-show count for a set of participants
+ * @param {Object} db - knex instance or transaction
+ * @param {Array} userIds - Users to look up
+ * @param {Date} since - Only count events that started on/after this (optional)
+ * @returns {Promise} - Resolves to { user_id: { attended, noShows, total, rate } } - rate is a
+ *                      whole percentage, or null if they haven't been to anything yet
+ */
+async function getAttendanceStats (db, userIds, since) {
+    let query = db('registration')
+        .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .select('registration.user_id')
+        .select(db.raw(`count(*) filter (where ${ATTENDED_SQL}) as attended`))
+        .select(db.raw(`count(*) filter (where not (${ATTENDED_SQL})) as no_shows`))
+        .whereIn('registration.user_id', userIds)
+        .whereIn('registration.registration_status', [REGISTRATION_STATUS.ATTENDED, REGISTRATION_STATUS.NO_SHOW])
+        .groupBy('registration.user_id');
+
+    if (since) {
+        query = query.where('event_occurrences.event_date_time_start', '>=', since);
+    }
+
+    const stats = {};
+    userIds.forEach(userId => {
+        stats[userId] = { attended: 0, noShows: 0, total: 0, rate: null };
+    });
+    (await query).forEach(row => {
+        const attended = parseInt(row.attended, 10);
+        const noShows = parseInt(row.no_shows, 10);
+        stats[row.user_id] = {
+            attended: attended,
+            noShows: noShows,
+            total: attended + noShows,
+            rate: Math.round(attended / (attended + noShows) * 100)
+        };
+    });
+    return stats;
+}
+
+/**
+ * countRecentNoShows - How many no-shows count against someone under the reliability policy
+ * @param {Object} db - knex instance or transaction
+ * @param {number} userId - The participant
+ * @returns {Promise} - Resolves to a number
+ */
+async function countRecentNoShows (db, userId) {
+    const since = new Date(Date.now() - NO_SHOW_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const stats = await getAttendanceStats(db, [userId], since);
+    return stats[userId].noShows;
+}
+
+/**
+ * applyNoShowPolicy - Checks whether a new sign-up should go to the waitlist under the reliability policy
+ * Call inside the registration transaction, after lockOccurrence. Save the new row with
+ * registration_no_show_hold set when this returns a position, so promoteFromWaitlist holds it back.
+ * Events without a capacity never hold anyone back - there's no seat to keep for someone else.
+ * @param {Object} db - knex transaction
+ * @param {Object} event - The (locked) event_occurrences row
+ * @param {number} userId - Who's registering
+ * @returns {Promise} - Resolves to the waitlist position they should get, or null to register them normally
+ */
+async function applyNoShowPolicy (db, event, userId) {
+    if (!event.event_capacity) {
+        return null;
+    }
+    const template = await db('event_templates')
+        .where('event_template_id', event.event_template_id)
+        .first('event_high_demand');
+    if (!template || !template.event_high_demand) {
+        return null;
+    }
+    if (await countRecentNoShows(db, userId) < NO_SHOW_LIMIT) {
+        return null;
+    }
+
+    const lastInLine = await db('registration')
+        .where({ event_occurrence_id: event.event_occurrence_id, registration_status: REGISTRATION_STATUS.WAITLISTED })
+        .max('registration_waitlist_position as position')
+        .first();
+    return (lastInLine.position || 0) + 1;
+}
+
+/**
+ * describeNoShowHold - The message shown when the reliability policy puts someone on the waitlist
+ * @param {number} position - Their place in line
+ * @returns {string}
+ */
+function describeNoShowHold (position) {
+    return `Because of missed events in the past year, you've been added to the waitlist (position #${position}) for this popular event. ` +
+        `Any seats still open ${NO_SHOW_RELEASE_HOURS} hours before it starts go to the waitlist.`;
+}
+
+/**
+ * markNoShows - Marks registrations for events that have ended, where nobody checked in, as no-shows
+ * @param {Object} db - knex instance or transaction
+ * @returns {Promise} - Resolves to the number of registrations marked
+ */
+async function markNoShows (db) {
+    const now = new Date();
+    const missed = await db('registration')
+        .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .select('registration.registration_id')
+        .where('registration.registration_status', REGISTRATION_STATUS.REGISTERED)
+        .where(function () {
+            this.where('event_occurrences.event_date_time_end', '<', now)
+                .orWhere(function () {
+                    this.whereNull('event_occurrences.event_date_time_end')
+                        .where('event_occurrences.event_date_time_start', '<', now);
+                });
+        });
+
+    for (const registration of missed) {
+        await transitionRegistration(db, registration.registration_id, REGISTRATION_STATUS.NO_SHOW, {
+            registration_attended_flag: false,
+            registration_check_in_time: null
+        });
+    }
+    return missed.length;
+}
+
+/**
+ * releaseHeldSeats - Gives open seats at soon-to-start high-demand events to their waitlists
+ * People held back by the reliability policy wait while seats are open; this is when they get them.
+ * @param {Object} db - knex transaction
+ * @returns {Promise} - Resolves to the number of people promoted
+ */
+async function releaseHeldSeats (db) {
+    const now = new Date();
+    const occurrences = await whereNotCancelled(db('event_occurrences')
+        .innerJoin('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+        .distinct('event_occurrences.event_occurrence_id')
+        .where('event_templates.event_high_demand', true)
+        .where('event_occurrences.event_date_time_start', '>', now)
+        .where('event_occurrences.event_date_time_start', '<=', new Date(now.getTime() + NO_SHOW_RELEASE_HOURS * 60 * 60 * 1000))
+        .whereExists(function () {
+            this.select('*')
+                .from('registration')
+                .whereRaw('registration.event_occurrence_id = event_occurrences.event_occurrence_id')
+                .where('registration.registration_status', REGISTRATION_STATUS.WAITLISTED);
+        }));
+
+    let promoted = 0;
+    for (const occurrence of occurrences) {
+        promoted += (await promoteFromWaitlist(db, occurrence.event_occurrence_id)).length;
+    }
+    return promoted;
+}
+
+/**
+ * runNightlyAttendanceJob - Marks yesterday's no-shows and releases held seats (see scheduleNightly)
+ * @returns {Promise}
+ */
+async function runNightlyAttendanceJob () {
+    const { marked, promoted } = await knex.transaction(async trx => ({
+        marked: await markNoShows(trx),
+        promoted: await releaseHeldSeats(trx)
+    }));
+    console.log(`Nightly attendance job: ${marked} no-show(s) marked, ${promoted} waitlisted participant(s) given open seats.`);
+}
+
+// When nightly jobs run (server time) - after the day's last events, before anyone's up
+const NIGHTLY_JOB_HOUR = 2;
+
+/**
+ * scheduleNightly - Runs a task every night at NIGHTLY_JOB_HOUR
+ * A failed run is logged and simply tried again the next night.
+ * @param {string} name - Shown in the log if the task fails
+ * @param {Function} task - Async function to run
+ */
+function scheduleNightly (name, task) {
+    const nextRun = new Date();
+    nextRun.setHours(NIGHTLY_JOB_HOUR, 0, 0, 0);
+    if (nextRun <= new Date()) {
+        nextRun.setDate(nextRun.getDate() + 1);
+    }
+
+    setTimeout(async () => {
+        try {
+            await task();
+        } catch (err) {
+            console.log(`Error running ${name}: `, err);
+        }
+        scheduleNightly(name, task);
+    }, nextRun - new Date());
+}
+
+// ~~~~~ Eligibility Rules ~~~~~
+/*
+ * Event templates can limit who signs up: an age range (from user_dob, as of the event's start),
+ * milestones they must already have, a field of interest, and first-time-only programs.
+ * An admin can wave a participant through with a row in event_eligibility_overrides.
+ */
+const ELIGIBILITY_FIELDS = ['STEM', 'Arts']; // A user whose field of interest is 'Both' matches either
+
+/**
+ * calculateAge - Whole years between a date of birth and a given day
+ * @param {Date|string} dob - Date of birth
+ * @param {Date} onDate - The day to measure on (e.g. the event's start)
+ * @returns {number}
+ */
+function calculateAge (dob, onDate) {
+    const birth = new Date(dob);
+    let age = onDate.getFullYear() - birth.getFullYear();
+    if (onDate.getMonth() < birth.getMonth() ||
+        (onDate.getMonth() === birth.getMonth() && onDate.getDate() < birth.getDate())) {
+        age--;
+    }
+    return age;
+}
+
+/**
+ * describeAgeRange - "13–18", "13 and up" or "18 and under"
+ * @param {number|null} minAge
+ * @param {number|null} maxAge
+ * @returns {string|null} - null when there's no age limit
+ */
+function describeAgeRange (minAge, maxAge) {
+    if (minAge !== null && maxAge !== null) return `${minAge}–${maxAge}`;
+    if (minAge !== null) return `${minAge} and up`;
+    if (maxAge !== null) return `${maxAge} and under`;
+    return null;
+}
+
+/**
+ * getEligibilityRules - A template's eligibility rules, including its required milestones
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventTemplateId - The template
+ * @returns {Promise} - Resolves to { minAge, maxAge, fieldOfInterest, firstTimeOnly, milestones } (null if no template)
+ */
+async function getEligibilityRules (db, eventTemplateId) {
+    const [template, milestones] = await Promise.all([
+        db('event_templates')
+            .select('eligibility_min_age', 'eligibility_max_age', 'eligibility_field_of_interest', 'eligibility_first_time_only')
+            .where('event_template_id', eventTemplateId)
+            .first(),
+        db('event_template_required_milestones')
+            .innerJoin('milestones', 'event_template_required_milestones.milestone_id', '=', 'milestones.milestone_id')
+            .select('milestones.milestone_id', 'milestones.milestone_title')
+            .where('event_template_required_milestones.event_template_id', eventTemplateId)
+            .orderBy('milestones.milestone_title')
+    ]);
+
+    if (!template) return null;
+
+    return {
+        minAge: template.eligibility_min_age,
+        maxAge: template.eligibility_max_age,
+        fieldOfInterest: template.eligibility_field_of_interest,
+        firstTimeOnly: template.eligibility_first_time_only,
+        milestones: milestones
+    };
+}
+
+/**
+ * describeEligibilityRules - Plain-English list of the rules, for event pages and the admin form
+ * @param {Object} rules - From getEligibilityRules
+ * @returns {Array} - Strings, empty when anyone can sign up
+ */
+function describeEligibilityRules (rules) {
+    if (!rules) return [];
+    const lines = [];
+
+    const ageRange = describeAgeRange(rules.minAge, rules.maxAge);
+    if (ageRange) {
+        lines.push(`Ages ${ageRange}`);
+    }
+    if (rules.fieldOfInterest) {
+        lines.push(`For participants interested in ${rules.fieldOfInterest}`);
+    }
+    if (rules.milestones.length > 0) {
+        lines.push('Must have completed: ' + rules.milestones.map(milestone => milestone.milestone_title).join(', '));
+    }
+    if (rules.firstTimeOnly) {
+        lines.push('First-time participants only');
+    }
+    return lines;
+}
+
+/**
+ * checkEligibility - Whether a user meets an occurrence's eligibility rules
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} event - The event_occurrences row
+ * @param {number} userId - Who wants to sign up
+ * @returns {Promise} - Resolves to the reason they can't (a string), or null if they can
+ */
+async function checkEligibility (db, event, userId) {
+    const rules = await getEligibilityRules(db, event.event_template_id);
+    if (!rules || describeEligibilityRules(rules).length === 0) {
+        return null;
+    }
+
+    const override = await db('event_eligibility_overrides')
+        .where({ event_template_id: event.event_template_id, user_id: userId })
+        .first();
+    if (override) {
+        return null;
+    }
+
+    const user = await db('users')
+        .select('user_dob', 'user_field_of_interest')
+        .where('user_id', userId)
+        .first();
+    if (!user) {
+        return 'Account not found.';
+    }
+
+    if (rules.minAge !== null || rules.maxAge !== null) {
+        if (!user.user_dob) {
+            return 'This event has an age requirement. Add your date of birth on your Account Info page so we can check it.';
+        }
+        const age = calculateAge(user.user_dob, new Date(event.event_date_time_start));
+        if ((rules.minAge !== null && age < rules.minAge) || (rules.maxAge !== null && age > rules.maxAge)) {
+            return `This event is for ages ${describeAgeRange(rules.minAge, rules.maxAge)}. You'll be ${age} on the day of the event.`;
+        }
+    }
+
+    if (rules.fieldOfInterest) {
+        const field = (user.user_field_of_interest || '').toLowerCase();
+        if (field !== rules.fieldOfInterest.toLowerCase() && field !== 'both') {
+            return `This event is for participants interested in ${rules.fieldOfInterest}.`;
+        }
+    }
+
+    if (rules.milestones.length > 0) {
+        const completed = await db('user_milestones')
+            .where('user_id', userId)
+            .whereIn('milestone_id', rules.milestones.map(milestone => milestone.milestone_id))
+            .pluck('milestone_id');
+        const missing = rules.milestones.filter(milestone => !completed.includes(milestone.milestone_id));
+        if (missing.length > 0) {
+            return 'You need to complete ' + missing.map(milestone => milestone.milestone_title).join(', ') + ' before signing up for this event.';
+        }
+    }
+
+    if (rules.firstTimeOnly) {
+        const previous = await db('registration')
+            .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+            .where('registration.user_id', userId)
+            .where('event_occurrences.event_template_id', event.event_template_id)
+            .where('registration.registration_status', REGISTRATION_STATUS.ATTENDED)
+            .first();
+        if (previous) {
+            return 'This event is for first-time participants, and you have attended it before.';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * parseEligibilityForm - Validates the template eligibility form
+ * @param {Object} body - req.body
+ * @returns {Object} - { rules (event_templates columns), milestoneIds, errors }
+ */
+function parseEligibilityForm (body) {
+    const errors = [];
+    const toAge = value => (value === undefined || String(value).trim() === '') ? null : parseInt(value, 10);
+
+    const rules = {
+        eligibility_min_age: toAge(body.eligibility_min_age),
+        eligibility_max_age: toAge(body.eligibility_max_age),
+        eligibility_field_of_interest: ELIGIBILITY_FIELDS.includes(body.eligibility_field_of_interest) ? body.eligibility_field_of_interest : null,
+        eligibility_first_time_only: body.eligibility_first_time_only === 'on'
+    };
+
+    [rules.eligibility_min_age, rules.eligibility_max_age].forEach(age => {
+        if (age !== null && (isNaN(age) || age < 0 || age > 120)) errors.push('Ages must be whole numbers between 0 and 120.');
+    });
+    if (rules.eligibility_min_age !== null && rules.eligibility_max_age !== null && rules.eligibility_min_age > rules.eligibility_max_age) {
+        errors.push('The minimum age can\'t be more than the maximum age.');
+    }
+
+    const milestoneIds = [...new Set([].concat(body.milestone_ids || [])
+        .map(id => parseInt(id, 10))
+        .filter(id => id > 0))];
+
+    return { rules, milestoneIds, errors: [...new Set(errors)] };
+}
+
+// ~~~~~ Registration Questions ~~~~~
+/*
+ * Templates can ask extra questions at signup (t-shirt size, photo consent, ...).
+ * Answers come in as answer_<question_id> form fields and are stored per registration.
+ * The questions page posts back to the same register/waitlist route with
+ * answers_submitted=1, so the normal checks all run again before anything is saved.
+ */
+const QUESTION_TYPES = ['text', 'textarea', 'select', 'yes-no'];
+
+/**
+ * getTemplateQuestions - A template's signup questions, in display order
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventTemplateId - The template
+ * @returns {Promise} - Resolves to an array of event_template_questions rows (with an options array)
+ */
+function getTemplateQuestions (db, eventTemplateId) {
+    return db('event_template_questions')
+        .where('event_template_id', eventTemplateId)
+        .orderBy('question_order')
+        .orderBy('question_id')
+        .then(questions => questions.map(question => ({
+            ...question,
+            options: (question.question_options || '').split('\n').map(option => option.trim()).filter(Boolean)
+        })));
+}
+
+/**
+ * parseQuestionForm - Validates the add/edit question form on the template questions page
+ * @param {Object} body - req.body
+ * @returns {Object} - { question (event_template_questions columns), errors }
+ */
+function parseQuestionForm (body) {
+    const errors = [];
+    const options = String(body.question_options || '')
+        .split('\n')
+        .map(option => option.trim())
+        .filter(Boolean);
+
+    const question = {
+        question_label: String(body.question_label || '').trim(),
+        question_type: QUESTION_TYPES.includes(body.question_type) ? body.question_type : 'text',
+        question_options: null,
+        question_required: body.question_required === 'on'
+    };
+
+    if (!question.question_label) errors.push('Enter the question.');
+    if (question.question_type === 'select') {
+        if (options.length < 2) errors.push('A dropdown question needs at least two options (one per line).');
+        question.question_options = options.join('\n');
+    }
+
+    return { question, errors };
+}
+
+/**
+ * collectAnswers - Pulls a template's answers out of a submitted form and checks them
+ * @param {Array} questions - From getTemplateQuestions
+ * @param {Object} body - req.body
+ * @returns {Object} - { answers: { question_id: text }, fields: { answer_<id>: text } (to re-fill the form), errors }
+ */
+function collectAnswers (questions, body) {
+    const answers = {};
+    const fields = {};
+    const errors = [];
+
+    questions.forEach(question => {
+        const field = 'answer_' + question.question_id;
+        const value = String((body && body[field]) || '').trim();
+        fields[field] = value;
+
+        if (!value) {
+            if (question.question_required) errors.push(`Please answer "${question.question_label}".`);
+            return;
+        }
+        if (question.question_type === 'select' && !question.options.includes(value)) {
+            errors.push(`Choose one of the options for "${question.question_label}".`);
+            return;
+        }
+        if (question.question_type === 'yes-no' && !['Yes', 'No'].includes(value)) {
+            errors.push(`Answer yes or no to "${question.question_label}".`);
+            return;
+        }
+        answers[question.question_id] = value;
+    });
+
+    return { answers, fields, errors };
+}
+
+/**
+ * saveRegistrationAnswers - Stores (or replaces) the answers for a registration
+ * @param {Object} db - knex instance or transaction
+ * @param {number} registrationId - The registration
+ * @param {Object} answers - { question_id: text } from collectAnswers
+ * @returns {Promise}
+ */
+async function saveRegistrationAnswers (db, registrationId, answers) {
+    await db('registration_answers')
+        .where('registration_id', registrationId)
+        .del();
+
+    const rows = Object.keys(answers).map(questionId => ({
+        registration_id: registrationId,
+        question_id: parseInt(questionId, 10),
+        answer_text: answers[questionId]
+    }));
+    if (rows.length > 0) {
+        await db('registration_answers').insert(rows);
+    }
+}
+
+/**
+ * checkRegistrationAnswers - Whether a register/waitlist/switch request still needs the questions page
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} event - The occurrence being signed up for
+ * @param {Object} body - req.body
+ * @returns {Promise} - Resolves to { answers } when it can go ahead, or { questions } (the page to show)
+ */
+async function checkRegistrationAnswers (db, event, body) {
+    const questions = await getTemplateQuestions(db, event.event_template_id);
+    const submitted = collectAnswers(questions, body);
+    const answersSubmitted = Boolean(body && body.answers_submitted === '1');
+
+    if (questions.length > 0 && (!answersSubmitted || submitted.errors.length > 0)) {
+        return {
+            questions: {
+                event: event,
+                questions: questions,
+                fields: submitted.fields,
+                errors: answersSubmitted ? submitted.errors : []
+            }
+        };
+    }
+    return { answers: submitted.answers, fields: submitted.fields };
+}
+
+/**
+ * renderRegistrationQuestions - Shows the signup questions before a register/waitlist request goes through
+ * @param {Object} res - Express response
+ * @param {Object} event - The occurrence being signed up for
+ * @param {Array} questions - From getTemplateQuestions
+ * @param {string} action - 'register', 'waitlist' or 'switch' (where the form posts back to)
+ * @param {Object} body - The original req.body (return_to / confirm_overlap / from_registration_id ride along)
+ * @param {Object} fields - Answers typed so far (answer_<id>: text)
+ * @param {Array} errors - Problems with the last attempt
+ */
+function renderRegistrationQuestions (res, event, questions, action, body, fields, errors) {
+    res.render('registration-questions', {
+        event: event,
+        questions: questions,
+        action: action,
+        returnTo: (body && body.return_to) || '',
+        confirmOverlap: Boolean(body && body.confirm_overlap === '1'),
+        fromRegistrationId: (body && body.from_registration_id) || '',
+        fields: fields || {},
+        error_message: (errors || []).join(' ')
+    });
+}
+
+// ~~~~~ Registration Checks ~~~~~
+/*
+ * REGISTRATION_OVERLAP_POLICY decides what happens when someone signs up for an event
+ * that overlaps (in time) with another event they're already signed up for:
+ * - 'allow' -> don't check at all
+ * - 'warn'  -> show the clash and let them register anyway or switch (default)
+ * - 'block' -> they have to switch (or cancel the other one) first
+ */
+const OVERLAP_POLICIES = ['allow', 'warn', 'block'];
+const REGISTRATION_OVERLAP_POLICY = OVERLAP_POLICIES.includes(process.env.REGISTRATION_OVERLAP_POLICY)
+    ? process.env.REGISTRATION_OVERLAP_POLICY
+    : 'warn';
+
+/**
+ * checkCanRegister - The standard checks before taking a seat at an occurrence
+ * Call inside a transaction, after lockOccurrence, so the seat count can't change underneath us.
+ * @param {Object} db - knex transaction
+ * @param {Object} event - The (locked) event_occurrences row
+ * @param {number} userId - Who's registering
+ * @returns {Promise} - Resolves to an error message, or null if they can register
+ */
+async function checkCanRegister (db, event, userId) {
+    const currentDate = new Date();
+    const eventStart = new Date(event.event_date_time_start);
+    const deadline = event.event_registration_deadline ? new Date(event.event_registration_deadline) : null;
+
+    if (event.event_status === EVENT_STATUS.CANCELLED) {
+        return 'This event has been cancelled.';
+    }
+
+    // Validation 1: Can't register for events that already started
+    if (eventStart < currentDate) {
+        return 'This event has already started.';
+    }
+
+    // Validation 2: Check if registration deadline passed (if there is one)
+    if (deadline && deadline < currentDate) {
+        return 'Registration deadline has passed.';
+    }
+
+    // Validation 3: Check if user is already registered (no double-booking!)
+    // A cancelled registration doesn't count, so people can change their minds
+    const existingRegistration = await findActiveRegistration(db, userId, event.event_occurrence_id);
+    if (existingRegistration) {
+        return existingRegistration.registration_status === REGISTRATION_STATUS.PENDING
+            ? 'Your registration for this event is waiting for approval.'
+            : 'You are already registered for this event.';
+    }
+
+    // Validation 4: Age / milestones / field of interest / first-time rules on the template
+    const ineligibleReason = await checkEligibility(db, event, userId);
+    if (ineligibleReason) {
+        return ineligibleReason;
+    }
+
+    // Validation 5: Check if event is at capacity
+    const currentCount = await countTakenSeats(db, event.event_occurrence_id);
+    if (event.event_capacity && currentCount >= event.event_capacity) {
+        return 'This event is at full capacity. You can join the waitlist instead.';
+    }
+
+    return null;
+}
+
+/**
+ * findOverlappingRegistrations - The user's other upcoming sign-ups that clash with an occurrence's time slot
+ * Registered, waitlisted and pending all count - either way they're planning to be somewhere else.
+ * @param {Object} db - knex instance or transaction
+ * @param {number} userId - Whose registrations to check
+ * @param {Object} event - The event_occurrences row they want to sign up for
+ * @returns {Promise} - Resolves to an array of registration + occurrence rows (empty if no clashes)
+ */
+function findOverlappingRegistrations (db, userId, event) {
+    const start = event.event_date_time_start;
+    const end = event.event_date_time_end || event.event_date_time_start;
+
+    return db('registration')
+        .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .select(
+            'registration.registration_id',
+            'registration.registration_status',
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location'
+        )
+        .where('registration.user_id', userId)
+        .whereIn('registration.registration_status', UPCOMING_STATUSES)
+        .whereNot('registration.event_occurrence_id', event.event_occurrence_id)
+        // Two time slots overlap when each one starts before the other ends
+        .where('event_occurrences.event_date_time_start', '<', end)
+        .where(knex.raw('COALESCE(event_occurrences.event_date_time_end, event_occurrences.event_date_time_start)'), '>', start)
+        .orderBy('event_occurrences.event_date_time_start', 'asc');
+}
+
+/**
+ * checkOverlapPolicy - Applies REGISTRATION_OVERLAP_POLICY to a new sign-up
+ * @param {Object} db - knex instance or transaction
+ * @param {number} userId - Who's signing up
+ * @param {Object} event - The event_occurrences row they want
+ * @param {boolean} confirmed - They already saw the warning and chose "register anyway"
+ * @returns {Promise} - Resolves to the clashing registrations if we need to stop, or null to carry on
+ */
+async function checkOverlapPolicy (db, userId, event, confirmed) {
+    if (REGISTRATION_OVERLAP_POLICY === 'allow') return null;
+    if (REGISTRATION_OVERLAP_POLICY === 'warn' && confirmed) return null;
+
+    const overlaps = await findOverlappingRegistrations(db, userId, event);
+    return overlaps.length > 0 ? overlaps : null;
+}
+
+/**
+ * renderOverlapConflict - Shows the "this clashes with..." page with register-anyway / switch options
+ * @param {Object} res - Express response
+ * @param {Object} event - The occurrence they tried to sign up for
+ * @param {Array} overlaps - Output of findOverlappingRegistrations
+ * @param {string} action - 'register' or 'waitlist' (what they were trying to do)
+ * @param {string} returnTo - 'detail' or '' (passed along so they end up back where they started)
+ */
+function renderOverlapConflict (res, event, overlaps, action, returnTo, answerFields) {
+    res.render('registration-conflict', {
+        event: event,
+        overlaps: overlaps,
+        action: action,
+        returnTo: returnTo || '',
+        answerFields: answerFields || {},
+        policy: REGISTRATION_OVERLAP_POLICY
+    });
+}
+
+// ~~~~~ Event Cancellation & Rescheduling ~~~~~
+/*
+ * Occurrences that people are signed up for aren't deleted any more - they're cancelled
+ * (or moved) so their history sticks around. Every registrant gets a row in the
+ * notifications outbox explaining what happened.
+ */
+const EVENT_STATUS = {
+    SCHEDULED: 'scheduled',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * whereNotCancelled - Leaves cancelled occurrences out of a query (public lists, feeds, calendars)
+ * @param {Object} query - A knex query on event_occurrences
+ * @returns {Object} - The same query, filtered
+ */
+function whereNotCancelled (query) {
+    return query.whereNot('event_occurrences.event_status', EVENT_STATUS.CANCELLED);
+}
+
+/**
+ * formatEventTime - Describes when an occurrence happens, for notification text
+ * @param {Date|string} start - Start date/time
+ * @param {Date|string} end - End date/time (optional)
+ * @returns {string} - e.g. "Wednesday, November 4, 2026, 10:00 AM - 12:00 PM"
+ */
+function formatEventTime (start, end) {
+    const startDate = new Date(start);
+    const text = startDate.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) +
+        ', ' + startDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    return end ? text + ' - ' + new Date(end).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : text;
+}
+
+/**
+ * queueEventNotifications - Adds a notification for everyone still signed up for an occurrence
+ * Registered, waitlisted and pending people are told; anyone who already cancelled (or was declined) isn't.
+ * Call it before changing the registrations (e.g. before cancelling them all).
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventOccurrenceId - The occurrence that changed
+ * @param {string} type - e.g. 'event-cancelled'
+ * @param {string} subject - Short headline
+ * @param {string} body - The full message
+ * @returns {Promise} - Resolves to the number of people notified
+ */
+async function queueEventNotifications (db, eventOccurrenceId, type, subject, body) {
+    const registrants = await db('registration')
+        .distinct('user_id')
+        .where('event_occurrence_id', eventOccurrenceId)
+        .whereIn('registration_status', UPCOMING_STATUSES);
+
+    if (registrants.length === 0) {
+        return 0;
+    }
+
+    await db('notifications').insert(registrants.map(registrant => ({
+        user_id: registrant.user_id,
+        event_occurrence_id: eventOccurrenceId,
+        notification_type: type,
+        notification_subject: subject,
+        notification_body: body
+    })));
+    return registrants.length;
+}
+
+// ~~~~~ Venues ~~~~~
+/*
+ * Occurrences (and recurrence rules) point at a venue. event_location is still stored too,
+ * as the venue's display label, so everything that shows or searches locations keeps working.
+ */
+
+/**
+ * getVenueLabel - The text shown wherever an event's location appears
+ * @param {Object} venue - venues row
+ * @returns {string} - e.g. "Community Center - Room A"
+ */
+function getVenueLabel (venue) {
+    return venue.venue_room ? `${venue.venue_name} - ${venue.venue_room}` : venue.venue_name;
+}
+
+/**
+ * getVenueOptions - All venues, for the venue dropdowns
+ * @param {Object} db - knex instance or transaction
+ * @returns {Promise} - Resolves to an array of venues rows (sorted by name)
+ */
+function getVenueOptions (db) {
+    return db('venues')
+        .select('venue_id', 'venue_name', 'venue_room', 'venue_max_capacity')
+        .orderBy('venue_name')
+        .orderBy('venue_room');
+}
+
+/**
+ * resolveOccurrenceVenue - Looks up the venue chosen for an occurrence and checks it can hold the event
+ * @param {Object} db - knex instance or transaction
+ * @param {number|string} venueId - venue_id from the form
+ * @param {number} capacity - The occurrence's capacity (null/NaN = no limit, only allowed if the venue has no maximum)
+ * @returns {Promise} - Resolves to { venue } or { error }
+ */
+async function resolveOccurrenceVenue (db, venueId, capacity) {
+    const venue = await db('venues')
+        .where('venue_id', parseInt(venueId, 10) || 0)
+        .first();
+
+    if (!venue) {
+        return { error: 'Please choose a venue.' };
+    }
+    if (venue.venue_max_capacity) {
+        // No capacity would mean unlimited sign-ups, which a venue with a maximum can't take either
+        if (!(capacity >= 1)) {
+            return { error: `${getVenueLabel(venue)} holds ${venue.venue_max_capacity} people, so please enter a capacity.` };
+        }
+        if (capacity > venue.venue_max_capacity) {
+            return { error: `Capacity can't be more than ${getVenueLabel(venue)} holds (${venue.venue_max_capacity}).` };
+        }
+    }
+    return { venue };
+}
+
+/**
+ * parseVenueForm - Validates the add/edit venue form
+ * @param {Object} body - req.body
+ * @returns {Object} - { venue, errors } where venue uses venues column names
+ */
+function parseVenueForm (body) {
+    const errors = [];
+    const text = value => (value || '').trim() || null;
+    const maxCapacity = body.venue_max_capacity ? parseInt(body.venue_max_capacity, 10) : null;
+
+    const venue = {
+        venue_name: text(body.venue_name),
+        venue_address: text(body.venue_address),
+        venue_room: text(body.venue_room),
+        venue_max_capacity: maxCapacity,
+        venue_accessibility_notes: text(body.venue_accessibility_notes),
+        venue_partner_organization: text(body.venue_partner_organization)
+    };
+
+    if (!venue.venue_name) errors.push('Venue name is required.');
+    if (maxCapacity !== null && (isNaN(maxCapacity) || maxCapacity < 1)) errors.push('Max capacity must be a positive number greater than 0.');
+
+    return { venue, errors };
+}
+
+/**
+ * applyRecurrenceVenue - Checks a recurrence rule's venue and copies its label onto the rule
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} rule - Rule object from parseRecurrenceForm (updated in place)
+ * @param {Object} template - The event template (its default capacity applies when the rule has none)
+ * @returns {Promise} - Resolves to an error message, or null if the venue is fine
+ */
+async function applyRecurrenceVenue (db, rule, template) {
+    const { venue, error } = await resolveOccurrenceVenue(db, rule.venue_id, rule.recurrence_capacity || template.event_default_capacity);
+    if (error) {
+        return error;
+    }
+    rule.recurrence_location = getVenueLabel(venue);
+    return null;
+}
+
+// ~~~~~ Bulk Occurrence Changes ~~~~~
+/*
+ * Admins tick several occurrences on the manage page and shift them, clone them to new dates,
+ * or change their venue/capacity together. The change is previewed first, then applied to
+ * every selected occurrence in one transaction - if any of them can't take it, none are changed.
+ */
+const BULK_ACTIONS = {
+    SHIFT: 'shift',
+    CLONE: 'clone',
+    UPDATE: 'update'
+};
+
+/**
+ * parseBulkForm - Validates the bulk change form from the manage event occurrences page
+ * @param {Object} body - req.body
+ * @returns {Object} - { change, errors }
+ */
+function parseBulkForm (body) {
+    const errors = [];
+    const days = parseInt(body.shift_days, 10) || 0;
+    const hours = parseInt(body.shift_hours, 10) || 0;
+    const capacity = body.event_capacity ? parseInt(body.event_capacity, 10) : null;
+
+    const change = {
+        action: Object.values(BULK_ACTIONS).includes(body.action) ? body.action : null,
+        occurrenceIds: [...new Set([].concat(body.occurrence_ids || [])
+            .map(id => parseInt(id, 10))
+            .filter(id => id > 0))],
+        days: days,
+        hours: hours,
+        offsetMs: (days * 24 + hours) * 60 * 60 * 1000,
+        venueId: parseInt(body.venue_id, 10) || null,
+        capacity: capacity,
+        reason: (body.reason || '').trim()
+    };
+
+    if (change.occurrenceIds.length === 0) {
+        errors.push('Please select at least one event occurrence.');
+    }
+    if (!change.action) {
+        errors.push('Please choose what to do with the selected occurrences.');
+    }
+    if ((change.action === BULK_ACTIONS.SHIFT || change.action === BULK_ACTIONS.CLONE) && change.offsetMs === 0) {
+        errors.push('Please enter how many days and/or hours to move them by.');
+    }
+    if (change.action === BULK_ACTIONS.SHIFT && !change.reason) {
+        errors.push('Please give a reason for rescheduling the events.');
+    }
+    if (change.action === BULK_ACTIONS.UPDATE) {
+        if (!change.venueId && capacity === null) {
+            errors.push('Please choose a new venue and/or capacity.');
+        }
+        if (capacity !== null && (isNaN(capacity) || capacity < 1)) {
+            errors.push('Capacity must be a positive number greater than 0.');
+        }
+    }
+
+    return { change, errors };
+}
+
+/**
+ * planBulkChange - Works out what a bulk change would do to each selected occurrence
+ * Each row holds the occurrence as it is now, how it would look afterwards, how many people
+ * are signed up, and any problems that stop the change. Nothing is written.
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} change - Change object from parseBulkForm
+ * @returns {Promise} - Resolves to { rows } or { error }
+ */
+async function planBulkChange (db, change) {
+    const now = new Date();
+
+    const occurrences = await db('event_occurrences')
+        .leftJoin('venues', 'event_occurrences.venue_id', '=', 'venues.venue_id')
+        .select('event_occurrences.*', 'venues.venue_max_capacity')
+        .whereIn('event_occurrences.event_occurrence_id', change.occurrenceIds)
+        .orderBy('event_occurrences.event_date_time_start', 'asc');
+
+    if (occurrences.length !== change.occurrenceIds.length) {
+        return { error: 'Some of the selected event occurrences no longer exist.' };
+    }
+
+    // Everyone who'd hear about a new time or place
+    const signups = await db('registration')
+        .select('event_occurrence_id')
+        .count('* as count')
+        .whereIn('event_occurrence_id', change.occurrenceIds)
+        .whereIn('registration_status', UPCOMING_STATUSES)
+        .groupBy('event_occurrence_id');
+
+    let newVenue = null;
+    if (change.action === BULK_ACTIONS.UPDATE && change.venueId) {
+        newVenue = await db('venues').where('venue_id', change.venueId).first();
+        if (!newVenue) {
+            return { error: 'Please choose a venue.' };
+        }
+    }
+
+    const moveBy = value => value ? new Date(new Date(value).getTime() + change.offsetMs) : null;
+
+    const rows = occurrences.map(occurrence => {
+        const problems = [];
+        const after = {
+            event_date_time_start: occurrence.event_date_time_start,
+            event_date_time_end: occurrence.event_date_time_end,
+            event_registration_deadline: occurrence.event_registration_deadline,
+            venue_id: occurrence.venue_id,
+            event_location: occurrence.event_location,
+            event_capacity: occurrence.event_capacity
+        };
+        const signup = signups.find(row => row.event_occurrence_id === occurrence.event_occurrence_id);
+
+        // Clones can come from any date (e.g. copying last season forward); the others only touch upcoming ones
+        if (change.action !== BULK_ACTIONS.CLONE) {
+            if (occurrence.event_status === EVENT_STATUS.CANCELLED) {
+                problems.push('This occurrence is cancelled.');
+            } else if (new Date(occurrence.event_date_time_start) < now) {
+                problems.push('This occurrence has already started.');
+            }
+        }
+
+        if (change.action === BULK_ACTIONS.SHIFT || change.action === BULK_ACTIONS.CLONE) {
+            after.event_date_time_start = moveBy(occurrence.event_date_time_start);
+            after.event_date_time_end = moveBy(occurrence.event_date_time_end);
+            after.event_registration_deadline = moveBy(occurrence.event_registration_deadline);
+            if (after.event_date_time_start < now) {
+                problems.push('The new date/time would be in the past.');
+            }
+        }
+
+        if (change.action === BULK_ACTIONS.UPDATE) {
+            let maxCapacity = occurrence.venue_max_capacity;
+            if (newVenue) {
+                after.venue_id = newVenue.venue_id;
+                after.event_location = getVenueLabel(newVenue);
+                maxCapacity = newVenue.venue_max_capacity;
+            }
+            if (change.capacity !== null) {
+                after.event_capacity = change.capacity;
+            }
+            // No capacity means unlimited sign-ups, which is more than any venue maximum
+            if (maxCapacity && !after.event_capacity) {
+                problems.push(`${after.event_location} holds ${maxCapacity} people, so this occurrence needs a capacity.`);
+            } else if (maxCapacity && after.event_capacity > maxCapacity) {
+                problems.push(`Capacity can't be more than ${after.event_location} holds (${maxCapacity}).`);
+            }
+        }
+
+        return {
+            occurrence: occurrence,
+            after: after,
+            signupCount: signup ? parseInt(signup.count, 10) : 0,
+            problems: problems
+        };
+    });
+
+    return { rows };
+}
+
+/**
+ * applyBulkChange - Applies a bulk change to every selected occurrence, or to none of them
+ * Shifted occurrences are logged and their registrants notified like a single reschedule;
+ * clones start empty but keep the original's venue, capacity and instructors.
+ * @param {Object} trx - knex transaction
+ * @param {Object} change - Change object from parseBulkForm
+ * @param {number} userId - The admin making the change
+ * @returns {Promise} - Resolves to { success } or { error }
+ */
+async function applyBulkChange (trx, change, userId) {
+    // Lock lowest ID first, so two overlapping bulk changes can't deadlock each other
+    for (const id of [...change.occurrenceIds].sort((a, b) => a - b)) {
+        await lockOccurrence(trx, id);
+    }
+
+    // Re-plan on the locked rows - things may have changed since the preview
+    const { rows, error } = await planBulkChange(trx, change);
+    if (error) {
+        return { error };
+    }
+    const blocked = rows.find(row => row.problems.length > 0);
+    if (blocked) {
+        return { error: `${blocked.occurrence.event_name} (${formatEventTime(blocked.occurrence.event_date_time_start)}): ${blocked.problems[0]} Nothing was changed.` };
+    }
+
+    const now = new Date();
+    let notified = 0;
+
+    for (const { occurrence, after } of rows) {
+        const occurrenceId = occurrence.event_occurrence_id;
+
+        if (change.action === BULK_ACTIONS.CLONE) {
+            const [created] = await trx('event_occurrences')
+                .insert({
+                    event_template_id: occurrence.event_template_id,
+                    event_name: occurrence.event_name,
+                    event_date_time_start: after.event_date_time_start,
+                    event_date_time_end: after.event_date_time_end,
+                    event_registration_deadline: after.event_registration_deadline,
+                    venue_id: occurrence.venue_id,
+                    event_location: occurrence.event_location,
+                    event_capacity: occurrence.event_capacity
+                })
+                .returning('event_occurrence_id');
+            const instructorIds = await trx('event_occurrence_instructors')
+                .where('event_occurrence_id', occurrenceId)
+                .pluck('instructor_id');
+            await setOccurrenceInstructors(trx, created.event_occurrence_id, instructorIds);
+        } else if (change.action === BULK_ACTIONS.SHIFT) {
+            await trx('event_occurrences')
+                .where('event_occurrence_id', occurrenceId)
+                .update({
+                    event_date_time_start: after.event_date_time_start,
+                    event_date_time_end: after.event_date_time_end,
+                    event_registration_deadline: after.event_registration_deadline,
+                    updated_at: now
+                });
+
+            await trx('event_occurrence_changes').insert({
+                event_occurrence_id: occurrenceId,
+                event_change_type: 'rescheduled',
+                event_change_reason: change.reason,
+                event_previous_start: occurrence.event_date_time_start,
+                event_previous_end: occurrence.event_date_time_end,
+                event_new_start: after.event_date_time_start,
+                event_new_end: after.event_date_time_end,
+                changed_by_user_id: userId || null
+            });
+
+            notified += await queueEventNotifications(trx, occurrenceId, 'event-rescheduled',
+                `New time: ${occurrence.event_name}`,
+                `${occurrence.event_name} has moved from ${formatEventTime(occurrence.event_date_time_start, occurrence.event_date_time_end)} ` +
+                `to ${formatEventTime(after.event_date_time_start, after.event_date_time_end)}. Your spot is still saved - if the new time doesn't work, ` +
+                `you can cancel your registration from your registrations page.\n\nReason: ${change.reason}`);
+        } else {
+            await trx('event_occurrences')
+                .where('event_occurrence_id', occurrenceId)
+                .update({
+                    venue_id: after.venue_id,
+                    event_location: after.event_location,
+                    event_capacity: after.event_capacity,
+                    updated_at: now
+                });
+
+            if (after.event_location !== occurrence.event_location) {
+                notified += await queueEventNotifications(trx, occurrenceId, 'event-relocated',
+                    `New location: ${occurrence.event_name}`,
+                    `${occurrence.event_name} on ${formatEventTime(occurrence.event_date_time_start, occurrence.event_date_time_end)} ` +
+                    `has moved from ${occurrence.event_location || 'its old location'} to ${after.event_location}. Your spot is still saved.` +
+                    (change.reason ? `\n\nReason: ${change.reason}` : ''));
+            }
+
+            // If capacity went up, pull people off the waitlist to fill the new seats
+            await promoteFromWaitlist(trx, occurrenceId);
+        }
+    }
+
+    const count = `${rows.length} event occurrence${rows.length === 1 ? '' : 's'}`;
+    if (change.action === BULK_ACTIONS.CLONE) {
+        return { success: `Created ${count}.` };
+    }
+    return { success: `Updated ${count}. ${notified} registrant(s) will be notified.` };
+}
+
+// ~~~~~ Instructors ~~~~~
+/*
+ * Instructors/facilitators lead event occurrences (an occurrence can have several).
+ * Instructors with a login (user_role 'instructor') can open the roster and check-in
+ * pages, but only for the occurrences they're assigned to.
+ */
+const INSTRUCTOR_TYPES = ['instructor', 'facilitator'];
+
+// Occurrence pages an assigned instructor may use: /manage-event-occurrences/:id/<one of these>
+const INSTRUCTOR_ROUTE_PATTERN = /^\/manage-event-occurrences\/(\d+)\/(check-in|check-in\/status|check-in\/walk-in|roster|roster\/mark|roster\/export|roster\/print)$/;
+
+/**
+ * isInstructorForOccurrence - Whether a logged-in user is one of an occurrence's instructors
+ * @param {Object} db - knex instance or transaction
+ * @param {number} userId - The instructor's user_id
+ * @param {number} eventOccurrenceId - The occurrence
+ * @returns {Promise} - Resolves to true/false
+ */
+function isInstructorForOccurrence (db, userId, eventOccurrenceId) {
+    return db('event_occurrence_instructors')
+        .innerJoin('instructors', 'event_occurrence_instructors.instructor_id', '=', 'instructors.instructor_id')
+        .where('instructors.user_id', userId)
+        .where('event_occurrence_instructors.event_occurrence_id', eventOccurrenceId)
+        .first()
+        .then(row => Boolean(row));
+}
+
+/**
+ * setOccurrenceInstructors - Replaces the list of instructors assigned to an occurrence
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventOccurrenceId - The occurrence
+ * @param {Array|string} instructorIds - instructor_ids from the form (a string if only one box was checked)
+ * @returns {Promise}
+ */
+async function setOccurrenceInstructors (db, eventOccurrenceId, instructorIds) {
+    const ids = [...new Set([].concat(instructorIds || [])
+        .map(id => parseInt(id, 10))
+        .filter(id => id > 0))];
+
+    await db('event_occurrence_instructors')
+        .where('event_occurrence_id', eventOccurrenceId)
+        .del();
+
+    if (ids.length > 0) {
+        await db('event_occurrence_instructors')
+            .insert(ids.map(id => ({ event_occurrence_id: eventOccurrenceId, instructor_id: id })));
+    }
+}
+
+/**
+ * getInstructorOptions - All instructors, for the assignment checkboxes
+ * @param {Object} db - knex instance or transaction
+ * @returns {Promise} - Resolves to an array of instructors rows (sorted by name)
+ */
+function getInstructorOptions (db) {
+    return db('instructors')
+        .select('instructor_id', 'instructor_first_name', 'instructor_last_name', 'instructor_type')
+        .orderBy('instructor_last_name')
+        .orderBy('instructor_first_name');
+}
+
+/**
+ * calculateNps - Net Promoter Score from bucket counts
+ * @param {number} promoters - Number of 'Promoter' responses
+ * @param {number} detractors - Number of 'Detractor' responses
+ * @param {number} total - All responses (promoters + passives + detractors)
+ * @returns {number|null} - -100 to 100, rounded; null when there are no responses
+ */
+function calculateNps (promoters, detractors, total) {
+    if (!total) return null;
+    return Math.round(((promoters - detractors) / total) * 100);
+}
+
+/**
+ * instructorSurveyStats - Survey totals per instructor, from surveys on the occurrences they led
+ * @param {Object} db - knex instance or transaction
+ * @returns {Object} - knex query selecting instructor_id, survey_count, avg_instructor_score,
+ *                     promoters and detractors (add .where() to narrow it down)
+ */
+function instructorSurveyStats (db) {
+    return db('event_occurrence_instructors')
+        .innerJoin('registration', 'event_occurrence_instructors.event_occurrence_id', '=', 'registration.event_occurrence_id')
+        .innerJoin('surveys', 'registration.registration_id', '=', 'surveys.registration_id')
+        .select('event_occurrence_instructors.instructor_id')
+        .count('surveys.survey_id as survey_count')
+        .avg('surveys.instructor_score as avg_instructor_score')
+        .select(db.raw("COUNT(*) FILTER (WHERE surveys.nps_bucket = 'Promoter') AS promoters"))
+        .select(db.raw("COUNT(*) FILTER (WHERE surveys.nps_bucket = 'Detractor') AS detractors"))
+        .groupBy('event_occurrence_instructors.instructor_id');
+}
+
+/**
+ * parseInstructorForm - Validates the add/edit instructor form
+ * @param {Object} body - req.body
+ * @returns {Object} - { instructor, loginEmail, errors } (loginEmail is the account to link, if any)
+ */
+function parseInstructorForm (body) {
+    const errors = [];
+    const text = value => (value || '').trim() || null;
+
+    const instructor = {
+        instructor_first_name: text(body.instructor_first_name),
+        instructor_last_name: text(body.instructor_last_name),
+        instructor_email: text(body.instructor_email),
+        instructor_phone: text(body.instructor_phone),
+        instructor_type: INSTRUCTOR_TYPES.includes(body.instructor_type) ? body.instructor_type : 'instructor',
+        instructor_bio: text(body.instructor_bio)
+    };
+
+    if (!instructor.instructor_first_name || !instructor.instructor_last_name) errors.push('First and last name are required.');
+
+    return { instructor, loginEmail: (text(body.login_email) || '').toLowerCase(), errors };
+}
+
+/**
+ * linkInstructorAccount - Points an instructor at a login (or none) and keeps user roles in step:
+ * the linked participant becomes an 'instructor', and an account that's unlinked goes back to 'participant'.
+ * Admin accounts keep their role either way.
+ * @param {Object} trx - knex transaction
+ * @param {number|null} previousUserId - The instructor's current user_id
+ * @param {string} loginEmail - Email of the account to link ('' to unlink)
+ * @returns {Promise} - Resolves to { userId } or { error }
+ */
+async function linkInstructorAccount (trx, previousUserId, loginEmail) {
+    let userId = null;
+
+    if (loginEmail) {
+        const user = await trx('users')
+            .whereRaw('LOWER(user_email) = ?', [loginEmail])
+            .first();
+        if (!user) {
+            return { error: `No account uses ${loginEmail}.` };
+        }
+        userId = user.user_id;
+        if ((user.user_role || '').toLowerCase() !== 'admin') {
+            await trx('users').where('user_id', userId).update({ user_role: 'instructor' });
+        }
+    }
+
+    if (previousUserId && previousUserId !== userId) {
+        await trx('users')
+            .where('user_id', previousUserId)
+            .whereRaw("LOWER(user_role) = 'instructor'")
+            .update({ user_role: 'participant' });
+    }
+
+    return { userId };
+}
+
+// ~~~~~ Survey Forms ~~~~~
+/*
+ * Post-event surveys are built by admins from rating (1-5), multiple choice, free text and
+ * 0-10 NPS questions. Each template can pick a form; templates without one use the default.
+ * Answers come in as answer_<question_id> fields and are stored per question in survey_answers.
+ * The form's scoring rules fill in surveys.overall_score and surveys.nps_bucket, so the
+ * existing survey reports keep working whichever form was used.
+ */
+const SURVEY_QUESTION_TYPES = ['rating', 'choice', 'text', 'nps'];
+
+// Longest free-text answer we'll store
+const SURVEY_TEXT_MAX_LENGTH = 5000;
+
+// Columns on surveys that the original hard-coded survey filled in (see question_legacy_column)
+const SURVEY_LEGACY_COLUMNS = ['satisfaction_score', 'usefulness_score', 'instructor_score', 'recommendation_score', 'survey_comments'];
+
+/**
+ * getSurveyForm - A survey form and its questions, in display order
+ * @param {Object} db - knex instance or transaction
+ * @param {number} surveyFormId - The form (or null for the default form)
+ * @returns {Promise} - Resolves to the survey_forms row with a questions array (each with an options array), or undefined
+ */
+async function getSurveyForm (db, surveyFormId) {
+    const form = await db('survey_forms')
+        .modify(query => {
+            if (surveyFormId) {
+                query.where('survey_form_id', surveyFormId);
+            } else {
+                query.where('survey_form_is_default', true);
+            }
+        })
+        .first();
+    if (!form) {
+        return undefined;
+    }
+
+    const questions = await db('survey_form_questions')
+        .where('survey_form_id', form.survey_form_id)
+        .orderBy('question_order')
+        .orderBy('question_id');
+
+    form.questions = questions.map(question => ({
+        ...question,
+        options: (question.question_options || '').split('\n').map(option => option.trim()).filter(Boolean)
+    }));
+    return form;
+}
+
+/**
+ * getSurveyFormOptions - All survey forms, for the template dropdowns
+ * @param {Object} db - knex instance or transaction
+ * @returns {Promise} - Resolves to an array of survey_forms rows (default first, then by name)
+ */
+function getSurveyFormOptions (db) {
+    return db('survey_forms')
+        .select('survey_form_id', 'survey_form_name', 'survey_form_is_default')
+        .orderBy('survey_form_is_default', 'desc')
+        .orderBy('survey_form_name');
+}
+
+/**
+ * getOccurrenceSurveyForm - The survey form people fill in after an occurrence
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} occurrence - event_occurrences row
+ * @returns {Promise} - Resolves to the form (see getSurveyForm) - the template's own, or the default
+ */
+async function getOccurrenceSurveyForm (db, occurrence) {
+    const template = await db('event_templates')
+        .where('event_template_id', occurrence.event_template_id)
+        .first('survey_form_id');
+    return getSurveyForm(db, template && template.survey_form_id);
+}
+
+/**
+ * parseSurveyFormSettings - Validates the name/description/scoring part of the survey form builder
+ * @param {Object} body - req.body
+ * @returns {Object} - { form (survey_forms columns), errors }
+ */
+function parseSurveyFormSettings (body) {
+    const errors = [];
+    const promoterMin = parseInt(body.survey_form_promoter_min, 10);
+    const detractorMax = parseInt(body.survey_form_detractor_max, 10);
+
+    const form = {
+        survey_form_name: String(body.survey_form_name || '').trim(),
+        survey_form_description: String(body.survey_form_description || '').trim() || null,
+        survey_form_promoter_min: isNaN(promoterMin) ? 9 : promoterMin,
+        survey_form_detractor_max: isNaN(detractorMax) ? 6 : detractorMax
+    };
+
+    if (!form.survey_form_name) errors.push('Enter a name for the survey form.');
+    if (form.survey_form_detractor_max >= form.survey_form_promoter_min) {
+        errors.push('The highest detractor score has to be below the lowest promoter score.');
+    }
+
+    return { form, errors };
+}
+
+/**
+ * getSurveyScoreRange - The scores a rating or NPS question can be answered with
+ * @param {string} questionType - 'rating' or 'nps'
+ * @returns {Array} - [min, max]
+ */
+function getSurveyScoreRange (questionType) {
+    return questionType === 'nps' ? [0, 10] : [1, 5];
+}
+
+/**
+ * checkNpsThresholds - Checks the promoter/detractor scores fit the scale of the question driving NPS
+ * (the 9/6 defaults are for 0-10 questions - on a 1-5 rating nobody could ever be a promoter)
+ * @param {Object} form - survey_forms columns (survey_form_promoter_min, survey_form_detractor_max)
+ * @param {Object} npsQuestion - The question driving NPS, or undefined if there isn't one
+ * @returns {string|null} - The problem, or null if they fit
+ */
+function checkNpsThresholds (form, npsQuestion) {
+    if (!npsQuestion) return null;
+
+    const [min, max] = getSurveyScoreRange(npsQuestion.question_type);
+    const fits = score => score >= min && score <= max;
+    if (!fits(form.survey_form_promoter_min) || !fits(form.survey_form_detractor_max)) {
+        return `NPS comes from a ${min}-${max} question, so the promoter and detractor scores have to be between ${min} and ${max}.`;
+    }
+    return null;
+}
+
+/**
+ * parseSurveyQuestionForm - Validates the add/edit question form in the survey form builder
+ * @param {Object} body - req.body
+ * @returns {Object} - { question (survey_form_questions columns), errors }
+ */
+function parseSurveyQuestionForm (body) {
+    const errors = [];
+    const options = String(body.question_options || '')
+        .split('\n')
+        .map(option => option.trim())
+        .filter(Boolean);
+
+    const question = {
+        question_label: String(body.question_label || '').trim(),
+        question_type: SURVEY_QUESTION_TYPES.includes(body.question_type) ? body.question_type : 'rating',
+        question_options: null,
+        question_required: body.question_required === 'on',
+        question_in_overall: false,
+        question_drives_nps: false
+    };
+
+    if (!question.question_label) errors.push('Enter the question.');
+    if (question.question_type === 'choice') {
+        if (options.length < 2) errors.push('A multiple choice question needs at least two options (one per line).');
+        question.question_options = options.join('\n');
+    }
+    if (question.question_type === 'rating') {
+        if (options.length > 0 && options.length !== 5) errors.push('Rating labels are optional, but there have to be five of them (for 1 to 5).');
+        question.question_options = options.join('\n') || null;
+        // Only 1-5 ratings are averaged, so the overall score always stays out of 5
+        question.question_in_overall = body.question_in_overall === 'on';
+    }
+    if (question.question_type === 'rating' || question.question_type === 'nps') {
+        question.question_drives_nps = body.question_drives_nps === 'on';
+    }
+
+    return { question, errors };
+}
+
+/**
+ * saveSurveyQuestion - Inserts or updates a survey form question
+ * Only one question per form can drive the NPS bucket, so ticking it on one question unticks the rest,
+ * and the form's promoter/detractor scores have to fit that question's scale.
+ * @param {Object} trx - knex transaction
+ * @param {number} surveyFormId - The form the question belongs to
+ * @param {number|null} questionId - The question to update, or null to add one at the end
+ * @param {Object} question - From parseSurveyQuestionForm
+ * @returns {Promise} - Resolves to { error } or { success }
+ */
+async function saveSurveyQuestion (trx, surveyFormId, questionId, question) {
+    const form = await trx('survey_forms').where('survey_form_id', surveyFormId).forUpdate().first();
+    if (!form) {
+        return { error: 'Survey form does not exist' };
+    }
+
+    if (questionId) {
+        const existing = await trx('survey_form_questions')
+            .where({ question_id: questionId, survey_form_id: surveyFormId })
+            .first();
+        if (!existing) {
+            return { error: 'Question does not exist' };
+        }
+
+        // Old answers would no longer fit the question (e.g. text answers on a rating)
+        if (existing.question_type !== question.question_type) {
+            const answers = await trx('survey_answers').where('question_id', questionId).count('* as count').first();
+            if (parseInt(answers.count, 10) > 0) {
+                return { error: 'This question already has answers, so its type can\'t be changed. Add a new question instead.' };
+            }
+        }
+    }
+
+    if (question.question_drives_nps) {
+        const problem = checkNpsThresholds(form, question);
+        if (problem) {
+            return { error: problem + ' Change the scoring rules first.' };
+        }
+
+        await trx('survey_form_questions')
+            .where('survey_form_id', surveyFormId)
+            .whereNot('question_id', questionId || 0)
+            .update({ question_drives_nps: false });
+    }
+
+    if (questionId) {
+        await trx('survey_form_questions')
+            .where('question_id', questionId)
+            .update({ ...question, updated_at: new Date() });
+        return { success: 'Question updated.' };
+    }
+
+    const last = await trx('survey_form_questions')
+        .where('survey_form_id', surveyFormId)
+        .max('question_order as position')
+        .first();
+    await trx('survey_form_questions').insert({
+        ...question,
+        survey_form_id: surveyFormId,
+        question_order: (last.position || 0) + 1
+    });
+    return { success: 'Question added.' };
+}
+
+/**
+ * collectSurveyAnswers - Pulls a form's answers out of a submitted survey and checks them
+ * @param {Object} form - From getSurveyForm
+ * @param {Object} body - req.body
+ * @returns {Object} - { answers: { question_id: number|text }, fields: { answer_<id>: text } (to re-fill the form),
+ *                     errors, fieldErrors: { answer_<id>: message } (shown next to each question) }
+ */
+function collectSurveyAnswers (form, body) {
+    const answers = {};
+    const fields = {};
+    const errors = [];
+    const fieldErrors = {};
+
+    form.questions.forEach(question => {
+        const field = 'answer_' + question.question_id;
+        // Anything that isn't a single plain value (e.g. answer_1[]=5&answer_1[]=4) counts as no answer
+        const raw = body && body[field];
+        const value = typeof raw === 'string' ? raw.trim() : '';
+        fields[field] = value;
+
+        const fail = message => {
+            errors.push(`"${question.question_label}": ${message}`);
+            fieldErrors[field] = message;
+        };
+
+        if (!value) {
+            if (question.question_required) fail('Please answer this question.');
+            return;
+        }
+        if (question.question_type === 'rating' || question.question_type === 'nps') {
+            const score = parseInt(value, 10);
+            const [min, max] = getSurveyScoreRange(question.question_type);
+            if (!/^\d+$/.test(value) || score < min || score > max) {
+                fail(`Choose a score from ${min} to ${max}.`);
+                return;
+            }
+            answers[question.question_id] = score;
+            return;
+        }
+        if (question.question_type === 'choice' && !question.options.includes(value)) {
+            fail('Choose one of the options.');
+            return;
+        }
+        if (value.length > SURVEY_TEXT_MAX_LENGTH) {
+            fail(`Please keep this under ${SURVEY_TEXT_MAX_LENGTH} characters.`);
+            return;
+        }
+        answers[question.question_id] = value;
+    });
+
+    return { answers, fields, errors, fieldErrors };
+}
+
+/**
+ * scoreSurvey - Applies a form's scoring rules to a set of answers
+ * @param {Object} form - From getSurveyForm
+ * @param {Object} answers - From collectSurveyAnswers
+ * @returns {Object} - surveys columns: overall_score, nps_bucket and any legacy score/comment columns
+ */
+function scoreSurvey (form, answers) {
+    const scores = {};
+
+    const counted = form.questions
+        .filter(question => question.question_in_overall && answers[question.question_id] !== undefined)
+        .map(question => answers[question.question_id]);
+    scores.overall_score = counted.length > 0
+        ? Math.round(counted.reduce((sum, score) => sum + score, 0) / counted.length * 100) / 100
+        : null;
+
+    const npsQuestion = form.questions.find(question => question.question_drives_nps);
+    const npsAnswer = npsQuestion ? answers[npsQuestion.question_id] : undefined;
+    scores.nps_bucket = null;
+    if (npsAnswer !== undefined) {
+        scores.nps_bucket = npsAnswer >= form.survey_form_promoter_min ? 'Promoter'
+            : npsAnswer <= form.survey_form_detractor_max ? 'Detractor'
+            : 'Passive';
+    }
+
+    // Scores only go into the *_score columns and text only into survey_comments, even if a question's type was changed
+    form.questions.forEach(question => {
+        const column = question.question_legacy_column;
+        const value = answers[question.question_id];
+        if (SURVEY_LEGACY_COLUMNS.includes(column) && value !== undefined && (column === 'survey_comments') === (typeof value === 'string')) {
+            scores[column] = value;
+        }
+    });
+
+    return scores;
+}
+
+/**
+ * saveSurveyResponse - Stores a completed survey and its answers, and tags its comments
+ * @param {Object} db - knex transaction
+ * @param {number} registrationId - The registration the survey is about
+ * @param {Object} form - From getSurveyForm
+ * @param {Object} answers - From collectSurveyAnswers
+ * @returns {Promise} - Resolves to the new survey_id
+ */
+async function saveSurveyResponse (db, registrationId, form, answers) {
+    const [survey] = await db('surveys')
+        .insert({
+            ...scoreSurvey(form, answers),
+            registration_id: registrationId,
+            survey_form_id: form.survey_form_id,
+            survey_submission_date: new Date()
+        })
+        .returning('survey_id');
+
+    const rows = form.questions
+        .filter(question => answers[question.question_id] !== undefined)
+        .map(question => {
+            const value = answers[question.question_id];
+            return {
+                survey_id: survey.survey_id,
+                question_id: question.question_id,
+                answer_value: typeof value === 'number' ? value : null,
+                answer_text: typeof value === 'number' ? null : value
+            };
+        });
+    if (rows.length > 0) {
+        await db('survey_answers').insert(rows);
+    }
+    await tagSurveys(db, [survey.survey_id]);
+    return survey.survey_id;
+}
+
+/**
+ * findSurveyRegistration - A registration with the occurrence details the survey page needs
+ * @param {Object} db - knex instance or transaction
+ * @param {number} registrationId - The registration
+ * @returns {Promise} - Resolves to the joined row, or undefined
+ */
+function findSurveyRegistration (db, registrationId) {
+    return db('registration')
+        .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .select(
+            'registration.registration_id',
+            'registration.registration_status',
+            'registration.user_id',
+            'registration.event_occurrence_id',
+            'registration.registration_survey_link_used_at',
+            'event_occurrences.event_template_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_location',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end'
+        )
+        .where('registration.registration_id', registrationId)
+        .first();
+}
+
+/**
+ * getSurveyBlocker - Checks a survey can be filled in for a registration right now
+ * Only people who attended can leave a survey, only once the event is over, and only once.
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} registration - From findSurveyRegistration
+ * @returns {Promise} - Resolves to null if it can, otherwise the reason it can't
+ */
+async function getSurveyBlocker (db, registration) {
+    if (registration.registration_status !== REGISTRATION_STATUS.ATTENDED) {
+        return 'Surveys are only for events you attended.';
+    }
+    if (new Date(registration.event_date_time_end || registration.event_date_time_start) > new Date()) {
+        return 'The survey opens once the event is over.';
+    }
+
+    const survey = await db('surveys').where('registration_id', registration.registration_id).first('survey_id');
+    return survey ? 'A survey has already been submitted for this event. Thank you for your feedback!' : null;
+}
+
+/**
+ * renderSurveyForm - Shows a survey form for one registration
+ * @param {Object} res - Express response
+ * @param {Object} registration - registration row joined with its occurrence
+ * @param {Object} form - From getSurveyForm
+ * @param {Object} attempt - The last submission, from collectSurveyAnswers (or null for an empty form)
+ * @param {string} [formAction] - Where the form posts (defaults to /add-survey/:registration_id)
+ */
+function renderSurveyForm (res, registration, form, attempt, formAction) {
+    const problems = attempt ? attempt.errors.length : 0;
+
+    // Format the event date
+    const date = new Date(registration.event_date_time_start);
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const formattedDate = months[date.getMonth()] + ' ' + date.getDate() + ', ' + date.getFullYear();
+
+    res.render('add-survey', {
+        registration_id: registration.registration_id,
+        event_occurrence_id: registration.event_occurrence_id,
+        event_name: registration.event_name,
+        event_date: formattedDate,
+        event_location: registration.event_location || 'TBD',
+        form: form,
+        fields: attempt ? attempt.fields : {},
+        fieldErrors: attempt ? attempt.fieldErrors : {},
+        formAction: formAction || `/add-survey/${registration.registration_id}`,
+        error_message: problems > 0
+            ? `Please check ${problems === 1 ? 'the answer' : problems + ' answers'} marked below.`
+            : ''
+    });
+}
+
+// ~~~~~ Survey Analytics ~~~~~
+/*
+ * Survey results rolled up per event template, per occurrence and per month.
+ * NPS only counts responses whose form has an NPS question (surveys.nps_bucket is set), and
+ * the response rate is the share of attended registrations that left a survey.
+ */
+const NPS_BUCKETS = ['Promoter', 'Passive', 'Detractor'];
+
+/**
+ * parseSurveyAnalyticsFilters - Reads the analytics filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} - { templateId, occurrenceId, month ('YYYY-MM'), from, to ('YYYY-MM-DD'), bucket } - null when not set
+ */
+function parseSurveyAnalyticsFilters (query) {
+    const date = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null;
+
+    return {
+        templateId: parseInt(query.template_id, 10) || null,
+        occurrenceId: parseInt(query.occurrence_id, 10) || null,
+        month: /^\d{4}-\d{2}$/.test(query.month || '') ? query.month : null,
+        from: date(query.from),
+        to: date(query.to),
+        bucket: NPS_BUCKETS.includes(query.bucket) ? query.bucket : null
+    };
+}
+
+/**
+ * applySurveyAnalyticsFilters - Narrows a query joined to event_occurrences down to the chosen events
+ * (the NPS bucket filter is left to the caller, since it only applies to responses)
+ * @param {Object} query - knex query that joins event_occurrences
+ * @param {Object} filters - From parseSurveyAnalyticsFilters
+ */
+function applySurveyAnalyticsFilters (query, filters) {
+    if (filters.templateId) query.where('event_occurrences.event_template_id', filters.templateId);
+    if (filters.occurrenceId) query.where('event_occurrences.event_occurrence_id', filters.occurrenceId);
+    if (filters.month) query.whereRaw("to_char(event_occurrences.event_date_time_start, 'YYYY-MM') = ?", [filters.month]);
+    if (filters.from) query.where('event_occurrences.event_date_time_start', '>=', filters.from);
+    if (filters.to) query.whereRaw('event_occurrences.event_date_time_start < ?::date + 1', [filters.to]);
+}
+
+/**
+ * surveyStatsQuery - Survey totals for attended registrations and the surveys left on them
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} filters - From parseSurveyAnalyticsFilters
+ * @returns {Object} - knex query selecting attended_count, response_count, attended_response_count, nps_count,
+ *                     promoters, detractors and the average scores (add .select()/.groupBy() to break it down)
+ */
+function surveyStatsQuery (db, filters) {
+    const attended = REGISTRATION_STATUS.ATTENDED;
+
+    return db('registration')
+        .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .leftJoin('surveys', 'registration.registration_id', '=', 'surveys.registration_id')
+        .where(function () {
+            this.where('registration.registration_status', attended)
+                .orWhereNotNull('surveys.survey_id');
+        })
+        .modify(query => applySurveyAnalyticsFilters(query, filters))
+        .select(db.raw('COUNT(*) FILTER (WHERE registration.registration_status = ?) AS attended_count', [attended]))
+        .select(db.raw('COUNT(surveys.survey_id) FILTER (WHERE registration.registration_status = ?) AS attended_response_count', [attended]))
+        .count('surveys.survey_id as response_count')
+        .count('surveys.nps_bucket as nps_count')
+        .select(db.raw("COUNT(*) FILTER (WHERE surveys.nps_bucket = 'Promoter') AS promoters"))
+        .select(db.raw("COUNT(*) FILTER (WHERE surveys.nps_bucket = 'Detractor') AS detractors"))
+        .avg('surveys.overall_score as avg_overall')
+        .avg('surveys.satisfaction_score as avg_satisfaction')
+        .avg('surveys.usefulness_score as avg_usefulness')
+        .avg('surveys.instructor_score as avg_instructor');
+}
+
+/**
+ * summarizeSurveyStats - Turns a surveyStatsQuery row into numbers, NPS and response rate
+ * @param {Object} row - Row from surveyStatsQuery (plus any grouping columns, which are kept)
+ * @returns {Object} - The row with counts as numbers, averages rounded to 2 decimals (or null),
+ *                     nps (-100 to 100, or null) and response_rate (percent, or null)
+ */
+function summarizeSurveyStats (row) {
+    const average = value => value === null || value === undefined ? null : Math.round(parseFloat(value) * 100) / 100;
+    const attendedCount = parseInt(row.attended_count, 10) || 0;
+
+    return {
+        ...row,
+        attended_count: attendedCount,
+        response_count: parseInt(row.response_count, 10) || 0,
+        response_rate: attendedCount > 0 ? Math.round((parseInt(row.attended_response_count, 10) || 0) / attendedCount * 100) : null,
+        nps: calculateNps(parseInt(row.promoters, 10) || 0, parseInt(row.detractors, 10) || 0, parseInt(row.nps_count, 10) || 0),
+        avg_overall: average(row.avg_overall),
+        avg_satisfaction: average(row.avg_satisfaction),
+        avg_usefulness: average(row.avg_usefulness),
+        avg_instructor: average(row.avg_instructor)
+    };
+}
+
+// ~~~~~ Check-In Helpers ~~~~~
+/*
+ * Every registration gets a short check-in code like "ER-1234-9F3A1C2B": the registration ID
+ * plus an HMAC signature, so nobody can check in by guessing someone else's ID.
+ * The same code is what the participant's QR code contains.
+ */
+const CHECK_IN_SECRET = process.env.CHECK_IN_SECRET || process.env.SESSION_SECRET || 'secret';
+
+/**
+ * signRegistrationId - Builds the signature part of a check-in code
+ * @param {number} registrationId - The registration to sign
+ * @returns {string} - 8 uppercase hex characters
+ */
+function signRegistrationId (registrationId) {
+    return crypto.createHmac('sha256', CHECK_IN_SECRET)
+        .update(`registration:${registrationId}`)
+        .digest('hex')
+        .slice(0, 8)
+        .toUpperCase();
+}
+
+/**
+ * getCheckInCode - The code a participant shows (or scans) at the door
+ * @param {number} registrationId - The registration to build a code for
+ * @returns {string} - e.g. "ER-1234-9F3A1C2B"
+ */
+function getCheckInCode (registrationId) {
+    return `ER-${registrationId}-${signRegistrationId(registrationId)}`;
+}
+
+/**
+ * parseCheckInCode - Reads a scanned/typed check-in code and verifies its signature
+ * Forgiving about case and spaces since staff might type it in by hand.
+ * @param {string} code - The code from the scanner or the text box
+ * @returns {number|null} - The registration ID, or null if the code is invalid
+ */
+function parseCheckInCode (code) {
+    const match = String(code || '').trim().toUpperCase().replace(/\s+/g, '-').match(/^ER-(\d+)-([0-9A-F]{8})$/);
+    if (!match) return null;
+
+    const registrationId = parseInt(match[1], 10);
+    const expected = Buffer.from(signRegistrationId(registrationId));
+    const given = Buffer.from(match[2]);
+    return crypto.timingSafeEqual(expected, given) ? registrationId : null;
+}
+
+/**
+ * checkInRegistration - Marks a registration as attended, with the time they walked in
+ * @param {Object} db - knex instance or transaction
+ * @param {number} registrationId - The registration to check in
+ * @returns {Promise} - Resolves to the previous row, or null if it can't be checked in
+ */
+function checkInRegistration (db, registrationId) {
+    return transitionRegistration(db, registrationId, REGISTRATION_STATUS.ATTENDED, {
+        registration_attended_flag: true,
+        registration_check_in_time: new Date()
+    });
+}
+
+/**
+ * getCheckInCounts - The "checked in X of Y" numbers for the kiosk
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventOccurrenceId - The occurrence to count
+ * @returns {Promise} - Resolves to { checkedIn, expected }
+ */
+function getCheckInCounts (db, eventOccurrenceId) {
+    const checkedInQuery = db('registration')
+        .where({ event_occurrence_id: eventOccurrenceId, registration_status: REGISTRATION_STATUS.ATTENDED })
+        .count('* as count')
+        .first();
+
+    return Promise.all([checkedInQuery, countTakenSeats(db, eventOccurrenceId)])
+        .then(([checkedIn, expected]) => ({
+            checkedIn: parseInt(checkedIn.count, 10),
+            expected: expected
+        }));
+}
+
+// ~~~~~ Survey Comment Themes ~~~~~
+/*
+ * Survey comments are tagged offline with themes (mentors, pacing, venue...) and an overall
+ * positive/negative sentiment, using the keyword lists in lexicons/<language>.json.
+ * Every language's lexicon is applied to every comment, since people answer in whichever one they like.
+ * Keywords are matched on whole words after lowercasing and dropping accents; "word*" matches
+ * anything starting with "word" and keywords with spaces are phrases. A negator shortly before a
+ * sentiment word ("not boring", "no fue aburrido") flips it.
+ * Surveys are tagged when they're submitted, and the nightly job tags anything tagged with an
+ * older version of the lexicons (or not at all).
+ */
+const SURVEY_LEXICON_DIR = process.env.SURVEY_LEXICON_DIR || path.join(__dirname, 'lexicons');
+const SURVEY_LEXICON_LANGUAGES = (process.env.SURVEY_LEXICON_LANGUAGES || 'en,es').split(',').map(language => language.trim()).filter(Boolean);
+const SURVEY_SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+// How many words before a sentiment word a negator still applies to
+const SURVEY_NEGATION_WINDOW = 3;
+
+/**
+ * normalizeCommentWords - Splits text into lowercase words without accents or punctuation
+ * @param {string} text - Comment text or a lexicon keyword
+ * @returns {Array} - Words, e.g. "Hands-on ¡Día!" -> ['hands', 'on', 'dia']
+ */
+function normalizeCommentWords (text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[’`]/g, "'")
+        .replace(/[^a-z0-9'*]+/g, ' ')
+        .split(' ')
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(Boolean);
+}
+
+/**
+ * parseLexiconKeyword - Turns a lexicon keyword into the words to match
+ * @param {string} keyword - e.g. "mentor*" or "more time"
+ * @returns {Array} - [{ word, prefix }] - prefix is true when the word ended in *
+ */
+function parseLexiconKeyword (keyword) {
+    return normalizeCommentWords(keyword).map(word => ({
+        word: word.replace(/\*+$/, ''),
+        prefix: word.endsWith('*')
+    }));
+}
+
+/**
+ * loadSurveyLexicon - Reads and prepares one language's lexicon file
+ * @param {string} language - File name without .json, e.g. 'es'
+ * @returns {Object} - { language, raw, themes: [{ id, label, keywords }], positive, negative, negators (Set) }
+ */
+function loadSurveyLexicon (language) {
+    const raw = require(path.join(SURVEY_LEXICON_DIR, `${language}.json`));
+
+    return {
+        language: language,
+        raw: raw,
+        themes: Object.entries(raw.themes || {}).map(([id, theme]) => ({
+            id: id,
+            label: theme.label || id,
+            keywords: (theme.keywords || []).map(parseLexiconKeyword)
+        })),
+        positive: (raw.positive || []).map(parseLexiconKeyword),
+        negative: (raw.negative || []).map(parseLexiconKeyword),
+        negators: new Set((raw.negators || []).flatMap(normalizeCommentWords))
+    };
+}
+
+const SURVEY_LEXICONS = SURVEY_LEXICON_LANGUAGES.map(loadSurveyLexicon);
+
+// Theme IDs and labels across all lexicons (the first lexicon to define a theme names it)
+const SURVEY_THEMES = {};
+SURVEY_LEXICONS.forEach(lexicon => lexicon.themes.forEach(theme => {
+    if (!SURVEY_THEMES[theme.id]) SURVEY_THEMES[theme.id] = theme.label;
+}));
+
+// Changes whenever a lexicon file does, which is what marks older tags as out of date
+const SURVEY_LEXICON_VERSION = crypto.createHash('sha1')
+    .update(JSON.stringify(SURVEY_LEXICONS.map(lexicon => [lexicon.language, lexicon.raw])))
+    .digest('hex')
+    .slice(0, 12);
+
+/**
+ * findKeyword - Where a keyword appears in a list of words
+ * @param {Array} words - From normalizeCommentWords
+ * @param {Array} keyword - From parseLexiconKeyword
+ * @returns {Array} - Index of the first word of each match
+ */
+function findKeyword (words, keyword) {
+    const found = [];
+    if (keyword.length === 0) return found;
+
+    for (let start = 0; start + keyword.length <= words.length; start++) {
+        const matches = keyword.every((part, offset) => {
+            const word = words[start + offset];
+            return part.prefix ? word.startsWith(part.word) : word === part.word;
+        });
+        if (matches) found.push(start);
+    }
+    return found;
+}
+
+/**
+ * tagSurveyComments - Finds the themes and overall sentiment of some comment text
+ * @param {string} text - The comments
+ * @param {Array} [ignore] - Phrases to leave out first, e.g. the event name (so "Mentor Office Hours" isn't a Mentors comment)
+ * @returns {Object} - { themes: [theme IDs], sentiment ('positive', 'negative', 'neutral', or null when there's no text) }
+ */
+function tagSurveyComments (text, ignore) {
+    // Sentences are matched separately so phrases and negators don't run into the next one
+    const sentences = String(text || '')
+        .split(/[.!?;,:\n()—–]+/)
+        .map(sentence => {
+            let words = normalizeCommentWords(sentence);
+            (ignore || []).forEach(phrase => {
+                const parts = normalizeCommentWords(phrase).map(word => ({ word: word, prefix: false }));
+                findKeyword(words, parts).reverse().forEach(start => {
+                    words = words.slice(0, start).concat(words.slice(start + parts.length));
+                });
+            });
+            return words;
+        })
+        .filter(words => words.length > 0);
+
+    if (sentences.length === 0) {
+        return { themes: [], sentiment: null };
+    }
+
+    const themes = new Set();
+    let score = 0;
+
+    SURVEY_LEXICONS.forEach(lexicon => sentences.forEach(words => {
+        lexicon.themes.forEach(theme => {
+            if (theme.keywords.some(keyword => findKeyword(words, keyword).length > 0)) {
+                themes.add(theme.id);
+            }
+        });
+
+        const negated = start => words
+            .slice(Math.max(0, start - SURVEY_NEGATION_WINDOW), start)
+            .some(word => lexicon.negators.has(word));
+        [[lexicon.positive, 1], [lexicon.negative, -1]].forEach(([keywords, weight]) => {
+            keywords.forEach(keyword => findKeyword(words, keyword).forEach(start => {
+                score += negated(start) ? -weight : weight;
+            }));
+        });
+    }));
+
+    return {
+        themes: Object.keys(SURVEY_THEMES).filter(id => themes.has(id)),
+        sentiment: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral'
+    };
+}
+
+/**
+ * tagSurveys - Tags surveys from their text answers and saves the result
+ * @param {Object} db - knex instance or transaction
+ * @param {Array} surveyIds - Surveys to (re)tag
+ * @returns {Promise} - Resolves to the number of surveys tagged
+ */
+async function tagSurveys (db, surveyIds) {
+    if (surveyIds.length === 0) return 0;
+
+    const answers = await db('survey_answers')
+        .innerJoin('survey_form_questions', 'survey_answers.question_id', '=', 'survey_form_questions.question_id')
+        .innerJoin('surveys', 'survey_answers.survey_id', '=', 'surveys.survey_id')
+        .innerJoin('registration', 'surveys.registration_id', '=', 'registration.registration_id')
+        .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .whereIn('survey_answers.survey_id', surveyIds)
+        .where('survey_form_questions.question_type', 'text')
+        .whereNotNull('survey_answers.answer_text')
+        .select('survey_answers.survey_id', 'survey_answers.answer_text', 'event_occurrences.event_name');
+
+    const comments = {};
+    answers.forEach(answer => {
+        if (!comments[answer.survey_id]) {
+            comments[answer.survey_id] = { texts: [], eventName: answer.event_name };
+        }
+        comments[answer.survey_id].texts.push(answer.answer_text);
+    });
+
+    const themeRows = [];
+    const bySentiment = {};
+    surveyIds.forEach(surveyId => {
+        const comment = comments[surveyId];
+        const tags = comment
+            ? tagSurveyComments(comment.texts.join('\n'), [comment.eventName])
+            : { themes: [], sentiment: null };
+
+        tags.themes.forEach(theme => themeRows.push({ survey_id: surveyId, theme: theme }));
+        const key = tags.sentiment || 'none';
+        (bySentiment[key] = bySentiment[key] || []).push(surveyId);
+    });
+
+    await db('survey_themes').whereIn('survey_id', surveyIds).del();
+    if (themeRows.length > 0) {
+        await db('survey_themes').insert(themeRows);
+    }
+    for (const [sentiment, ids] of Object.entries(bySentiment)) {
+        await db('surveys')
+            .whereIn('survey_id', ids)
+            .update({
+                survey_sentiment: sentiment === 'none' ? null : sentiment,
+                survey_themes_version: SURVEY_LEXICON_VERSION
+            });
+    }
+    return surveyIds.length;
+}
+
+/**
+ * tagStaleSurveys - Tags every survey that hasn't been tagged with the current lexicons
+ * Works through them in batches so one bad batch doesn't undo the rest.
+ * @returns {Promise} - Resolves to the number of surveys tagged
+ */
+async function tagStaleSurveys () {
+    let tagged = 0;
+
+    for (;;) {
+        const surveyIds = await knex('surveys')
+            .where(function () {
+                this.whereNull('survey_themes_version')
+                    .orWhereNot('survey_themes_version', SURVEY_LEXICON_VERSION);
+            })
+            .orderBy('survey_id')
+            .limit(200)
+            .pluck('survey_id');
+        if (surveyIds.length === 0) return tagged;
+
+        tagged += await knex.transaction(trx => tagSurveys(trx, surveyIds));
+    }
+}
+
+/**
+ * runNightlySurveyThemeJob - Catches up on survey tagging after a lexicon change (see scheduleNightly)
+ * @returns {Promise}
+ */
+async function runNightlySurveyThemeJob () {
+    const tagged = await tagStaleSurveys();
+    console.log(`Nightly survey theme job: ${tagged} survey(s) tagged with lexicon version ${SURVEY_LEXICON_VERSION}.`);
+}
+
+/**
+ * parseSurveyThemeFilters - Reads the theme and sentiment filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} - { theme, sentiment } - null when not set (or not a known value)
+ */
+function parseSurveyThemeFilters (query) {
+    return {
+        theme: Object.prototype.hasOwnProperty.call(SURVEY_THEMES, query.theme) ? query.theme : null,
+        sentiment: SURVEY_SENTIMENTS.includes(query.sentiment) ? query.sentiment : null
+    };
+}
+
+/**
+ * applySurveyThemeFilters - Narrows a surveys query down to a theme and/or sentiment
+ * @param {Object} query - knex query on surveys
+ * @param {Object} filters - From parseSurveyThemeFilters
+ */
+function applySurveyThemeFilters (query, filters) {
+    if (filters.theme) {
+        query.whereExists(function () {
+            this.select(knex.raw(1))
+                .from('survey_themes')
+                .whereRaw('survey_themes.survey_id = surveys.survey_id')
+                .where('survey_themes.theme', filters.theme);
+        });
+    }
+    if (filters.sentiment) query.where('surveys.survey_sentiment', filters.sentiment);
+}
+
+// ~~~~~ Survey Links ~~~~~
+/*
+ * Attended registrations get a survey link staff can text or email right after the event,
+ * e.g. /survey/1234-9F3A1C2B5D6E7F80: the registration ID plus an HMAC signature (like the
+ * check-in codes, but longer since nobody has to type it). It opens the survey without logging in
+ * and stops working once it has been used to submit a survey (registration_survey_link_used_at).
+ * Links are only handed out or accepted when SURVEY_LINK_SECRET is set - anyone who knows the
+ * fallback secret could otherwise sign a link for any registration.
+ */
+const SURVEY_LINK_SECRET = process.env.SURVEY_LINK_SECRET || null;
+
+/**
+ * signSurveyLink - Builds the signature part of a survey link
+ * @param {number} registrationId - The registration to sign
+ * @returns {string} - 16 uppercase hex characters
+ */
+function signSurveyLink (registrationId) {
+    return crypto.createHmac('sha256', SURVEY_LINK_SECRET)
+        .update(`survey:${registrationId}`)
+        .digest('hex')
+        .slice(0, 16)
+        .toUpperCase();
+}
+
+/**
+ * getSurveyLink - The public survey URL for one registration
+ * @param {Object} req - Express request (for the host name)
+ * @param {number} registrationId - The attended registration
+ * @returns {string|null} - e.g. "https://example.org/survey/1234-9F3A1C2B5D6E7F80", or null if links are off
+ */
+function getSurveyLink (req, registrationId) {
+    if (!SURVEY_LINK_SECRET) return null;
+    return `${getBaseUrl(req)}/survey/${registrationId}-${signSurveyLink(registrationId)}`;
+}
+
+/**
+ * parseSurveyToken - Reads the token from a survey link and verifies its signature
+ * @param {string} token - The last part of the link
+ * @returns {number|null} - The registration ID, or null if the token is invalid
+ */
+function parseSurveyToken (token) {
+    if (!SURVEY_LINK_SECRET) return null;
+    const match = String(token || '').trim().toUpperCase().match(/^(\d+)-([0-9A-F]{16})$/);
+    if (!match) return null;
+
+    const registrationId = parseInt(match[1], 10);
+    const expected = Buffer.from(signSurveyLink(registrationId));
+    const given = Buffer.from(match[2]);
+    return crypto.timingSafeEqual(expected, given) ? registrationId : null;
+}
+
+/**
+ * checkSurveyLink - Works out whether a survey link can still be used
+ * @param {Object} db - knex instance or transaction
+ * @param {string} token - The last part of the link
+ * @returns {Promise} - Resolves to { registration, form } or { error } (the message to show)
+ */
+async function checkSurveyLink (db, token) {
+    const registrationId = parseSurveyToken(token);
+    const registration = registrationId ? await findSurveyRegistration(db, registrationId) : undefined;
+    if (!registration) {
+        return { error: 'This survey link isn\'t valid. Please check you copied the whole link.' };
+    }
+    if (registration.registration_survey_link_used_at) {
+        return { error: 'This survey link has already been used. Thank you for your feedback!' };
+    }
+
+    const blocker = await getSurveyBlocker(db, registration);
+    if (blocker) {
+        return { error: blocker };
+    }
+
+    const form = await getOccurrenceSurveyForm(db, registration);
+    if (!form) {
+        return { error: 'This survey isn\'t available right now. Please try again later.' };
+    }
+    return { registration, form };
+}
+
+// ~~~~~ Roster Helpers ~~~~~
+/**
+ * escapeSpreadsheetCell - Stops text people typed in being run as a formula when an export is opened
+ * @param {*} value - A cell value for the roster export
+ * @returns {*} - Text starting with =, +, - or @ gets a leading ' (anything else comes back as it was)
+ */
+function escapeSpreadsheetCell (value) {
+    return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * getOccurrenceRoster - Everyone signed up for an occurrence (cancellations left out), with contact info
+ * Used by the roster page, its exports, and the printable sign-in sheet.
+ * @param {Object} db - knex instance or transaction
+ * @param {number} eventOccurrenceId - The occurrence to list
+ * @returns {Promise} - Resolves to an array of registration + user rows (plus survey_id once they've
+ *                     left a survey), sorted by last name
+ */
+function getOccurrenceRoster (db, eventOccurrenceId) {
+    return db('registration')
+        .innerJoin('users', 'registration.user_id', '=', 'users.user_id')
+        .leftJoin('surveys', 'registration.registration_id', '=', 'surveys.registration_id')
+        .select(
+            'registration.registration_id',
+            'registration.registration_status',
+            'registration.registration_attended_flag',
+            'registration.registration_check_in_time',
+            'registration.registration_waitlist_position',
+            'registration.registration_created_at',
+            'registration.registration_survey_link_used_at',
+            'users.user_id',
+            'users.user_first_name',
+            'users.user_last_name',
+            'users.user_email',
+            'users.user_phone',
+            'surveys.survey_id'
+        )
+        .where('registration.event_occurrence_id', eventOccurrenceId)
+        .whereIn('registration.registration_status', ACTIVE_STATUSES)
+        .orderBy('users.user_last_name', 'asc')
+        .orderBy('users.user_first_name', 'asc');
+}
+
+/**
+ * getRosterAnswers - The occurrence's signup questions and everyone's answers to them
+ * @param {Object} db - knex instance or transaction
+ * @param {Object} occurrence - The event_occurrences row
+ * @returns {Promise} - Resolves to { questions, answers: { registration_id: { question_id: text } } }
+ */
+async function getRosterAnswers (db, occurrence) {
+    const [questions, rows] = await Promise.all([
+        getTemplateQuestions(db, occurrence.event_template_id),
+        db('registration_answers')
+            .innerJoin('registration', 'registration_answers.registration_id', '=', 'registration.registration_id')
+            .where('registration.event_occurrence_id', occurrence.event_occurrence_id)
+            .select('registration_answers.registration_id', 'registration_answers.question_id', 'registration_answers.answer_text')
+    ]);
+
+    const answers = {};
+    rows.forEach(row => {
+        (answers[row.registration_id] = answers[row.registration_id] || {})[row.question_id] = row.answer_text;
+    });
+    return { questions, answers };
+}
+
+// ~~~~~ iCalendar Helpers ~~~~~
+/*
+ * Builds .ics files (RFC 5545) so people can add events to Google/Apple/Outlook calendars.
+ * Times are written in UTC, so calendar apps convert them to the viewer's time zone.
+ */
+
+/**
+ * escapeIcsText - Escapes commas, semicolons, backslashes and newlines for an .ics text value
+ * @param {string} value - Raw text (event name, location, ...)
+ * @returns {string}
+ */
+function escapeIcsText (value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * formatIcsDate - Formats a date as an .ics UTC timestamp
+ * @param {Date|string} value - A Date object or a date string from the database
+ * @returns {string} - e.g. "20260115T170000Z"
+ */
+function formatIcsDate (value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * foldIcsLine - Splits long lines the way the .ics format requires (75 characters, continuation lines start with a space)
+ * @param {string} line - A single "NAME:value" line
+ * @returns {string}
+ */
+function foldIcsLine (line) {
+    const parts = [];
+    while (line.length > 75) {
+        parts.push(line.slice(0, 75));
+        line = ' ' + line.slice(75);
+    }
+    parts.push(line);
+    return parts.join('\r\n');
+}
+
+/**
+ * buildIcsCalendar - Turns a list of event occurrences into a full .ics calendar
+ * @param {string} calendarName - Shown as the calendar's name when someone subscribes
+ * @param {Array} occurrences - event_occurrences rows (event_description / registration_status are used if present)
+ * @param {string} baseUrl - e.g. "https://ellarises.org", used for event links and unique IDs
+ * @returns {string} - The .ics file contents
+ */
+function buildIcsCalendar (calendarName, occurrences, baseUrl) {
+    const host = baseUrl.replace(/^https?:\/\//, '').replace(/:\d+$/, ''); // Domain only, so IDs stay stable
+    const stamp = formatIcsDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Ella Rises//Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(calendarName)}`
+    ];
+
+    occurrences.forEach(occurrence => {
+        const isWaitlisted = occurrence.registration_status === REGISTRATION_STATUS.WAITLISTED;
+        const isPending = occurrence.registration_status === REGISTRATION_STATUS.PENDING;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:event-occurrence-${occurrence.event_occurrence_id}@${host}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatIcsDate(occurrence.event_date_time_start)}`,
+            `DTEND:${formatIcsDate(occurrence.event_date_time_end || occurrence.event_date_time_start)}`,
+            `SUMMARY:${escapeIcsText(occurrence.event_name + (isWaitlisted ? ' (waitlisted)' : isPending ? ' (awaiting approval)' : ''))}`,
+            `STATUS:${isWaitlisted || isPending ? 'TENTATIVE' : 'CONFIRMED'}`,
+            `URL:${baseUrl}/events`
+        );
+        if (occurrence.event_location) {
+            lines.push(`LOCATION:${escapeIcsText(occurrence.event_location)}`);
+        }
+        if (occurrence.event_description) {
+            lines.push(`DESCRIPTION:${escapeIcsText(occurrence.event_description)}`);
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * sendIcs - Sends .ics content with the right headers
+ * @param {Object} res - Express response
+ * @param {string} filename - Download name, e.g. "ella-rises-events.ics"
+ * @param {string} body - Output of buildIcsCalendar
+ * @param {boolean} asDownload - true for "Add to calendar" buttons, false for subscribable feeds
+ */
+function sendIcs (res, filename, body, asDownload) {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `${asDownload ? 'attachment' : 'inline'}; filename="${filename}"`);
+    res.send(body);
+}
+
+/**
+ * getBaseUrl - The site's address as the browser sees it, e.g. "https://ellarises.org"
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getBaseUrl (req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * getEventImagePath - Picks the stock photo for an event type (same images as the event cards)
+ * @param {string} eventType - event_templates.event_type
+ * @returns {string} - Path under /public/images
+ */
+function getEventImagePath (eventType) {
+    const images = {
+        'Arts': '/public/images/arts_event.jpg',
+        'Leadership': '/public/images/leadership_event.jpeg',
+        'STEM': '/public/images/stem_event.jpeg',
+        'Annual Conference': '/public/images/annual_conference_event.jpeg'
+    };
+    return images[eventType] || '/public/images/stem_event.jpeg';
+}
+
+/**
+ * getCalendarToken - Gets a user's private calendar feed token, creating one the first time
+ * @param {Object} db - knex instance or transaction
+ * @param {number} userId - The user whose feed this is
+ * @returns {Promise} - Resolves to the token string
+ */
+async function getCalendarToken (db, userId) {
+    const user = await db('users')
+        .select('user_calendar_token')
+        .where('user_id', userId)
+        .first();
+    if (!user) return null;
+    if (user.user_calendar_token) return user.user_calendar_token;
+    return resetCalendarToken(db, userId);
+}
+
+/**
+ * resetCalendarToken - Gives a user a brand new feed token (the old feed URL stops working)
+ * @param {Object} db - knex instance or transaction
+ * @param {number} userId - The user whose feed this is
+ * @returns {Promise} - Resolves to the new token string
+ */
+async function resetCalendarToken (db, userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await db('users')
+        .where('user_id', userId)
+        .update({ user_calendar_token: token });
+    return token;
+}
+
+
+// ========== LANGUAGE SWITCH ==========
+/*
+ * This route handles switching between English and Spanish.
+ * When user clicks the flag icon, it hits this route with the new language.
+ */
+app.get('/lang/:locale', (req, res) => {
+    const locale = req.params.locale; // 'en' or 'es'
+    
+    // Only accept valid locales (don't let someone set it to random stuff)
+    if (['en', 'es'].includes(locale)) {
+        // Save their preference in a cookie that lasts 1 year
+        res.cookie('lang', locale, { maxAge: 365 * 24 * 60 * 60 * 1000 });
+        req.setLocale(locale); // Set for this request
+    }
+    
+    // Send them back to whatever page they were on
+    // req.get('Referer') gets the previous page URL from the browser
+    const referer = req.get('Referer') || '/';
+    res.redirect(referer);
+});
+
+
+// ========== BASIC PAGE ROUTES ==========
+/*
+ * These are simple routes that just render a page without needing
+ * to fetch any data from the database. Nice and straightforward.
+ */
+
+// Homepage
+app.get('/', (req, res) => {
+    res.render('home', { error_message: "" });
+});
+
+// Login page - shows the login form
+app.get('/login', (req, res) => {
+    res.render('login', { error_message: "" });
+});
+
+// Registration page - shows the signup form
+app.get('/register', (req, res) => {
+    res.render('register', { error_message: "" });
+});
+
+// About page - info about Ella Rises, programs, contact, etc.
+app.get('/about', (req, res) => {
+    res.render('about', { error_message: "" });
+});
+
+
+// ~~~ ~~~ ~~~ ~~~ ~~~ ANALYTICS DASHBOARD ~~~ ~~~ ~~~ ~~~ ~~~ 
+// This page embeds a Tableau dashboard with organizational analytics
+app.get('/analytics', (req, res) => {
+    res.render('analytics-dashboard', { error_message: "" });
+});
+
+// Easter egg! HTTP 418 "I'm a teapot" - a fun joke status code from April Fools
+app.get('/teapot', (req, res) => {
+    res.status(418).render('teapot');
+});
+
+// ~~~ ~~~ ~~~ ~~~ ~~~ EVENTS ~~~ ~~~ ~~~ ~~~ ~~~ 
+/*
+ * Public Events Page
+ * Shows all upcoming or past events with pagination.
+ * Users can register for upcoming events if logged in.
+ * 
+ * Query params:
+ *   - filter: 'upcoming' (default) or 'past'
+ *   - page: page number for pagination
+ */
+app.get('/events', (req, res) => {
+    // Get filter from query string, default to showing upcoming events
+    const filter = req.query.filter || 'upcoming';
+    // Optional filters (type, dates, location, open seats, keyword)
+    const filters = parseEventFilters(req.query);
+    // 'calendar' shows a month/week calendar instead of the list of cards
+    const view = req.query.view === 'calendar' ? 'calendar' : 'list';
+    
+    // Pagination setup - show 10 events per page
+    const page = parseInt(req.query.page, 10) || 1;
+    const perPage = 10;
+    const offset = (page - 1) * perPage; // Skip this many records
+    
+    const currentDate = new Date();
+    const currentUserId = req.session.user_id || null; // null if not logged in
+
+    /*
+     * Main events query - joins event_occurrences with event_templates
+     * event_occurrences = specific instances of events (with dates, locations)
+     * event_templates = the "blueprint" for event types (descriptions, types)
+     */
+    let eventsQuery = knex('event_occurrences')
+        .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+        .select(
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_template_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location',
+            'event_occurrences.event_capacity',
+            'event_occurrences.event_registration_deadline',
+            'event_templates.event_type',
+            'event_templates.event_description'
+        );
+
+    // Apply filter and sorting based on upcoming vs past
+    if (filter === 'past') {
+        // Past events: before today, sorted newest first
+        eventsQuery = eventsQuery
+            .where('event_occurrences.event_date_time_start', '<', currentDate)
+            .orderBy('event_occurrences.event_date_time_start', 'desc');
+    } else {
+        // Upcoming events: today or later, sorted soonest first
+        eventsQuery = eventsQuery
+            .where('event_occurrences.event_date_time_start', '>=', currentDate)
+            .orderBy('event_occurrences.event_date_time_start', 'asc');
+    }
+
+    // Cancelled events stay in the database for history, but aren't listed
+    eventsQuery = whereNotCancelled(applyEventFilters(eventsQuery, filters));
+
+    // Separate count query for pagination (need to know total events)
+    let countQuery = knex('event_occurrences')
+        .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id');
+    
+    // Apply same filter to count query
+    if (filter === 'past') {
+        countQuery = countQuery.where('event_occurrences.event_date_time_start', '<', currentDate);
+    } else {
+        countQuery = countQuery.where('event_occurrences.event_date_time_start', '>=', currentDate);
+    }
+    countQuery = whereNotCancelled(applyEventFilters(countQuery, filters)).count('* as count').first();
+
+    // Every event type we have, for the filter dropdown
+    const eventTypesQuery = knex('event_templates')
+        .distinct('event_type')
+        .whereNotNull('event_type')
+        .orderBy('event_type', 'asc');
+
+    // Apply pagination limits to main query
+    eventsQuery = eventsQuery.limit(perPage).offset(offset);
+
+    // Get how many people are registered for each event
+    // This helps us show "X/Y spots filled" and check if event is full
+    // (waitlisted and cancelled registrations don't take a seat)
+    const registrationCountsQuery = whereHoldsSeat(knex('registration'))
+        .select('event_occurrence_id')
+        .count('* as registration_count')
+        .groupBy('event_occurrence_id');
+
+    // If user is logged in, get their existing registrations
+    // So we can disable the Register button for events they already signed up for
+    // (cancelled ones don't count - they can sign up again)
+    const userRegistrationsQuery = currentUserId 
+        ? knex('registration')
+            .select('event_occurrence_id', 'registration_status', 'registration_waitlist_position')
+            .where('user_id', currentUserId)
+            .whereIn('registration_status', ACTIVE_STATUSES)
+        : Promise.resolve([]); // Empty array if not logged in
+
+    // Run all queries in parallel for better performance
+    Promise.all([eventsQuery, countQuery, registrationCountsQuery, userRegistrationsQuery, eventTypesQuery])
+        .then(([events, countResult, registrationCounts, userRegistrations, eventTypes]) => {
+            const totalCount = parseInt(countResult.count, 10);
+            const totalPages = Math.ceil(totalCount / perPage);
+
+            // Build a lookup map: event_id -> registration count
+            const registrationCountMap = {};
+            registrationCounts.forEach(rc => {
+                registrationCountMap[rc.event_occurrence_id] = parseInt(rc.registration_count, 10);
+            });
+
+            // Build a Set of events the user is registered for (fast lookup), one of requests
+            // still waiting for approval, and a map of events they're waitlisted for -> their place in line
+            const userRegisteredEvents = new Set(userRegistrations
+                .filter(r => r.registration_status !== REGISTRATION_STATUS.WAITLISTED && r.registration_status !== REGISTRATION_STATUS.PENDING)
+                .map(r => r.event_occurrence_id));
+            const userPendingEvents = new Set(userRegistrations
+                .filter(r => r.registration_status === REGISTRATION_STATUS.PENDING)
+                .map(r => r.event_occurrence_id));
+            const userWaitlistPositions = {};
+            userRegistrations
+                .filter(r => r.registration_status === REGISTRATION_STATUS.WAITLISTED)
+                .forEach(r => {
+                    userWaitlistPositions[r.event_occurrence_id] = r.registration_waitlist_position;
+                });
+
+            // Enrich each event with registration info
+            events = events.map(event => ({
+                ...event,
+                registration_count: registrationCountMap[event.event_occurrence_id] || 0,
+                is_user_registered: userRegisteredEvents.has(event.event_occurrence_id),
+                is_user_pending: userPendingEvents.has(event.event_occurrence_id),
+                user_waitlist_position: userWaitlistPositions[event.event_occurrence_id] || null
+            }));
+
+            // Render the events page with all our data
+            res.render('events', {
+                events: events,
+                filter: filter,
+                filters: filters,
+                view: view,
+                hasFilters: hasEventFilters(filters),
+                filterParams: buildEventFilterParams(filters),
+                eventTypes: eventTypes.map(row => row.event_type),
+                currentPage: page,
+                totalPages: totalPages,
+                totalCount: totalCount,
+                error_message: req.query.error || '',
+                success_message: req.query.success || ''
+            });
+        })
+        .catch(err => {
+            console.log('Error fetching events:', err);
+            // On error, show empty state with error message
+            res.render('events', {
+                events: [],
+                filter: filter,
+                filters: filters,
+                view: view,
+                hasFilters: hasEventFilters(filters),
+                filterParams: buildEventFilterParams(filters),
+                eventTypes: [],
+                currentPage: 1,
+                totalPages: 1,
+                totalCount: 0,
+                error_message: 'Error loading events. Please try again.'
+            });
+        });
+});
+
+/*
+ * Event Registration Route
+ * When a user clicks "Register" on an event, this handles the signup process.
+ * We do a bunch of validation before actually creating the registration.
+ *
+ * Everything runs in one transaction that locks the occurrence row first, so two
+ * people clicking Register at the same moment are handled one after the other
+ * and can't both grab the last seat.
+ */
+app.post('/events/:event_occurrence_id/register', async (req, res) => {
+    const eventOccurrenceId = parseInt(req.params.event_occurrence_id, 10);
+    const userId = req.session.user_id;
+    // Send people back to wherever they clicked the button (the events list or the event's own page)
+    const returnUrl = req.body && req.body.return_to === 'detail' ? `/events/${eventOccurrenceId}` : '/events';
+
+    // Set when they've seen the overlap warning and chose "register anyway"
+    const confirmedOverlap = Boolean(req.body && req.body.confirm_overlap === '1');
+
+    // Must be logged in to register for events
+    if (!userId) {
+        return res.redirect('/login?redirect=' + encodeURIComponent(returnUrl));
+    }
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            // First, get (and lock) the event details so we can validate
+            const event = await lockOccurrence(trx, eventOccurrenceId);
+
+            // Make sure the event actually exists
+            if (!event) {
+                return { error: 'Event not found.' };
+            }
+
+            // Started / deadline / already registered / full (see checkCanRegister)
+            const problem = await checkCanRegister(trx, event, userId);
+            if (problem) {
+                return { error: problem };
+            }
+
+            // The template's signup questions (if any) have to be answered first
+            const answerCheck = await checkRegistrationAnswers(trx, event, req.body);
+            if (answerCheck.questions) {
+                return answerCheck;
+            }
+
+            // Does this clash with something else they signed up for?
+            const overlaps = await checkOverlapPolicy(trx, userId, event, confirmedOverlap);
+            if (overlaps) {
+                return { conflict: { event: event, overlaps: overlaps, fields: answerCheck.fields } };
+            }
+
+            // All validations passed! Create the registration
+            // (programs that need approval hold it as a request until an admin reviews it,
+            // and high-demand programs send people with repeated no-shows to the waitlist first)
+            const needsApproval = await requiresApproval(trx, event);
+            const heldPosition = needsApproval ? null : await applyNoShowPolicy(trx, event, userId);
+            const [registration] = await trx('registration').insert({
+                user_id: userId,
+                event_occurrence_id: eventOccurrenceId,
+                registration_status: needsApproval ? REGISTRATION_STATUS.PENDING
+                    : heldPosition ? REGISTRATION_STATUS.WAITLISTED : REGISTRATION_STATUS.REGISTERED,
+                registration_waitlist_position: heldPosition,
+                registration_no_show_hold: Boolean(heldPosition),
+                registration_created_at: new Date()
+            }).returning('registration_id');
+            await saveRegistrationAnswers(trx, registration.registration_id, answerCheck.answers);
+            if (needsApproval) {
+                return { success: APPROVAL_REQUESTED_MESSAGE };
+            }
+            return { success: heldPosition ? describeNoShowHold(heldPosition) : 'Successfully registered for the event!' };
+        });
+
+        if (outcome.questions) {
+            const { event, questions, fields, errors } = outcome.questions;
+            return renderRegistrationQuestions(res, event, questions, 'register', req.body, fields, errors);
+        }
+        if (outcome.conflict) {
+            return renderOverlapConflict(res, outcome.conflict.event, outcome.conflict.overlaps, 'register', req.body && req.body.return_to, outcome.conflict.fields);
+        }
+        if (outcome.error) {
+            return res.redirect(returnUrl + '?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect(returnUrl + '?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        // The unique index caught a double-click that slipped past the check above
+        if (isUniqueViolation(err)) {
+            return res.redirect(returnUrl + '?error=' + encodeURIComponent('You are already registered for this event.'));
+        }
+        console.log('Error registering for event:', err);
+        res.redirect(returnUrl + '?error=' + encodeURIComponent('An error occurred. Please try again.'));
+    }
+});
+
+/*
+ * Join Waitlist Route
+ * When an event is full, the "Join Waitlist" button lands here.
+ * Same checks as registering, but instead of a seat you get a place in line.
+ * If someone cancels (or an admin adds seats) you're promoted automatically.
+ */
+app.post('/events/:event_occurrence_id/waitlist', async (req, res) => {
+    const eventOccurrenceId = parseInt(req.params.event_occurrence_id, 10);
+    const userId = req.session.user_id;
+    // Send people back to wherever they clicked the button (the events list or the event's own page)
+    const returnUrl = req.body && req.body.return_to === 'detail' ? `/events/${eventOccurrenceId}` : '/events';
+
+    const confirmedOverlap = Boolean(req.body && req.body.confirm_overlap === '1');
+
+    if (!userId) {
+        return res.redirect('/login?redirect=' + encodeURIComponent(returnUrl));
+    }
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            // Lock the occurrence so positions are handed out one at a time
+            const event = await lockOccurrence(trx, eventOccurrenceId);
+
+            if (!event) {
+                return { error: 'Event not found.' };
+            }
+
+            const currentDate = new Date();
+            const deadline = event.event_registration_deadline ? new Date(event.event_registration_deadline) : null;
+
+            if (event.event_status === EVENT_STATUS.CANCELLED) {
+                return { error: 'This event has been cancelled.' };
+            }
+            if (new Date(event.event_date_time_start) < currentDate) {
+                return { error: 'This event has already started.' };
+            }
+            if (deadline && deadline < currentDate) {
+                return { error: 'Registration deadline has passed.' };
+            }
+
+            const existingRegistration = await findActiveRegistration(trx, userId, eventOccurrenceId);
+            if (existingRegistration) {
+                const messages = {
+                    [REGISTRATION_STATUS.WAITLISTED]: 'You are already on the waitlist for this event.',
+                    [REGISTRATION_STATUS.PENDING]: 'Your registration for this event is waiting for approval.'
+                };
+                return { error: messages[existingRegistration.registration_status] || 'You are already registered for this event.' };
+            }
+
+            // No point waiting for a seat they couldn't take
+            const ineligibleReason = await checkEligibility(trx, event, userId);
+            if (ineligibleReason) {
+                return { error: ineligibleReason };
+            }
+
+            // Seats open after all? Send them to the normal register button instead
+            const takenSeats = await countTakenSeats(trx, eventOccurrenceId);
+            if (!event.event_capacity || takenSeats < event.event_capacity) {
+                return { error: 'This event has open seats - please register instead.' };
+            }
+
+            // Answers are collected now, so nothing more is needed if they're promoted later
+            const answerCheck = await checkRegistrationAnswers(trx, event, req.body);
+            if (answerCheck.questions) {
+                return answerCheck;
+            }
+
+            const overlaps = await checkOverlapPolicy(trx, userId, event, confirmedOverlap);
+            if (overlaps) {
+                return { conflict: { event: event, overlaps: overlaps, fields: answerCheck.fields } };
+            }
+
+            // Programs that need approval hand out the place in line when the request is approved
+            if (await requiresApproval(trx, event)) {
+                const [request] = await trx('registration').insert({
+                    user_id: userId,
+                    event_occurrence_id: eventOccurrenceId,
+                    registration_status: REGISTRATION_STATUS.PENDING,
+                    registration_created_at: new Date()
+                }).returning('registration_id');
+                await saveRegistrationAnswers(trx, request.registration_id, answerCheck.answers);
+                return { success: APPROVAL_REQUESTED_MESSAGE };
+            }
+
+            const lastInLine = await trx('registration')
+                .where({ event_occurrence_id: eventOccurrenceId, registration_status: REGISTRATION_STATUS.WAITLISTED })
+                .max('registration_waitlist_position as position')
+                .first();
+            const position = (lastInLine.position || 0) + 1;
+
+            const [registration] = await trx('registration').insert({
+                user_id: userId,
+                event_occurrence_id: eventOccurrenceId,
+                registration_status: REGISTRATION_STATUS.WAITLISTED,
+                registration_waitlist_position: position,
+                registration_created_at: new Date()
+            }).returning('registration_id');
+            await saveRegistrationAnswers(trx, registration.registration_id, answerCheck.answers);
+            return { success: `You're on the waitlist! Your position is #${position}.` };
+        });
+
+        if (outcome.questions) {
+            const { event, questions, fields, errors } = outcome.questions;
+            return renderRegistrationQuestions(res, event, questions, 'waitlist', req.body, fields, errors);
+        }
+        if (outcome.conflict) {
+            return renderOverlapConflict(res, outcome.conflict.event, outcome.conflict.overlaps, 'waitlist', req.body && req.body.return_to, outcome.conflict.fields);
+        }
+        if (outcome.error) {
+            return res.redirect(returnUrl + '?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect(returnUrl + '?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return res.redirect(returnUrl + '?error=' + encodeURIComponent('You are already on the waitlist for this event.'));
+        }
+        console.log('Error joining waitlist:', err);
+        res.redirect(returnUrl + '?error=' + encodeURIComponent('An error occurred. Please try again.'));
+    }
+});
+
+/*
+ * Switch Registration Route
+ * Offered on the overlap warning page: cancel one of their clashing registrations and
+ * take a seat at this event instead, all in one transaction - so they never end up
+ * with both (or neither) if something goes wrong halfway. The registration given up has to
+ * be one that really clashes and hasn't started yet, and under 'block' nothing else may clash.
+ */
+app.post('/events/:event_occurrence_id/switch', async (req, res) => {
+    const eventOccurrenceId = parseInt(req.params.event_occurrence_id, 10);
+    const fromRegistrationId = parseInt(req.body && req.body.from_registration_id, 10);
+    const userId = req.session.user_id;
+    const returnUrl = req.body && req.body.return_to === 'detail' ? `/events/${eventOccurrenceId}` : '/events';
+
+    if (!userId) {
+        return res.redirect('/login?redirect=' + encodeURIComponent(returnUrl));
+    }
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const fromRegistration = await trx('registration')
+                .where({ registration_id: fromRegistrationId, user_id: userId })
+                .whereIn('registration_status', UPCOMING_STATUSES)
+                .first();
+            if (!fromRegistration) {
+                return { error: 'That registration can no longer be switched.' };
+            }
+
+            // Lock both occurrences, lowest ID first, so two opposite switches can't deadlock
+            const lockIds = [eventOccurrenceId, fromRegistration.event_occurrence_id].sort((a, b) => a - b);
+            const locked = {};
+            for (const id of lockIds) {
+                locked[id] = await lockOccurrence(trx, id);
+            }
+
+            const event = locked[eventOccurrenceId];
+            if (!event) {
+                return { error: 'Event not found.' };
+            }
+
+            const problem = await checkCanRegister(trx, event, userId);
+            if (problem) {
+                return { error: problem };
+            }
+
+            // Only a registration that actually clashes with this event, for an event that hasn't started, can be given up
+            const clashes = await findOverlappingRegistrations(trx, userId, event);
+            if (!clashes.some(clash => clash.registration_id === fromRegistration.registration_id)) {
+                return { error: 'That registration doesn\'t overlap with this event, so it can\'t be switched.' };
+            }
+            const fromEvent = locked[fromRegistration.event_occurrence_id];
+            if (!fromEvent || new Date(fromEvent.event_date_time_start) < new Date()) {
+                return { error: 'That event has already started, so it can\'t be switched away.' };
+            }
+
+            // They've seen every clash on the warning page, so only 'block' still stops them -
+            // if something other than the registration they're giving up clashes too
+            const stillOverlapping = ((await checkOverlapPolicy(trx, userId, event, true)) || [])
+                .filter(overlap => overlap.registration_id !== fromRegistration.registration_id);
+            if (stillOverlapping.length > 0) {
+                return { error: `This event also overlaps with ${stillOverlapping[0].event_name}. Cancel that registration first.` };
+            }
+
+            const answerCheck = await checkRegistrationAnswers(trx, event, req.body);
+            if (answerCheck.questions) {
+                return answerCheck;
+            }
+
+            // Give up the old spot (and let that event's waitlist move up)...
+            await transitionRegistration(trx, fromRegistration.registration_id, REGISTRATION_STATUS.CANCELLED);
+            if (fromRegistration.registration_status === REGISTRATION_STATUS.WAITLISTED) {
+                await resequenceWaitlist(trx, fromRegistration.event_occurrence_id);
+            } else if (fromRegistration.registration_status === REGISTRATION_STATUS.REGISTERED) {
+                await promoteFromWaitlist(trx, fromRegistration.event_occurrence_id);
+            }
+
+            // ...and take the new one
+            const needsApproval = await requiresApproval(trx, event);
+            const heldPosition = needsApproval ? null : await applyNoShowPolicy(trx, event, userId);
+            const [registration] = await trx('registration').insert({
+                user_id: userId,
+                event_occurrence_id: eventOccurrenceId,
+                registration_status: needsApproval ? REGISTRATION_STATUS.PENDING
+                    : heldPosition ? REGISTRATION_STATUS.WAITLISTED : REGISTRATION_STATUS.REGISTERED,
+                registration_waitlist_position: heldPosition,
+                registration_no_show_hold: Boolean(heldPosition),
+                registration_created_at: new Date()
+            }).returning('registration_id');
+            await saveRegistrationAnswers(trx, registration.registration_id, answerCheck.answers);
+
+            const oldEvent = locked[fromRegistration.event_occurrence_id];
+            return {
+                success: `Switched from ${oldEvent ? oldEvent.event_name : 'your other event'} to ${event.event_name}.` +
+                    (needsApproval ? ' Your new registration is waiting for approval.' : '') +
+                    (heldPosition ? ' ' + describeNoShowHold(heldPosition) : '')
+            };
+        });
+
+        if (outcome.questions) {
+            const { event, questions, fields, errors } = outcome.questions;
+            return renderRegistrationQuestions(res, event, questions, 'switch', req.body, fields, errors);
+        }
+        if (outcome.error) {
+            return res.redirect(returnUrl + '?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect(returnUrl + '?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return res.redirect(returnUrl + '?error=' + encodeURIComponent('You are already registered for this event.'));
+        }
+        console.log('Error switching registration:', err);
+        res.redirect(returnUrl + '?error=' + encodeURIComponent('An error occurred. Please try again.'));
+    }
+});
+
+/*
+ * Calendar Feeds (iCalendar)
+ * Lets families put our events into Google/Apple/Outlook calendars.
+ * - /events/calendar.ics             -> every upcoming event (optionally ?type=STEM)
+ * - /events/:id/calendar.ics         -> one event, for the "Add to Calendar" button
+ * - /calendar/:token.ics             -> a participant's own registrations (private link)
+ */
+app.get('/events/calendar.ics', (req, res) => {
+    const eventType = (req.query.type || '').trim();
+
+    let feedQuery = knex('event_occurrences')
+        .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+        .select(
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location',
+            'event_templates.event_description'
+        )
+        .where('event_occurrences.event_date_time_start', '>=', new Date())
+        .whereNot('event_occurrences.event_status', EVENT_STATUS.CANCELLED)
+        .orderBy('event_occurrences.event_date_time_start', 'asc');
+
+    if (eventType) {
+        feedQuery = feedQuery.whereRaw('LOWER(event_templates.event_type) = ?', [eventType.toLowerCase()]);
+    }
+
+    feedQuery
+        .then(occurrences => {
+            const calendarName = eventType ? `Ella Rises - ${eventType} Events` : 'Ella Rises Events';
+            sendIcs(res, 'ella-rises-events.ics', buildIcsCalendar(calendarName, occurrences, getBaseUrl(req)), false);
+        })
+        .catch(err => {
+            console.log('Error building events calendar: ', err);
+            res.status(500).send('Error building calendar feed');
+        });
+});
+
+app.get('/events/:event_occurrence_id/calendar.ics', (req, res) => {
+    const eventOccurrenceId = parseInt(req.params.event_occurrence_id, 10);
+
+    knex('event_occurrences')
+        .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+        .select(
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location',
+            'event_templates.event_description'
+        )
+        .where('event_occurrences.event_occurrence_id', eventOccurrenceId)
+        .first()
+        .then(occurrence => {
+            if (!occurrence) {
+                return res.redirect('/events?error=' + encodeURIComponent('Event not found.'));
+            }
+            sendIcs(res, `ella-rises-event-${eventOccurrenceId}.ics`, buildIcsCalendar('Ella Rises Events', [occurrence], getBaseUrl(req)), true);
+        })
+        .catch(err => {
+            console.log('Error building event calendar file: ', err);
+            res.redirect('/events?error=' + encodeURIComponent('An error occurred. Please try again.'));
+        });
+});
+
+app.get('/calendar/:token.ics', (req, res) => {
+    const token = req.params.token;
+
+    knex('users')
+        .select('user_id', 'user_first_name')
+        .where('user_calendar_token', token)
+        .first()
+        .then(user => {
+            // Same response for a bad token as a missing one - don't confirm which tokens exist
+            if (!user) {
+                return res.status(404).send('Calendar not found');
+            }
+
+            return knex('registration')
+                .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+                .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+                .select(
+                    'event_occurrences.event_occurrence_id',
+                    'event_occurrences.event_name',
+                    'event_occurrences.event_date_time_start',
+                    'event_occurrences.event_date_time_end',
+                    'event_occurrences.event_location',
+                    'event_templates.event_description',
+                    'registration.registration_status'
+                )
+                .where('registration.user_id', user.user_id)
+                .whereIn('registration.registration_status', ACTIVE_STATUSES)
+                .orderBy('event_occurrences.event_date_time_start', 'asc')
+                .then(occurrences => {
+                    sendIcs(res, 'my-ella-rises-events.ics', buildIcsCalendar(`${user.user_first_name}'s Ella Rises Events`, occurrences, getBaseUrl(req)), false);
+                });
+        })
+        .catch(err => {
+            console.log('Error building personal calendar: ', err);
+            res.status(500).send('Error building calendar feed');
+        });
+});
+
+/*
+ * Calendar JSON
+ * Feeds the month/week calendar on /events and Manage Event Occurrences.
+ * GET /events/calendar.json?start=2026-01-01&end=2026-02-01 (end is exclusive),
+ * plus any of the /events filters (type, location, search, open_seats).
+ */
+const MAX_CALENDAR_WINDOW_DAYS = 62; // A month view never needs more than 6 weeks
+
+app.get('/events/calendar.json', (req, res) => {
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+    const currentUserId = req.session.user_id || null;
+    const isAdmin = (req.session.level || '').toLowerCase() === 'admin';
+
+    // Default to the current month
+    const today = new Date();
+    const start = isDate(req.query.start)
+        ? new Date(`${req.query.start}T00:00:00`)
+        : new Date(today.getFullYear(), today.getMonth(), 1);
+    const end = isDate(req.query.end)
+        ? new Date(`${req.query.end}T00:00:00`)
+        : new Date(start.getFullYear(), start.getMonth() + 1, 1);
+
+    if (end <= start || (end - start) / (24 * 60 * 60 * 1000) > MAX_CALENDAR_WINDOW_DAYS) {
+        return res.status(400).json({ error: `Pick a window between 1 and ${MAX_CALENDAR_WINDOW_DAYS} days.` });
+    }
+
+    // The calendar's own window replaces the from/to filters
+    const filters = { ...parseEventFilters(req.query), from: '', to: '' };
+
+    const occurrencesQuery = applyEventFilters(whereNotCancelled(knex('event_occurrences')
+        .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+        .select(
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location',
+            'event_occurrences.event_capacity',
+            'event_templates.event_type'
+        )
+        .where('event_occurrences.event_date_time_start', '>=', start)
+        .where('event_occurrences.event_date_time_start', '<', end)
+        .orderBy('event_occurrences.event_date_time_start', 'asc')), filters);
+
+    const seatCountsQuery = whereHoldsSeat(knex('registration')
+        .join('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .where('event_occurrences.event_date_time_start', '>=', start)
+        .where('event_occurrences.event_date_time_start', '<', end))
+        .select('registration.event_occurrence_id')
+        .count('* as count')
+        .groupBy('registration.event_occurrence_id');
+
+    // Highlight the participant's own events
+    const userRegistrationsQuery = currentUserId
+        ? knex('registration')
+            .select('event_occurrence_id', 'registration_status')
+            .where('user_id', currentUserId)
+            .whereIn('registration_status', ACTIVE_STATUSES)
+        : Promise.resolve([]);
+
+    Promise.all([occurrencesQuery, seatCountsQuery, userRegistrationsQuery])
+        .then(([occurrences, seatCounts, userRegistrations]) => {
+            const seatsTaken = {};
+            seatCounts.forEach(row => { seatsTaken[row.event_occurrence_id] = parseInt(row.count, 10); });
+            const userStatuses = {};
+            userRegistrations.forEach(row => { userStatuses[row.event_occurrence_id] = row.registration_status; });
+            const doubleBooked = findDoubleBookedOccurrences(occurrences);
+
+            res.json({
+                start: formatDateOnly(start),
+                end: formatDateOnly(end),
+                events: occurrences.map(occurrence => ({
+                    id: occurrence.event_occurrence_id,
+                    title: occurrence.event_name,
+                    type: occurrence.event_type,
+                    location: occurrence.event_location,
+                    start: occurrence.event_date_time_start,
+                    end: occurrence.event_date_time_end,
+                    capacity: occurrence.event_capacity,
+                    seats_taken: seatsTaken[occurrence.event_occurrence_id] || 0,
+                    registration_status: userStatuses[occurrence.event_occurrence_id] || null,
+                    double_booked: doubleBooked.has(occurrence.event_occurrence_id),
+                    url: `/events/${occurrence.event_occurrence_id}`,
+                    admin_url: isAdmin ? `/manage-event-occurrences/${occurrence.event_occurrence_id}/roster` : null
+                }))
+            });
+        })
+        .catch(err => {
+            console.log('Error fetching calendar events: ', err);
+            res.status(500).json({ error: 'Error loading calendar' });
+        });
+});
+
+/*
+ * Event Detail Page
+ * One page per occurrence that flyers and social posts can link to.
+ * Shows everything from the event card plus seats left and other dates for the same event,
+ * with Open Graph tags so shared links get a proper preview.
+ */
+app.get('/events/:event_occurrence_id', (req, res) => {
+    const eventOccurrenceId = parseInt(req.params.event_occurrence_id, 10);
+    const currentUserId = req.session.user_id || null;
+
+    knex('event_occurrences')
+        .join('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+        .select(
+            'event_occurrences.*',
+            'event_templates.event_type',
+            'event_templates.event_description',
+            'event_templates.event_requires_approval'
+        )
+        .where('event_occurrences.event_occurrence_id', eventOccurrenceId)
+        .first()
+        .then(event => {
+            if (!event) {
+                return res.redirect('/events?error=' + encodeURIComponent('Event not found.'));
+            }
+
+            // Other upcoming dates for the same event (same template)
+            const otherDatesQuery = knex('event_occurrences')
+                .select('event_occurrence_id', 'event_name', 'event_date_time_start', 'event_location')
+                .where('event_template_id', event.event_template_id)
+                .whereNot('event_occurrence_id', eventOccurrenceId)
+                .where('event_date_time_start', '>=', new Date())
+                .whereNot('event_status', EVENT_STATUS.CANCELLED)
+                .orderBy('event_date_time_start', 'asc')
+                .limit(5);
+
+            const userRegistrationQuery = currentUserId
+                ? findActiveRegistration(knex, currentUserId, eventOccurrenceId)
+                : Promise.resolve(null);
+
+            const instructorsQuery = knex('event_occurrence_instructors')
+                .innerJoin('instructors', 'event_occurrence_instructors.instructor_id', '=', 'instructors.instructor_id')
+                .select('instructors.instructor_first_name', 'instructors.instructor_last_name', 'instructors.instructor_type')
+                .where('event_occurrence_instructors.event_occurrence_id', eventOccurrenceId)
+                .orderBy('instructors.instructor_last_name');
+
+            // Who can sign up, and (for a logged-in visitor) whether they can
+            const ineligibleQuery = currentUserId
+                ? checkEligibility(knex, event, currentUserId)
+                : Promise.resolve(null);
+
+            return Promise.all([countTakenSeats(knex, eventOccurrenceId), otherDatesQuery, userRegistrationQuery, instructorsQuery, getEligibilityRules(knex, event.event_template_id), ineligibleQuery])
+                .then(([takenSeats, otherDates, userRegistration, instructors, eligibilityRules, ineligibleReason]) => {
+                    const baseUrl = getBaseUrl(req);
+                    const description = event.event_description || 'Join us for this exciting event!';
+
+                    res.render('event-detail', {
+                        event: event,
+                        takenSeats: takenSeats,
+                        seatsLeft: event.event_capacity ? Math.max(event.event_capacity - takenSeats, 0) : null,
+                        otherDates: otherDates,
+                        instructors: instructors,
+                        eligibility: describeEligibilityRules(eligibilityRules),
+                        ineligibleReason: userRegistration ? null : ineligibleReason,
+                        userRegistration: userRegistration || null,
+                        imagePath: getEventImagePath(event.event_type),
+                        // Open Graph / social preview info
+                        og: {
+                            title: `${event.event_name} - Ella Rises`,
+                            description: description.length > 200 ? description.slice(0, 197) + '...' : description,
+                            url: `${baseUrl}/events/${eventOccurrenceId}`,
+                            image: baseUrl + getEventImagePath(event.event_type)
+                        },
+                        success_message: req.query.success || '',
+                        error_message: req.query.error || ''
+                    });
+                });
+        })
+        .catch(err => {
+            console.log('Error fetching event: ', err);
+            res.redirect('/events?error=' + encodeURIComponent('An error occurred. Please try again.'));
+        });
+});
+
+/*
+ * ========== ADMIN: MANAGE EVENT OCCURRENCES ==========
+ * Event occurrences are specific instances of events (like "STEAM Workshop on Dec 15")
+ * These routes let admins view, create, edit, and delete event occurrences.
+ */
+
+// List all event occurrences with search and pagination
+app.get('/manage-event-occurrences', (req, res) => {
+    const searchQuery = req.query.search || '';
+    
+    // Pagination - 20 items per page
+    const page = parseInt(req.query.page, 10) || 1;
+    const perPage = 20;
+    const offset = (page - 1) * perPage;
+    
+    const errorMessage = req.query.error || "";
+    const successMessage = req.query.success || "";
+
+    // 'calendar' swaps the table for a month/week calendar (loaded from /events/calendar.json)
+    const view = req.query.view === 'calendar' ? 'calendar' : 'list';
+
+    // Main query to fetch event occurrences
+    let eventsQuery = knex('event_occurrences')
+        .select(
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_template_id',
+            'event_occurrences.event_name',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location',
+            'event_occurrences.event_capacity',
+            'event_occurrences.event_registration_deadline',
+            'event_occurrences.event_status',
+            'event_occurrences.event_cancellation_reason',
+            'event_occurrences.venue_id'
+        );
+
+    // Apply search filter if provided (searches name and location)
+    if (searchQuery.trim() !== '') {
+        const searchTerm = '%' + searchQuery.trim() + '%';
+        eventsQuery = eventsQuery.where(function () {
+            this.where('event_occurrences.event_name', 'ilike', searchTerm)
+                .orWhere('event_occurrences.event_location', 'ilike', searchTerm);
+        });
+    }
+
+    // Sort by date (newest first) and apply pagination
+    eventsQuery = eventsQuery
+        .orderBy('event_occurrences.event_date_time_start', 'desc')
+        .limit(perPage)
+        .offset(offset);
+
+    // Count query needs same filters for accurate pagination
+    let countQuery = knex('event_occurrences');
+    if (searchQuery.trim() !== '') {
+        const searchTerm = '%' + searchQuery.trim() + '%';
+        countQuery = countQuery.where(function () {
+            this.where('event_name', 'ilike', searchTerm)
+                .orWhere('event_location', 'ilike', searchTerm);
+        });
+    }
+    countQuery = countQuery.count('* as count').first();
+
+    // Also get templates for the edit modal's dropdown
+    const templatesQuery = knex('event_templates')
+        .select('event_template_id', 'event_name')
+        .orderBy('event_name');
+
+    // Run all queries and render the page
+    Promise.all([eventsQuery, countQuery, templatesQuery, getVenueOptions(knex), getInstructorOptions(knex)])
+        .then(([events, countResult, templates, venues, instructors]) => {
+            const totalCount = parseInt(countResult.count, 10);
+            const totalPages = Math.ceil(totalCount / perPage);
+
+            // Who leads each event on this page (for the table and the edit modal's checkboxes)
+            return knex('event_occurrence_instructors')
+                .whereIn('event_occurrence_id', events.map(event => event.event_occurrence_id))
+                .select('event_occurrence_id', 'instructor_id')
+                .then(assignments => {
+                    const instructorNames = {};
+                    instructors.forEach(instructor => {
+                        instructorNames[instructor.instructor_id] = `${instructor.instructor_first_name} ${instructor.instructor_last_name}`;
+                    });
+                    events.forEach(event => {
+                        event.instructor_ids = assignments
+                            .filter(assignment => assignment.event_occurrence_id === event.event_occurrence_id)
+                            .map(assignment => assignment.instructor_id);
+                        event.instructor_names = event.instructor_ids.map(id => instructorNames[id]);
+                    });
+
+                    res.render('manage-event-occurrences', {
+                        event: events,
+                        templates: templates,
+                        venues: venues,
+                        instructors: instructors,
+                        currentPage: page,
+                        totalPages,
+                        totalCount,
+                        searchQuery: searchQuery,
+                        view: view,
+                        error_message: errorMessage,
+                        success_message: successMessage
+                    });
+                });
+        }).catch(err => {
+            console.log('Error fetching event information: ', err);
+            res.render('manage-event-occurrences', {
+                event: [],
+                templates: [],
+                venues: [],
+                instructors: [],
+                currentPage: page,
+                totalPages: 0,
+                totalCount: 0,
+                searchQuery: searchQuery,
+                view: view,
+                error_message: 'Error fetching event information'
+            });
+        });
+});
+
+// Show the "Add New Event Occurrence" form
+app.get('/manage-event-occurrences/new', (req, res) => {
+    // Fetch templates for the dropdown - includes default capacity
+    // so we can auto-fill capacity when user selects a template
+    const templatesQuery = knex('event_templates')
+        .select(
+            'event_template_id',
+            'event_name',
+            'event_default_capacity'
+        )
+        .orderBy('event_name');
+
+    Promise.all([templatesQuery, getVenueOptions(knex), getInstructorOptions(knex)])
+        .then(([templates, venues, instructors]) => {
+            res.render('add-event-occurrence', {
+                templates: templates,
+                venues: venues,
+                instructors: instructors,
+                selectedInstructorIds: [],
+                error_message: ""
+            });
+        })
+        .catch(err => {
+            console.log('Error fetching event templates: ', err);
+            res.redirect('/manage-event-occurrences?error=Error fetching event templates');
+        });
+});
+
+app.post('/manage-event-occurrences/new', (req, res) => {
+    const { 
+        event_template_id, 
+        event_name, 
+        event_date_time_start, 
+        event_date_time_end, 
+        venue_id, 
+        event_capacity, 
+        event_registration_deadline,
+        instructor_ids
+    } = req.body;
+
+    // Build the insert object
+    const insertData = {
+        event_template_id,
+        event_name,
+        event_date_time_start,
+        event_date_time_end,
+        event_capacity: parseInt(event_capacity, 10)
+    };
+
+    // Only add registration deadline if provided
+    if (event_registration_deadline) {
+        insertData.event_registration_deadline = event_registration_deadline;
+    }
+
+    // Show the form again with an error message
+    const renderFormError = errorMessage => {
+        return Promise.all([
+            knex('event_templates')
+                .select('event_template_id', 'event_name', 'event_default_capacity')
+                .orderBy('event_name'),
+            getVenueOptions(knex),
+            getInstructorOptions(knex)
+        ])
+            .then(([templates, venues, instructors]) => {
+                res.render('add-event-occurrence', {
+                    templates: templates,
+                    venues: venues,
+                    instructors: instructors,
+                    selectedInstructorIds: [].concat(instructor_ids || []).map(id => parseInt(id, 10)),
+                    error_message: errorMessage
+                });
+            })
+            .catch(() => {
+                res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(errorMessage));
+            });
+    };
+
+    resolveOccurrenceVenue(knex, venue_id, insertData.event_capacity)
+        .then(({ venue, error }) => {
+            if (error) {
+                return renderFormError(error);
+            }
+
+            insertData.venue_id = venue.venue_id;
+            insertData.event_location = getVenueLabel(venue);
+
+            return knex.transaction(async trx => {
+                const [created] = await trx('event_occurrences')
+                    .insert(insertData)
+                    .returning('event_occurrence_id');
+                await setOccurrenceInstructors(trx, created.event_occurrence_id, instructor_ids);
+            })
+                .then(() => {
+                    res.redirect('/manage-event-occurrences');
+                });
+        })
+        .catch(err => {
+            console.log('Error creating event occurrence: ', err);
+            renderFormError('An error occurred while creating the event occurrence.');
+        });
+});
+
+// Update event occurrence
+app.post('/manage-event-occurrences/:id/update', (req, res) => {
+    const occurrenceId = req.params.id;
+    const { 
+        event_template_id, 
+        event_name, 
+        event_date_time_start, 
+        event_date_time_end, 
+        venue_id, 
+        event_capacity, 
+        event_registration_deadline,
+        instructor_ids
+    } = req.body;
+
+    // Build the update object
+    const updateData = {
+        event_template_id,
+        event_name,
+        event_date_time_start,
+        event_date_time_end,
+        event_capacity: parseInt(event_capacity, 10)
+    };
+
+    // Handle registration deadline - set to null if empty, otherwise use the value
+    if (event_registration_deadline) {
+        updateData.event_registration_deadline = event_registration_deadline;
+    } else {
+        updateData.event_registration_deadline = null;
+    }
+
+    knex.transaction(async trx => {
+        const { venue, error } = await resolveOccurrenceVenue(trx, venue_id, updateData.event_capacity);
+        if (error) {
+            return error;
+        }
+        updateData.venue_id = venue.venue_id;
+        updateData.event_location = getVenueLabel(venue);
+
+        await trx('event_occurrences')
+            .where('event_occurrence_id', occurrenceId)
+            .update(updateData);
+        await setOccurrenceInstructors(trx, occurrenceId, instructor_ids);
+
+        // If capacity went up, pull people off the waitlist to fill the new seats
+        await promoteFromWaitlist(trx, occurrenceId);
+        return null;
+    })
+        .then(errorMessage => {
+            if (errorMessage) {
+                return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(errorMessage));
+            }
+            res.redirect('/manage-event-occurrences');
+        })
+        .catch(err => {
+            console.log('Error updating event occurrence: ', err);
+            res.redirect('/manage-event-occurrences?error=An error occurred while updating the event occurrence');
+        });
+});
+
+// Delete event occurrence
+// Only for occurrences with no history - once anyone has attended (or been marked a no-show)
+// or left a survey, deleting would throw that away, so it has to be cancelled instead
+app.post('/manage-event-occurrences/:id/delete', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+
+    const attendanceQuery = knex('registration')
+        .where('event_occurrence_id', occurrenceId)
+        .whereIn('registration_status', [REGISTRATION_STATUS.ATTENDED, REGISTRATION_STATUS.NO_SHOW])
+        .count('* as count')
+        .first();
+
+    const surveysQuery = knex('surveys')
+        .innerJoin('registration', 'surveys.registration_id', '=', 'registration.registration_id')
+        .where('registration.event_occurrence_id', occurrenceId)
+        .count('* as count')
+        .first();
+
+    Promise.all([attendanceQuery, surveysQuery])
+        .then(([attendance, surveys]) => {
+            if (parseInt(attendance.count, 10) > 0 || parseInt(surveys.count, 10) > 0) {
+                return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(
+                    'This event occurrence has attendance or survey responses, so it can\'t be deleted. Cancel it instead to keep its history.'));
+            }
+
+            return knex('event_occurrences')
+                .where('event_occurrence_id', occurrenceId)
+                .del()
+                .then(() => {
+                    res.redirect('/manage-event-occurrences');
+                });
+        })
+        .catch(err => {
+            console.log('Error deleting event occurrence: ', err);
+            res.redirect('/manage-event-occurrences?error=An error occurred while deleting the event occurrence');
+        });
+});
+
+/*
+ * Cancel an occurrence
+ * Keeps the occurrence and its registrations, but marks the event cancelled, cancels every
+ * registered/waitlisted spot (flagged as 'event-cancelled' so it's clear the participant
+ * didn't back out), records the reason, and queues a notification for each registrant.
+ */
+app.post('/manage-event-occurrences/:id/cancel', async (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+    const reason = ((req.body && req.body.reason) || '').trim();
+
+    if (!reason) {
+        return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent('Please give a reason for cancelling the event.'));
+    }
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const occurrence = await lockOccurrence(trx, occurrenceId);
+            if (!occurrence) {
+                return { error: 'Event occurrence not found.' };
+            }
+            if (occurrence.event_status === EVENT_STATUS.CANCELLED) {
+                return { error: 'This event occurrence is already cancelled.' };
+            }
+            if (new Date(occurrence.event_date_time_start) < new Date()) {
+                return { error: 'This event occurrence has already started, so it can\'t be cancelled.' };
+            }
+
+            // Tell people before their registrations are cancelled (afterwards we couldn't tell who was signed up)
+            const notified = await queueEventNotifications(trx, occurrenceId, 'event-cancelled',
+                `Cancelled: ${occurrence.event_name}`,
+                `We're sorry - ${occurrence.event_name} on ${formatEventTime(occurrence.event_date_time_start, occurrence.event_date_time_end)} has been cancelled.\n\nReason: ${reason}`);
+
+            const signedUp = await trx('registration')
+                .select('registration_id')
+                .where('event_occurrence_id', occurrenceId)
+                .whereIn('registration_status', UPCOMING_STATUSES);
+            for (const registration of signedUp) {
+                await transitionRegistration(trx, registration.registration_id, REGISTRATION_STATUS.CANCELLED, {
+                    registration_cancelled_reason: 'event-cancelled'
+                });
+            }
+
+            const now = new Date();
+
+            await trx('event_occurrences')
+                .where('event_occurrence_id', occurrenceId)
+                .update({
+                    event_status: EVENT_STATUS.CANCELLED,
+                    event_cancelled_at: now,
+                    event_cancellation_reason: reason,
+                    updated_at: now
+                });
+
+            await trx('event_occurrence_changes').insert({
+                event_occurrence_id: occurrenceId,
+                event_change_type: 'cancelled',
+                event_change_reason: reason,
+                event_previous_start: occurrence.event_date_time_start,
+                event_previous_end: occurrence.event_date_time_end,
+                changed_by_user_id: req.session.user_id || null
+            });
+
+            return { success: `${occurrence.event_name} was cancelled. ${notified} registrant(s) will be notified.` };
+        });
+
+        if (outcome.error) {
+            return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect('/manage-event-occurrences?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        console.log('Error cancelling event occurrence: ', err);
+        res.redirect('/manage-event-occurrences?error=' + encodeURIComponent('An error occurred while cancelling the event occurrence.'));
+    }
+});
+
+/*
+ * Reschedule an occurrence
+ * Moves it to a new date/time. Registrations (and the waitlist) carry over as they are;
+ * everyone signed up is notified of the new time, and the old time and reason are kept in the history.
+ * Leaving the deadline blank moves the current one by the same amount as the start (like a bulk shift).
+ */
+app.post('/manage-event-occurrences/:id/reschedule', async (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+    const body = req.body || {};
+    const reason = (body.reason || '').trim();
+    const newStart = new Date(body.event_date_time_start);
+    const newEnd = new Date(body.event_date_time_end);
+    const newDeadline = body.event_registration_deadline ? new Date(body.event_registration_deadline) : null;
+
+    let validationError = null;
+    if (isNaN(newStart.getTime()) || isNaN(newEnd.getTime())) {
+        validationError = 'Please enter the new start and end date/time.';
+    } else if (newStart >= newEnd) {
+        validationError = 'Start date/time must be before end date/time.';
+    } else if (newStart < new Date()) {
+        validationError = 'The new date/time must be in the future.';
+    } else if (newDeadline && (isNaN(newDeadline.getTime()) || newDeadline >= newStart)) {
+        validationError = 'Registration deadline must be before the start date/time.';
+    } else if (!reason) {
+        validationError = 'Please give a reason for rescheduling the event.';
+    }
+    if (validationError) {
+        return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(validationError));
+    }
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const occurrence = await lockOccurrence(trx, occurrenceId);
+            if (!occurrence) {
+                return { error: 'Event occurrence not found.' };
+            }
+            if (occurrence.event_status === EVENT_STATUS.CANCELLED) {
+                return { error: 'Cancelled event occurrences can\'t be rescheduled.' };
+            }
+            if (new Date(occurrence.event_date_time_start) < new Date()) {
+                return { error: 'This event occurrence has already started, so it can\'t be rescheduled.' };
+            }
+
+            const offset = newStart.getTime() - new Date(occurrence.event_date_time_start).getTime();
+            const deadline = newDeadline || (occurrence.event_registration_deadline
+                ? new Date(new Date(occurrence.event_registration_deadline).getTime() + offset)
+                : null);
+
+            await trx('event_occurrences')
+                .where('event_occurrence_id', occurrenceId)
+                .update({
+                    event_date_time_start: newStart,
+                    event_date_time_end: newEnd,
+                    event_registration_deadline: deadline,
+                    updated_at: new Date()
+                });
+
+            await trx('event_occurrence_changes').insert({
+                event_occurrence_id: occurrenceId,
+                event_change_type: 'rescheduled',
+                event_change_reason: reason,
+                event_previous_start: occurrence.event_date_time_start,
+                event_previous_end: occurrence.event_date_time_end,
+                event_new_start: newStart,
+                event_new_end: newEnd,
+                changed_by_user_id: req.session.user_id || null
+            });
+
+            const notified = await queueEventNotifications(trx, occurrenceId, 'event-rescheduled',
+                `New time: ${occurrence.event_name}`,
+                `${occurrence.event_name} has moved from ${formatEventTime(occurrence.event_date_time_start, occurrence.event_date_time_end)} ` +
+                `to ${formatEventTime(newStart, newEnd)}. Your spot is still saved - if the new time doesn't work, ` +
+                `you can cancel your registration from your registrations page.\n\nReason: ${reason}`);
+
+            return { success: `${occurrence.event_name} was rescheduled. ${notified} registrant(s) will be notified.` };
+        });
+
+        if (outcome.error) {
+            return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect('/manage-event-occurrences?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        console.log('Error rescheduling event occurrence: ', err);
+        res.redirect('/manage-event-occurrences?error=' + encodeURIComponent('An error occurred while rescheduling the event occurrence.'));
+    }
+});
+
+// ~~~~~ Bulk Occurrence Changes (Admin) ~~~~~
+
+// Preview a bulk shift/clone/update of the ticked occurrences before anything is saved
+app.post('/manage-event-occurrences/bulk/preview', async (req, res) => {
+    const { change, errors } = parseBulkForm(req.body || {});
+    if (errors.length > 0) {
+        return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const plan = await planBulkChange(knex, change);
+        if (plan.error) {
+            return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(plan.error));
+        }
+
+        res.render('manage-event-occurrences-bulk', {
+            change: change,
+            rows: plan.rows,
+            blocked: plan.rows.some(row => row.problems.length > 0),
+            bulkActions: BULK_ACTIONS,
+            error_message: ''
+        });
+    } catch (err) {
+        console.log('Error previewing bulk occurrence change: ', err);
+        res.redirect('/manage-event-occurrences?error=' + encodeURIComponent('Error previewing the changes. Please try again.'));
+    }
+});
+
+// Apply the previewed change to every selected occurrence in one transaction
+app.post('/manage-event-occurrences/bulk/apply', async (req, res) => {
+    const { change, errors } = parseBulkForm(req.body || {});
+    if (errors.length > 0) {
+        return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const outcome = await knex.transaction(trx => applyBulkChange(trx, change, req.session.user_id));
+
+        if (outcome.error) {
+            return res.redirect('/manage-event-occurrences?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect('/manage-event-occurrences?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        console.log('Error applying bulk occurrence change: ', err);
+        res.redirect('/manage-event-occurrences?error=' + encodeURIComponent('An error occurred while updating the event occurrences. Nothing was changed.'));
+    }
+});
+
+// ~~~~~ Occurrence Waitlist (Admin) ~~~~~
+// See who's waiting for a seat, reorder them, or remove someone from the line
+app.get('/manage-event-occurrences/:id/waitlist', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+
+    const occurrenceQuery = knex('event_occurrences')
+        .where('event_occurrence_id', occurrenceId)
+        .first();
+
+    const waitlistQuery = knex('registration')
+        .innerJoin('users', 'registration.user_id', '=', 'users.user_id')
+        .select(
+            'registration.registration_id',
+            'registration.registration_waitlist_position',
+            'registration.registration_created_at',
+            'registration.registration_no_show_hold',
+            'users.user_id',
+            'users.user_first_name',
+            'users.user_last_name',
+            'users.user_email'
+        )
+        .where('registration.event_occurrence_id', occurrenceId)
+        .where('registration.registration_status', REGISTRATION_STATUS.WAITLISTED)
+        .orderBy('registration.registration_waitlist_position', 'asc')
+        .orderBy('registration.registration_id', 'asc');
+
+    Promise.all([occurrenceQuery, waitlistQuery, countTakenSeats(knex, occurrenceId)])
+        .then(([occurrence, waitlist, takenSeats]) => {
+            if (!occurrence) {
+                return res.redirect('/manage-event-occurrences?error=Event occurrence does not exist');
+            }
+
+            res.render('manage-waitlist', {
+                occurrence: occurrence,
+                waitlist: waitlist,
+                takenSeats: takenSeats,
+                NO_SHOW_RELEASE_HOURS: NO_SHOW_RELEASE_HOURS,
+                error_message: req.query.error || ''
+            });
+        })
+        .catch(err => {
+            console.log('Error fetching waitlist: ', err);
+            res.redirect('/manage-event-occurrences?error=Error fetching waitlist');
+        });
+});
+
+// Move someone up or down one spot in line
+app.post('/manage-event-occurrences/:id/waitlist/:registration_id/move', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+    const registrationId = parseInt(req.params.registration_id, 10);
+    const direction = req.body.direction === 'down' ? 1 : -1;
+
+    knex.transaction(async trx => {
+        // Close any gaps first so positions are exactly 1..n
+        await resequenceWaitlist(trx, occurrenceId);
+
+        const entry = await trx('registration')
+            .where({ registration_id: registrationId, event_occurrence_id: occurrenceId, registration_status: REGISTRATION_STATUS.WAITLISTED })
+            .first();
+        if (!entry) return;
+
+        const neighbor = await trx('registration')
+            .where({
+                event_occurrence_id: occurrenceId,
+                registration_status: REGISTRATION_STATUS.WAITLISTED,
+                registration_waitlist_position: entry.registration_waitlist_position + direction
+            })
+            .first();
+        if (!neighbor) return; // Already at the top/bottom
+
+        // Swap the two positions
+        await trx('registration')
+            .where('registration_id', entry.registration_id)
+            .update({ registration_waitlist_position: neighbor.registration_waitlist_position });
+        await trx('registration')
+            .where('registration_id', neighbor.registration_id)
+            .update({ registration_waitlist_position: entry.registration_waitlist_position });
+    })
+        .then(() => {
+            res.redirect(`/manage-event-occurrences/${occurrenceId}/waitlist`);
+        })
+        .catch(err => {
+            console.log('Error reordering waitlist: ', err);
+            res.redirect(`/manage-event-occurrences/${occurrenceId}/waitlist?error=Error reordering waitlist. Please try again`);
+        });
+});
+
+// Take someone off the waitlist
+app.post('/manage-event-occurrences/:id/waitlist/:registration_id/remove', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+    const registrationId = parseInt(req.params.registration_id, 10);
+
+    knex.transaction(async trx => {
+        const entry = await trx('registration')
+            .where({ registration_id: registrationId, event_occurrence_id: occurrenceId, registration_status: REGISTRATION_STATUS.WAITLISTED })
+            .first();
+        if (!entry) return;
+
+        await transitionRegistration(trx, registrationId, REGISTRATION_STATUS.CANCELLED);
+        await resequenceWaitlist(trx, occurrenceId);
+    })
+        .then(() => {
+            res.redirect(`/manage-event-occurrences/${occurrenceId}/waitlist`);
+        })
+        .catch(err => {
+            console.log('Error removing from waitlist: ', err);
+            res.redirect(`/manage-event-occurrences/${occurrenceId}/waitlist?error=Error removing from waitlist. Please try again`);
+        });
+});
+
+// ~~~~~ Occurrence Check-In Kiosk (Admin) ~~~~~
+// Staff scan (or type) each participant's check-in code at the door to record attendance
+app.get('/manage-event-occurrences/:id/check-in', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+
+    const occurrenceQuery = knex('event_occurrences')
+        .where('event_occurrence_id', occurrenceId)
+        .first();
+
+    // Everyone holding a seat - checked-in people float to the top, newest first
+    const attendeesQuery = whereHoldsSeat(knex('registration')
+        .innerJoin('users', 'registration.user_id', '=', 'users.user_id')
+        .select(
+            'registration.registration_id',
+            'registration.registration_status',
+            'registration.registration_check_in_time',
+            'users.user_first_name',
+            'users.user_last_name',
+            'users.user_email'
+        )
+        .where('registration.event_occurrence_id', occurrenceId))
+        .orderByRaw('registration.registration_check_in_time DESC NULLS LAST')
+        .orderBy('users.user_last_name', 'asc');
+
+    Promise.all([occurrenceQuery, attendeesQuery, getCheckInCounts(knex, occurrenceId)])
+        .then(([occurrence, attendees, counts]) => {
+            if (!occurrence) {
+                return res.redirect('/manage-event-occurrences?error=Event occurrence does not exist');
+            }
+
+            attendees.forEach(attendee => {
+                attendee.check_in_code = getCheckInCode(attendee.registration_id);
+            });
+
+            res.render('check-in', {
+                occurrence: occurrence,
+                attendees: attendees,
+                counts: counts,
+                error_message: req.query.error || '',
+                success_message: req.query.success || ''
+            });
+        })
+        .catch(err => {
+            console.log('Error loading check-in: ', err);
+            res.redirect('/manage-event-occurrences?error=Error loading check-in');
+        });
+});
+
+// Live "checked in X of Y" numbers - the kiosk page polls this so several doors stay in sync
+app.get('/manage-event-occurrences/:id/check-in/status', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+
+    getCheckInCounts(knex, occurrenceId)
+        .then(counts => {
+            res.json(counts);
+        })
+        .catch(err => {
+            console.log('Error fetching check-in counts: ', err);
+            res.status(500).json({ error: 'Error fetching check-in counts' });
+        });
+});
+
+// Check someone in from their scanned/typed code
+app.post('/manage-event-occurrences/:id/check-in', async (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+    const checkInUrl = `/manage-event-occurrences/${occurrenceId}/check-in`;
+    const registrationId = parseCheckInCode(req.body.code);
+
+    if (!registrationId) {
+        return res.redirect(checkInUrl + '?error=' + encodeURIComponent('That check-in code is not valid.'));
+    }
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const registration = await trx('registration')
+                .innerJoin('users', 'registration.user_id', '=', 'users.user_id')
+                .select('registration.*', 'users.user_first_name', 'users.user_last_name')
+                .where('registration.registration_id', registrationId)
+                .first();
+
+            if (!registration || registration.event_occurrence_id !== occurrenceId) {
+                return { error: 'That code is for a different event.' };
+            }
+
+            const name = `${registration.user_first_name} ${registration.user_last_name}`;
+            if (registration.registration_status === REGISTRATION_STATUS.ATTENDED) {
+                return { error: `${name} is already checked in.` };
+            }
+            if (!await checkInRegistration(trx, registrationId)) {
+                // Waitlisted or cancelled - they don't have a seat
+                return { error: `${name} is ${registration.registration_status} and can't be checked in. Use walk-in registration instead.` };
+            }
+            return { success: `Checked in ${name}.` };
+        });
+
+        if (outcome.error) {
+            return res.redirect(checkInUrl + '?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect(checkInUrl + '?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        console.log('Error checking in: ', err);
+        res.redirect(checkInUrl + '?error=' + encodeURIComponent('Error checking in. Please try again.'));
+    }
+});
+
+/*
+ * Walk-in registration
+ * Someone shows up without a registration: find them by email (or create a participant
+ * account if they're new), register them on the spot and check them in, all in one step.
+ * Registration deadlines don't apply here, but capacity still does.
+ */
+app.post('/manage-event-occurrences/:id/check-in/walk-in', async (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+    const checkInUrl = `/manage-event-occurrences/${occurrenceId}/check-in`;
+    const email = (req.body.user_email || '').trim().toLowerCase();
+    const firstName = (req.body.user_first_name || '').trim();
+    const lastName = (req.body.user_last_name || '').trim();
+    // Only admins can let someone in who doesn't meet the template's eligibility rules
+    const isAdmin = (req.session.level || '').toLowerCase() === 'admin';
+    const overrideEligibility = isAdmin && req.body.override_eligibility === 'on';
+
+    if (!email) {
+        return res.redirect(checkInUrl + '?error=' + encodeURIComponent('Enter an email address for the walk-in.'));
+    }
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const occurrence = await lockOccurrence(trx, occurrenceId);
+            if (!occurrence) {
+                return { error: 'Event occurrence does not exist.' };
+            }
+
+            let user = await trx('users')
+                .whereRaw('LOWER(user_email) = ?', [email])
+                .first();
+
+            if (!user) {
+                if (!firstName || !lastName) {
+                    return { error: `No account found for ${email}. Add a first and last name to create one.` };
+                }
+                // Nobody knows this password - the account can't be signed into until a real one is set
+                const saltRounds = 10;
+                const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), saltRounds);
+                [user] = await trx('users')
+                    .insert({
+                        user_first_name: firstName,
+                        user_last_name: lastName,
+                        user_email: email,
+                        user_role: 'participant',
+                        user_password: unusablePassword
+                    })
+                    .returning('*');
+            }
+
+            const name = `${user.user_first_name} ${user.user_last_name}`;
+            let registration = await findActiveRegistration(trx, user.user_id, occurrenceId);
+
+            if (registration && registration.registration_status === REGISTRATION_STATUS.ATTENDED) {
+                return { error: `${name} is already checked in.` };
+            }
+
+            // New sign-ups have to meet the eligibility rules (or an admin records an override)
+            if (!registration) {
+                const ineligibleReason = await checkEligibility(trx, occurrence, user.user_id);
+                if (ineligibleReason && !overrideEligibility) {
+                    return { error: `${name} isn't eligible: ${ineligibleReason}` + (isAdmin ? ' Tick "Override eligibility" to register them anyway.' : '') };
+                }
+                if (ineligibleReason) {
+                    await trx('event_eligibility_overrides')
+                        .insert({
+                            event_template_id: occurrence.event_template_id,
+                            user_id: user.user_id,
+                            granted_by_user_id: req.session.user_id,
+                            override_reason: 'Walk-in check-in'
+                        })
+                        .onConflict(['event_template_id', 'user_id'])
+                        .ignore();
+                }
+            }
+
+            // Anyone without a seat yet (new, waiting on the waitlist or for approval) needs one to be free.
+            // Staff letting a pending request in at the door counts as approving it.
+            if (!registration || [REGISTRATION_STATUS.WAITLISTED, REGISTRATION_STATUS.PENDING].includes(registration.registration_status)) {
+                const takenSeats = await countTakenSeats(trx, occurrenceId);
+                if (occurrence.event_capacity && takenSeats >= occurrence.event_capacity) {
+                    return { error: `This event is full, so ${name} can't be added.` };
+                }
+
+                if (registration) {
+                    await transitionRegistration(trx, registration.registration_id, REGISTRATION_STATUS.REGISTERED);
+                    await resequenceWaitlist(trx, occurrenceId);
+                } else {
+                    [registration] = await trx('registration')
+                        .insert({
+                            user_id: user.user_id,
+                            event_occurrence_id: occurrenceId,
+                            registration_status: REGISTRATION_STATUS.REGISTERED,
+                            registration_created_at: new Date()
+                        })
+                        .returning('*');
+                }
+            }
+
+            await checkInRegistration(trx, registration.registration_id);
+            return { success: `Registered and checked in ${name}.` };
+        });
+
+        if (outcome.error) {
+            return res.redirect(checkInUrl + '?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect(checkInUrl + '?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        console.log('Error registering walk-in: ', err);
+        res.redirect(checkInUrl + '?error=' + encodeURIComponent('Error registering walk-in. Please try again.'));
+    }
+});
+
+// ~~~~~ Occurrence Roster (Admin) ~~~~~
+// Who's signed up for an occurrence, with bulk attendance marking, exports and a printable sign-in sheet
+app.get('/manage-event-occurrences/:id/roster', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+
+    const occurrenceQuery = knex('event_occurrences')
+        .where('event_occurrence_id', occurrenceId)
+        .first();
+
+    Promise.all([occurrenceQuery, getOccurrenceRoster(knex, occurrenceId), getCheckInCounts(knex, occurrenceId)])
+        .then(async ([occurrence, roster, counts]) => {
+            if (!occurrence) {
+                return res.redirect('/manage-event-occurrences?error=Event occurrence does not exist');
+            }
+
+            const { questions, answers } = await getRosterAnswers(knex, occurrence);
+
+            // Survey links for everyone who attended and hasn't filled one in (or used their link) yet
+            const surveyLinks = {};
+            roster
+                .filter(entry => entry.registration_status === REGISTRATION_STATUS.ATTENDED && !entry.survey_id && !entry.registration_survey_link_used_at)
+                .forEach(entry => { surveyLinks[entry.registration_id] = getSurveyLink(req, entry.registration_id); });
+
+            res.render('event-roster', {
+                occurrence: occurrence,
+                roster: roster,
+                counts: counts,
+                questions: questions,
+                answers: answers,
+                surveyLinks: surveyLinks,
+                error_message: req.query.error || '',
+                success_message: req.query.success || ''
+            });
+        })
+        .catch(err => {
+            console.log('Error fetching roster: ', err);
+            res.redirect('/manage-event-occurrences?error=Error fetching roster');
+        });
+});
+
+// Mark the selected people attended or no-show in one go (only once the event has started)
+app.post('/manage-event-occurrences/:id/roster/mark', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+    const rosterUrl = `/manage-event-occurrences/${occurrenceId}/roster`;
+    const status = req.body.status;
+
+    // Checkboxes come through as a string when only one is ticked
+    const registrationIds = [].concat(req.body.registration_ids || [])
+        .map(id => parseInt(id, 10))
+        .filter(id => !isNaN(id));
+
+    if (![REGISTRATION_STATUS.ATTENDED, REGISTRATION_STATUS.NO_SHOW].includes(status)) {
+        return res.redirect(rosterUrl + '?error=' + encodeURIComponent('Choose attended or no-show.'));
+    }
+    if (registrationIds.length === 0) {
+        return res.redirect(rosterUrl + '?error=' + encodeURIComponent('Select at least one person first.'));
+    }
+
+    knex.transaction(async trx => {
+        const occurrence = await trx('event_occurrences')
+            .where('event_occurrence_id', occurrenceId)
+            .first('event_date_time_start');
+        if (!occurrence) {
+            return { error: 'Event occurrence does not exist' };
+        }
+        if (new Date(occurrence.event_date_time_start) > new Date()) {
+            return { error: 'Attendance can be marked once the event starts.' };
+        }
+
+        // Only rows that actually belong to this occurrence
+        const registrations = await trx('registration')
+            .select('registration_id', 'registration_status')
+            .where('event_occurrence_id', occurrenceId)
+            .whereIn('registration_id', registrationIds);
+
+        let updated = 0;
+        for (const registration of registrations) {
+            if (registration.registration_status === status) continue;
+
+            const previous = status === REGISTRATION_STATUS.ATTENDED
+                ? await checkInRegistration(trx, registration.registration_id)
+                : await transitionRegistration(trx, registration.registration_id, REGISTRATION_STATUS.NO_SHOW, {
+                    registration_attended_flag: false,
+                    registration_check_in_time: null
+                });
+            if (previous) updated++;
+        }
+        return { updated: updated, skipped: registrationIds.length - updated };
+    })
+        .then(({ error, updated, skipped }) => {
+            if (error) {
+                return res.redirect(rosterUrl + '?error=' + encodeURIComponent(error));
+            }
+            let message = `Marked ${updated} ${updated === 1 ? 'person' : 'people'} ${status}.`;
+            if (skipped > 0) {
+                message += ` ${skipped} skipped (already ${status}, waitlisted, or not on this roster).`;
+            }
+            res.redirect(rosterUrl + '?success=' + encodeURIComponent(message));
+        })
+        .catch(err => {
+            console.log('Error updating attendance: ', err);
+            res.redirect(rosterUrl + '?error=' + encodeURIComponent('Error updating attendance. Please try again.'));
+        });
+});
+
+// Download the roster as an Excel workbook (default) or a CSV file (?format=csv)
+app.get('/manage-event-occurrences/:id/roster/export', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+    const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+
+    const occurrenceQuery = knex('event_occurrences')
+        .where('event_occurrence_id', occurrenceId)
+        .first();
+
+    Promise.all([occurrenceQuery, getOccurrenceRoster(knex, occurrenceId)])
+        .then(async ([occurrence, roster]) => {
+            if (!occurrence) {
+                return res.redirect('/manage-event-occurrences?error=Event occurrence does not exist');
+            }
+
+            // One extra column per signup question
+            const { questions, answers } = await getRosterAnswers(knex, occurrence);
+
+            // Format data for Excel
+            const excelData = roster.map(entry => {
+                const row = {
+                    'Registration ID': entry.registration_id,
+                    'First Name': escapeSpreadsheetCell(entry.user_first_name),
+                    'Last Name': escapeSpreadsheetCell(entry.user_last_name),
+                    'Email': escapeSpreadsheetCell(entry.user_email),
+                    'Phone': escapeSpreadsheetCell(entry.user_phone || ''),
+                    'Status': entry.registration_status,
+                    'Waitlist Position': entry.registration_waitlist_position || '',
+                    'Checked In': entry.registration_check_in_time
+                        ? new Date(entry.registration_check_in_time).toLocaleString('en-US')
+                        : '',
+                    'Registered On': entry.registration_created_at
+                        ? new Date(entry.registration_created_at).toLocaleDateString('en-US')
+                        : '',
+                    'Survey Link': entry.registration_status === REGISTRATION_STATUS.ATTENDED && !entry.survey_id && !entry.registration_survey_link_used_at
+                        ? getSurveyLink(req, entry.registration_id) || ''
+                        : (entry.survey_id ? 'Submitted' : '')
+                };
+                const entryAnswers = answers[entry.registration_id] || {};
+                questions.forEach(question => {
+                    // Don't let a question called e.g. "Phone" overwrite the contact column
+                    const column = row[question.question_label] !== undefined ? question.question_label + ' (answer)' : question.question_label;
+                    row[column] = escapeSpreadsheetCell(entryAnswers[question.question_id] || '');
+                });
+                return row;
+            });
+
+            // Create workbook and worksheet
+            const workbook = XLSX.utils.book_new();
+            const worksheet = XLSX.utils.json_to_sheet(excelData);
+            XLSX.utils.book_append_sheet(workbook, worksheet, 'Roster');
+
+            // Filename like roster_1419_2026-01-15.xlsx
+            const filename = `roster_${occurrenceId}_${formatDateOnly(occurrence.event_date_time_start)}.${format}`;
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                return res.send(XLSX.utils.sheet_to_csv(worksheet));
+            }
+
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.send(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+        })
+        .catch(err => {
+            console.log('Error exporting roster: ', err);
+            res.redirect(`/manage-event-occurrences/${occurrenceId}/roster?error=Error exporting roster. Please try again.`);
+        });
+});
+
+// Print-friendly sign-in sheet (people with a seat only - no waitlist)
+app.get('/manage-event-occurrences/:id/roster/print', (req, res) => {
+    const occurrenceId = parseInt(req.params.id, 10);
+
+    const occurrenceQuery = knex('event_occurrences')
+        .where('event_occurrence_id', occurrenceId)
+        .first();
+
+    Promise.all([occurrenceQuery, getOccurrenceRoster(knex, occurrenceId)])
+        .then(([occurrence, roster]) => {
+            if (!occurrence) {
+                return res.redirect('/manage-event-occurrences?error=Event occurrence does not exist');
+            }
+
+            res.render('event-roster-print', {
+                occurrence: occurrence,
+                roster: roster.filter(entry => SEAT_HOLDING_STATUSES.includes(entry.registration_status))
+            });
+        })
+        .catch(err => {
+            console.log('Error building sign-in sheet: ', err);
+            res.redirect(`/manage-event-occurrences/${occurrenceId}/roster?error=Error building sign-in sheet`);
+        });
+});
+
+// ~~~~~ Registration Approval Queue (Admin) ~~~~~
+// Requests for programs that need approval - soonest event first, with their signup answers
+app.get('/manage-approvals', async (req, res) => {
+    try {
+        const requests = await knex('registration')
+            .innerJoin('users', 'registration.user_id', '=', 'users.user_id')
+            .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+            .select(
+                'registration.registration_id',
+                'registration.registration_created_at',
+                'users.user_id',
+                'users.user_first_name',
+                'users.user_last_name',
+                'users.user_email',
+                'users.user_phone',
+                'event_occurrences.event_occurrence_id',
+                'event_occurrences.event_name',
+                'event_occurrences.event_date_time_start',
+                'event_occurrences.event_date_time_end',
+                'event_occurrences.event_capacity'
+            )
+            .where('registration.registration_status', REGISTRATION_STATUS.PENDING)
+            .orderBy('event_occurrences.event_date_time_start', 'asc')
+            .orderBy('registration.registration_created_at', 'asc');
+
+        const registrationIds = requests.map(request => request.registration_id);
+        const occurrenceIds = [...new Set(requests.map(request => request.event_occurrence_id))];
+
+        const [seatCounts, answerRows, recentlyReviewed] = await Promise.all([
+            // So admins can see whether approving gets someone a seat or puts them on the waitlist
+            whereHoldsSeat(knex('registration').whereIn('registration.event_occurrence_id', occurrenceIds))
+                .select('registration.event_occurrence_id')
+                .count('* as count')
+                .groupBy('registration.event_occurrence_id'),
+            knex('registration_answers')
+                .innerJoin('event_template_questions', 'registration_answers.question_id', '=', 'event_template_questions.question_id')
+                .select('registration_answers.registration_id', 'event_template_questions.question_label', 'registration_answers.answer_text')
+                .whereIn('registration_answers.registration_id', registrationIds)
+                .orderBy('event_template_questions.question_order', 'asc'),
+            knex('registration')
+                .innerJoin('users', 'registration.user_id', '=', 'users.user_id')
+                .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+                .leftJoin('users as reviewers', 'registration.registration_reviewed_by_user_id', '=', 'reviewers.user_id')
+                .select(
+                    'registration.registration_id',
+                    'registration.registration_status',
+                    'registration.registration_review_note',
+                    'registration.registration_reviewed_at',
+                    'users.user_first_name',
+                    'users.user_last_name',
+                    'event_occurrences.event_name',
+                    'event_occurrences.event_date_time_start',
+                    'reviewers.user_first_name as reviewer_first_name',
+                    'reviewers.user_last_name as reviewer_last_name'
+                )
+                .whereNotNull('registration.registration_reviewed_at')
+                .orderBy('registration.registration_reviewed_at', 'desc')
+                .limit(RECENT_REVIEWS_SHOWN)
+        ]);
+
+        const takenSeats = {};
+        seatCounts.forEach(row => { takenSeats[row.event_occurrence_id] = parseInt(row.count, 10); });
+        const answers = {};
+        answerRows.forEach(row => {
+            (answers[row.registration_id] = answers[row.registration_id] || []).push(row);
+        });
+
+        res.render('manage-approvals', {
+            requests: requests.map(request => ({
+                ...request,
+                seats_taken: takenSeats[request.event_occurrence_id] || 0,
+                answers: answers[request.registration_id] || []
+            })),
+            recentlyReviewed: recentlyReviewed,
+            error_message: req.query.error || '',
+            success_message: req.query.success || ''
+        });
+    } catch (err) {
+        console.log('Error fetching approval queue: ', err);
+        res.render('manage-approvals', {
+            requests: [],
+            recentlyReviewed: [],
+            error_message: 'Error loading the approval queue. Please try again.',
+            success_message: ''
+        });
+    }
+});
+
+// Approve or decline one request (the note is shown to the participant)
+app.post('/manage-approvals/:registration_id/:decision', async (req, res) => {
+    const registrationId = parseInt(req.params.registration_id, 10);
+    const decision = req.params.decision;
+    const note = ((req.body && req.body.review_note) || '').trim();
+
+    if (decision !== 'approve' && decision !== 'decline') {
+        return res.redirect('/manage-approvals?error=' + encodeURIComponent('Unknown decision.'));
+    }
+
+    try {
+        const outcome = await knex.transaction(trx =>
+            reviewRegistration(trx, registrationId, decision === 'approve', req.session.user_id, note));
+
+        if (outcome.error) {
+            return res.redirect('/manage-approvals?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect('/manage-approvals?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        console.log('Error reviewing registration: ', err);
+        res.redirect('/manage-approvals?error=' + encodeURIComponent('Error saving the decision. Please try again.'));
+    }
+});
+
+// ~~~~~ Manage Event Templates ~~~~~
+app.get('/manage-events', (req, res) => {
+    // Get search query from URL
+    const searchQuery = req.query.search || '';
+    
+    // Pagination logic
+    const page = parseInt(req.query.page, 10) || 1;
+    const perPage = 20;
+    const offset = (page - 1) * perPage;
+    
+    // Get error message from query parameter if present
+    const errorMessage = req.query.error || "";
+
+    // Query for the current page of events
+    let eventsQuery = knex('event_templates')
+        .select(
+            'event_template_id',
+            'event_name',
+            'event_type',
+            'event_description',
+            'event_recurrence_pattern',
+            'event_default_capacity',
+            'event_requires_approval',
+            'event_high_demand',
+            'survey_form_id'
+        );
+
+    // If there's a search query, filter by event name
+    if (searchQuery.trim() !== '') {
+        const searchTerm = '%' + searchQuery.trim() + '%';
+        eventsQuery = eventsQuery.where('event_name', 'ilike', searchTerm);
+    }
+
+    eventsQuery = eventsQuery
+        .orderBy('event_name')
+        .limit(perPage)
+        .offset(offset);
+
+    // Count query with same filter
+    let countQuery = knex('event_templates');
+    if (searchQuery.trim() !== '') {
+        const searchTerm = '%' + searchQuery.trim() + '%';
+        countQuery = countQuery.where('event_name', 'ilike', searchTerm);
+    }
+    countQuery = countQuery.count('* as count').first();
+
+    Promise.all([eventsQuery, countQuery, getSurveyFormOptions(knex)])
+        .then(([events, countResult, surveyForms]) => {
+            const totalCount = parseInt(countResult.count, 10);
+            const totalPages = Math.ceil(totalCount / perPage);
+
+            res.render('manage-events', {
+                event: events,
+                currentPage: page,
+                totalPages,
+                totalCount,
+                searchQuery: searchQuery,
+                surveyForms: surveyForms,
+                error_message: errorMessage
+            });
+        }).catch(err => {
+            console.log('Error fetching event information: ', err);
+            res.render('manage-events', {
+                event: [],
+                currentPage: page,
+                totalPages: 0,
+                totalCount: 0,
+                searchQuery: searchQuery,
+                error_message: 'Error fetching event information'
+            });
+        });
+});
+
+app.get('/manage-events/new', (req, res) => {
+    getSurveyFormOptions(knex)
+        .then(surveyForms => {
+            res.render('add-event-template', {
+                surveyForms: surveyForms,
+                error_message: "",
+                success_message: ""
+            })
+        })
+        .catch(err => {
+            console.log('Error fetching survey forms:', err);
+            res.render('add-event-template', {
+                surveyForms: [],
+                error_message: 'Error fetching survey forms',
+                success_message: ""
+            })
+        })
+})
+
+app.post('/manage-events/new-template', (req, res) => {
+    const {
+        event_name,
+        event_type,
+        event_description,
+        event_recurrence_pattern,
+        event_default_capacity
+    } = req.body
+
+    knex('event_templates')
+        .insert({
+            event_name,
+            event_type,
+            event_description,
+            event_recurrence_pattern,
+            event_default_capacity: event_default_capacity || null,
+            event_requires_approval: req.body.event_requires_approval === 'on',
+            event_high_demand: req.body.event_high_demand === 'on',
+            survey_form_id: parseInt(req.body.survey_form_id, 10) || null
+        })
+        .then(() => {
+            res.redirect('/manage-events');
+        })
+        .catch(err => {
+            console.log('Error creating events:', err);
+            res.render('add-event-template', {
+                surveyForms: [],
+                error_message: 'An error occured while creating an event.',
+                success_message: ""
+            })
+        })
+});
+
+app.post('/manage-events/:template_id/new', (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+    const {
+        event_name,
+        event_date_time_start,
+        event_date_time_end,
+        venue_id,
+        event_capacity,
+        event_registration_deadline
+    } = req.body;
+
+    // First verify that the event template exists (and the venue can hold the event)
+    Promise.all([
+        knex('event_templates')
+            .where('event_template_id', template_id)
+            .first(),
+        resolveOccurrenceVenue(knex, venue_id, parseInt(event_capacity, 10))
+    ])
+        .then(([template, { venue, error }]) => {
+            if (!template) {
+                // Template doesn't exist, redirect with error
+                return res.redirect('/manage-events?error=Event template does not exist');
+            }
+            if (error) {
+                return res.redirect('/manage-events?error=' + encodeURIComponent(error));
+            }
+
+            // Insert the event occurrence with the template_id
+            return knex('event_occurrences')
+                .insert({
+                    event_template_id: template_id,
+                    event_name,
+                    event_date_time_start,
+                    event_date_time_end,
+                    venue_id: venue.venue_id,
+                    event_location: getVenueLabel(venue),
+                    event_capacity: event_capacity || null,
+                    event_registration_deadline: event_registration_deadline || null
+                })
+                .then(() => {
+                    res.redirect('/manage-events');
+                });
+        })
+        .catch(err => {
+            console.log('Error creating occurrence:', err);
+            // Fetch events for error display
+            const page = 1;
+            const perPage = 20;
+            const offset = (page - 1) * perPage;
+            
+            const eventsQuery = knex('event_templates')
+                .select(
+                    'event_template_id',
+                    'event_name',
+                    'event_type',
+                    'event_description',
+                    'event_recurrence_pattern',
+                    'event_default_capacity'
+                )
+                .orderBy('event_name')
+                .limit(perPage)
+                .offset(offset);
+
+            const countQuery = getCount('event_templates');
+
+            Promise.all([eventsQuery, countQuery])
+                .then(([events, countResult]) => {
+                    const totalCount = parseInt(countResult.count, 10);
+                    const totalPages = Math.ceil(totalCount / perPage);
+
+                    res.render('manage-events', {
+                        event: events,
+                        currentPage: page,
+                        totalPages,
+                        totalCount,
+                        error_message: 'Something went wrong creating the event occurrence. Please try again.'
+                    });
+                })
+                .catch(renderErr => {
+                    console.log('Error fetching events for error display:', renderErr);
+                    res.render('manage-events', {
+                        event: [],
+                        currentPage: 1,
+                        totalPages: 0,
+                        totalCount: 0,
+                        error_message: 'Something went wrong creating the event occurrence. Please try again.'
+                    });
+                });
+        });
+})
+
+// Update event template
+app.post('/manage-events/:template_id/update', (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+    const { 
+        event_name, 
+        event_type, 
+        event_description, 
+        event_recurrence_pattern, 
+        event_default_capacity 
+    } = req.body;
+
+    const updateData = {
+        event_name,
+        event_type,
+        event_description: event_description || null,
+        event_recurrence_pattern: event_recurrence_pattern || null,
+        event_default_capacity: event_default_capacity ? parseInt(event_default_capacity, 10) : null,
+        event_requires_approval: req.body.event_requires_approval === 'on',
+        event_high_demand: req.body.event_high_demand === 'on',
+        survey_form_id: parseInt(req.body.survey_form_id, 10) || null
+    };
+
+    knex('event_templates')
+        .where('event_template_id', template_id)
+        .update(updateData)
+        .then(() => {
+            res.redirect('/manage-events');
+        })
+        .catch(err => {
+            console.log('Error updating event template:', err);
+            res.redirect('/manage-events?error=Error updating event template. Please try again.');
+        });
+});
+
+app.post('/manage-events/:template_id/delete', (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+
+    // Verify that the event template exists
+    knex('event_templates')
+        .where('event_template_id', template_id)
+        .first()
+        .then(template => {
+            if (!template) {
+                // Template doesn't exist, redirect with error
+                return res.redirect('/manage-events?error=Event template does not exist');
+            }
+
+            // Delete the event template (CASCADE will handle related records)
+            return knex('event_templates')
+                .where('event_template_id', template_id)
+                .del()
+                .then(() => {
+                    res.redirect('/manage-events');
+                });
+        })
+        .catch(err => {
+            console.log('Error deleting event template:', err);
+            res.redirect('/manage-events?error=Error deleting event template. Please try again.');
+        });
+})
+
+// ~~~~~ Event Template Eligibility ~~~~~
+/*
+ * Who may sign up for a template's occurrences (age, milestones, field of interest,
+ * first-time-only), plus per-participant overrides for exceptions.
+ */
+app.get('/manage-events/:template_id/eligibility', async (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+
+    try {
+        const template = await knex('event_templates')
+            .where('event_template_id', template_id)
+            .first();
+        if (!template) {
+            return res.redirect('/manage-events?error=Event template does not exist');
+        }
+
+        const [rules, milestones, overrides] = await Promise.all([
+            getEligibilityRules(knex, template_id),
+            knex('milestones').select('milestone_id', 'milestone_title').orderBy('milestone_title'),
+            knex('event_eligibility_overrides')
+                .innerJoin('users', 'event_eligibility_overrides.user_id', '=', 'users.user_id')
+                .leftJoin('users as granted_by', 'event_eligibility_overrides.granted_by_user_id', '=', 'granted_by.user_id')
+                .where('event_eligibility_overrides.event_template_id', template_id)
+                .select(
+                    'event_eligibility_overrides.*',
+                    'users.user_first_name',
+                    'users.user_last_name',
+                    'users.user_email',
+                    'granted_by.user_first_name as granted_by_first_name',
+                    'granted_by.user_last_name as granted_by_last_name'
+                )
+                .orderBy('event_eligibility_overrides.created_at', 'desc')
+        ]);
+
+        res.render('event-eligibility', {
+            template: template,
+            rules: rules,
+            summary: describeEligibilityRules(rules),
+            milestones: milestones,
+            overrides: overrides,
+            fields: ELIGIBILITY_FIELDS,
+            error_message: req.query.error || '',
+            success_message: req.query.success || ''
+        });
+    } catch (err) {
+        console.log('Error fetching eligibility rules:', err);
+        res.redirect('/manage-events?error=Error loading the eligibility rules. Please try again.');
+    }
+});
+
+// Save the rules (replaces the required milestones list)
+app.post('/manage-events/:template_id/eligibility', async (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+    const eligibilityUrl = `/manage-events/${template_id}/eligibility`;
+    const { rules, milestoneIds, errors } = parseEligibilityForm(req.body || {});
+
+    if (errors.length > 0) {
+        return res.redirect(eligibilityUrl + '?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const updated = await knex.transaction(async trx => {
+            const count = await trx('event_templates')
+                .where('event_template_id', template_id)
+                .update({ ...rules, updated_at: new Date() });
+            if (count === 0) return false;
+
+            await trx('event_template_required_milestones')
+                .where('event_template_id', template_id)
+                .del();
+            if (milestoneIds.length > 0) {
+                await trx('event_template_required_milestones')
+                    .insert(milestoneIds.map(milestone_id => ({ event_template_id: template_id, milestone_id })));
+            }
+            return true;
+        });
+
+        if (!updated) {
+            return res.redirect('/manage-events?error=Event template does not exist');
+        }
+        res.redirect(eligibilityUrl + '?success=' + encodeURIComponent('Eligibility rules saved.'));
+    } catch (err) {
+        console.log('Error saving eligibility rules:', err);
+        res.redirect(eligibilityUrl + '?error=' + encodeURIComponent('Error saving the eligibility rules. Please try again.'));
+    }
+});
+
+// Let one participant sign up even though they don't meet the rules
+app.post('/manage-events/:template_id/eligibility/overrides', async (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+    const eligibilityUrl = `/manage-events/${template_id}/eligibility`;
+    const email = ((req.body && req.body.user_email) || '').trim().toLowerCase();
+    const reason = ((req.body && req.body.override_reason) || '').trim();
+
+    if (!email || !reason) {
+        return res.redirect(eligibilityUrl + '?error=' + encodeURIComponent('Enter the participant\'s email and a reason for the override.'));
+    }
+
+    try {
+        const user = await knex('users')
+            .whereRaw('LOWER(user_email) = ?', [email])
+            .first();
+        if (!user) {
+            return res.redirect(eligibilityUrl + '?error=' + encodeURIComponent(`No account uses ${email}.`));
+        }
+
+        await knex('event_eligibility_overrides')
+            .insert({
+                event_template_id: template_id,
+                user_id: user.user_id,
+                granted_by_user_id: req.session.user_id,
+                override_reason: reason
+            })
+            .onConflict(['event_template_id', 'user_id'])
+            .merge({ granted_by_user_id: req.session.user_id, override_reason: reason, updated_at: new Date() });
+
+        res.redirect(eligibilityUrl + '?success=' + encodeURIComponent(`${user.user_first_name} ${user.user_last_name} can now register regardless of the rules.`));
+    } catch (err) {
+        console.log('Error adding eligibility override:', err);
+        res.redirect(eligibilityUrl + '?error=' + encodeURIComponent('Error adding the override. Please try again.'));
+    }
+});
+
+app.post('/manage-events/:template_id/eligibility/overrides/remove', (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+    const user_id = parseInt(req.body && req.body.user_id, 10);
+    const eligibilityUrl = `/manage-events/${template_id}/eligibility`;
+
+    knex('event_eligibility_overrides')
+        .where({ event_template_id: template_id, user_id: user_id })
+        .del()
+        .then(() => {
+            res.redirect(eligibilityUrl + '?success=' + encodeURIComponent('Override removed.'));
+        })
+        .catch(err => {
+            console.log('Error removing eligibility override:', err);
+            res.redirect(eligibilityUrl + '?error=' + encodeURIComponent('Error removing the override. Please try again.'));
+        });
+});
+
+// ~~~~~ Event Template Signup Questions ~~~~~
+/*
+ * The extra questions a template asks at registration. Answers show up on the
+ * roster and in its exports.
+ */
+app.get('/manage-events/:template_id/questions', async (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+
+    try {
+        const template = await knex('event_templates')
+            .where('event_template_id', template_id)
+            .first();
+        if (!template) {
+            return res.redirect('/manage-events?error=Event template does not exist');
+        }
+
+        const [questions, answerCounts] = await Promise.all([
+            getTemplateQuestions(knex, template_id),
+            knex('registration_answers')
+                .innerJoin('event_template_questions', 'registration_answers.question_id', '=', 'event_template_questions.question_id')
+                .where('event_template_questions.event_template_id', template_id)
+                .select('registration_answers.question_id')
+                .count('* as count')
+                .groupBy('registration_answers.question_id')
+        ]);
+
+        questions.forEach(question => {
+            const answered = answerCounts.find(row => row.question_id === question.question_id);
+            question.answer_count = answered ? parseInt(answered.count, 10) : 0;
+        });
+
+        res.render('event-questions', {
+            template: template,
+            questions: questions,
+            questionTypes: QUESTION_TYPES,
+            error_message: req.query.error || '',
+            success_message: req.query.success || ''
+        });
+    } catch (err) {
+        console.log('Error fetching signup questions:', err);
+        res.redirect('/manage-events?error=Error loading the signup questions. Please try again.');
+    }
+});
+
+// Add a question to the end of the list
+app.post('/manage-events/:template_id/questions', async (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+    const questionsUrl = `/manage-events/${template_id}/questions`;
+    const { question, errors } = parseQuestionForm(req.body || {});
+
+    if (errors.length > 0) {
+        return res.redirect(questionsUrl + '?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const last = await knex('event_template_questions')
+            .where('event_template_id', template_id)
+            .max('question_order as position')
+            .first();
+
+        await knex('event_template_questions').insert({
+            ...question,
+            event_template_id: template_id,
+            question_order: (last.position || 0) + 1
+        });
+        res.redirect(questionsUrl + '?success=' + encodeURIComponent('Question added.'));
+    } catch (err) {
+        console.log('Error adding signup question:', err);
+        res.redirect(questionsUrl + '?error=' + encodeURIComponent('Error adding the question. Please try again.'));
+    }
+});
+
+app.post('/manage-events/:template_id/questions/:question_id/update', (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+    const question_id = parseInt(req.params.question_id, 10);
+    const questionsUrl = `/manage-events/${template_id}/questions`;
+    const { question, errors } = parseQuestionForm(req.body || {});
+
+    if (errors.length > 0) {
+        return res.redirect(questionsUrl + '?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    knex('event_template_questions')
+        .where({ question_id: question_id, event_template_id: template_id })
+        .update({ ...question, updated_at: new Date() })
+        .then(count => {
+            if (count === 0) {
+                return res.redirect(questionsUrl + '?error=Question does not exist');
+            }
+            res.redirect(questionsUrl + '?success=' + encodeURIComponent('Question updated.'));
+        })
+        .catch(err => {
+            console.log('Error updating signup question:', err);
+            res.redirect(questionsUrl + '?error=' + encodeURIComponent('Error updating the question. Please try again.'));
+        });
+});
+
+// Questions people have already answered are kept (like forms with responses), so no submitted answers are lost
+app.post('/manage-survey-forms/:survey_form_id/questions/:question_id/delete', async (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+    const question_id = parseInt(req.params.question_id, 10);
+    const formUrl = `/manage-survey-forms/${survey_form_id}`;
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const question = await trx('survey_form_questions')
+                .where({ question_id: question_id, survey_form_id: survey_form_id })
+                .forUpdate()
+                .first();
+            if (!question) {
+                return { error: 'Question does not exist' };
+            }
+
+            const answers = await trx('survey_answers').where('question_id', question_id).count('* as count').first();
+            if (parseInt(answers.count, 10) > 0) {
+                return { error: 'This question already has answers, so it can\'t be deleted.' };
+            }
+
+            await trx('survey_form_questions').where('question_id', question_id).del();
+            return { success: 'Question deleted.' };
+        });
+
+        const key = outcome.error ? 'error' : 'success';
+        res.redirect(formUrl + `?${key}=` + encodeURIComponent(outcome[key]));
+    } catch (err) {
+        console.log('Error deleting survey question:', err);
+        res.redirect(formUrl + '?error=' + encodeURIComponent('Error deleting the question. Please try again.'));
+    }
+});
+
+// Swap a question with its neighbour (direction 'up' or 'down')
+app.post('/manage-events/:template_id/questions/:question_id/move', async (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+    const question_id = parseInt(req.params.question_id, 10);
+    const questionsUrl = `/manage-events/${template_id}/questions`;
+    const direction = req.body && req.body.direction === 'up' ? -1 : 1;
+
+    try {
+        await knex.transaction(async trx => {
+            const questions = await getTemplateQuestions(trx, template_id);
+            const index = questions.findIndex(question => question.question_id === question_id);
+            const neighbour = questions[index + direction];
+            if (index === -1 || !neighbour) return;
+
+            // Renumber 1..n in the new order, so gaps or duplicate positions get cleaned up too
+            [questions[index], questions[index + direction]] = [neighbour, questions[index]];
+            for (let position = 0; position < questions.length; position++) {
+                await trx('event_template_questions')
+                    .where('question_id', questions[position].question_id)
+                    .update({ question_order: position + 1 });
+            }
+        });
+        res.redirect(questionsUrl);
+    } catch (err) {
+        console.log('Error reordering signup questions:', err);
+        res.redirect(questionsUrl + '?error=' + encodeURIComponent('Error reordering the questions. Please try again.'));
+    }
+});
+
+// ~~~~~ Event Template Recurrence ~~~~~
+/*
+ * Admins describe how a template repeats (weekly on certain days, monthly, etc.),
+ * preview the occurrences that would be created, then generate them all at once.
+ * Re-running it after changing the pattern replaces future generated occurrences,
+ * but never touches ones that already have registrations.
+ */
+
+// Show the recurrence form for a template
+app.get('/manage-events/:template_id/recurrence', (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+
+    const templateQuery = knex('event_templates')
+        .where('event_template_id', template_id)
+        .first();
+
+    const ruleQuery = knex('event_recurrence_rules')
+        .where('event_template_id', template_id)
+        .first();
+
+    Promise.all([templateQuery, ruleQuery, getVenueOptions(knex)])
+        .then(([template, savedRule, venues]) => {
+            if (!template) {
+                return res.redirect('/manage-events?error=Event template does not exist');
+            }
+
+            // Coming back from the preview page? The unsaved pattern rides along in the query string
+            const rule = req.query.recurrence_frequency
+                ? parseRecurrenceForm(req.query).rule
+                : normalizeRecurrenceRule(savedRule, template);
+
+            res.render('event-recurrence', {
+                template: template,
+                rule: rule,
+                venues: venues,
+                weekdayNames: WEEKDAY_NAMES,
+                error_message: req.query.error || ''
+            });
+        })
+        .catch(err => {
+            console.log('Error fetching recurrence rule:', err);
+            res.redirect('/manage-events?error=Error loading the recurrence pattern. Please try again.');
+        });
+});
+
+// Preview what the pattern would create/remove before committing anything
+app.post('/manage-events/:template_id/recurrence/preview', async (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+
+    try {
+        const template = await knex('event_templates')
+            .where('event_template_id', template_id)
+            .first();
+
+        if (!template) {
+            return res.redirect('/manage-events?error=Event template does not exist');
+        }
+
+        const { rule, errors } = parseRecurrenceForm(req.body);
+        const venueError = await applyRecurrenceVenue(knex, rule, template);
+        if (venueError) {
+            errors.push(venueError);
+        }
+        if (errors.length > 0) {
+            return res.render('event-recurrence', {
+                template: template,
+                rule: rule,
+                venues: await getVenueOptions(knex),
+                weekdayNames: WEEKDAY_NAMES,
+                error_message: errors.join(' ')
+            });
+        }
+
+        const plan = await planRecurrence(knex, template, rule);
+
+        res.render('event-recurrence-preview', {
+            template: template,
+            rule: rule,
+            plan: plan,
+            weekdayNames: WEEKDAY_NAMES,
+            error_message: ''
+        });
+    } catch (err) {
+        console.log('Error previewing recurrence:', err);
+        res.redirect(`/manage-events/${template_id}/recurrence?error=` + encodeURIComponent('Error previewing occurrences. Please try again.'));
+    }
+});
+
+// Save the pattern and generate the occurrences (all or nothing)
+app.post('/manage-events/:template_id/recurrence/generate', async (req, res) => {
+    const template_id = parseInt(req.params.template_id, 10);
+
+    try {
+        const template = await knex('event_templates')
+            .where('event_template_id', template_id)
+            .first();
+
+        if (!template) {
+            return res.redirect('/manage-events?error=Event template does not exist');
+        }
 
-            // Validation 3: Check if user is already registered (no double-booking!)
-            return knex('registration')
-                .where({ user_id: userId, event_occurrence_id: eventOccurrenceId })
-                .first()
-                .then(existingRegistration => {
-                    if (existingRegistration) {
-                        return res.redirect('/events?error=' + encodeURIComponent('You are already registered for this event.'));
-                    }
+        const { rule, errors } = parseRecurrenceForm(req.body);
+        const venueError = await applyRecurrenceVenue(knex, rule, template);
+        if (venueError) {
+            errors.push(venueError);
+        }
+        if (errors.length > 0) {
+            return res.render('event-recurrence', {
+                template: template,
+                rule: rule,
+                venues: await getVenueOptions(knex),
+                weekdayNames: WEEKDAY_NAMES,
+                error_message: errors.join(' ')
+            });
+        }
 
-                    // Validation 4: Check if event is at capacity
-                    return knex('registration')
-                        .where('event_occurrence_id', eventOccurrenceId)
-                        .count('* as count')
-                        .first()
-                        .then(countResult => {
-                            const currentCount = parseInt(countResult.count, 10);
-                            if (event.event_capacity && currentCount >= event.event_capacity) {
-                                return res.redirect('/events?error=' + encodeURIComponent('This event is at full capacity.'));
-                            }
-
-                            // All validations passed! Create the registration
-                            return knex('registration')
-                                .insert({
-                                    user_id: userId,
-                                    event_occurrence_id: eventOccurrenceId,
-                                    registration_status: null, // null = pending, can be updated later
-                                    registration_created_at: new Date()
-                                })
-                                .then(() => {
-                                    res.redirect('/events?success=' + encodeURIComponent('Successfully registered for the event!'));
-                                });
-                        });
-                });
-        })
-        .catch(err => {
-            console.log('Error registering for event:', err);
-            res.redirect('/events?error=' + encodeURIComponent('An error occurred. Please try again.'));
+        await knex.transaction(async trx => {
+            // Save (or replace) the template's rule
+            await trx('event_recurrence_rules')
+                .insert({ ...rule, event_template_id: template_id, updated_at: new Date() })
+                .onConflict('event_template_id')
+                .merge();
+
+            // Re-plan inside the transaction so we act on fresh data, not what the preview saw
+            const plan = await planRecurrence(trx, template, rule);
+
+            if (plan.toRemove.length > 0) {
+                await trx('event_occurrences')
+                    .whereIn('event_occurrence_id', plan.toRemove.map(o => o.event_occurrence_id))
+                    .whereNotExists(function () {
+                        // Double check nobody registered since we planned
+                        this.select('*')
+                            .from('registration')
+                            .whereRaw('registration.event_occurrence_id = event_occurrences.event_occurrence_id');
+                    })
+                    .del();
+            }
+
+            if (plan.toCreate.length > 0) {
+                await trx('event_occurrences').insert(plan.toCreate);
+            }
+
+            // Keep the old free-text column in sync so existing pages show the right label
+            await trx('event_templates')
+                .where('event_template_id', template_id)
+                .update({ event_recurrence_pattern: describeRecurrenceRule(rule) });
         });
+
+        res.redirect('/manage-event-occurrences?search=' + encodeURIComponent(template.event_name));
+    } catch (err) {
+        console.log('Error generating occurrences:', err);
+        res.redirect(`/manage-events/${template_id}/recurrence?error=` + encodeURIComponent('Error generating occurrences. Please try again.'));
+    }
 });
 
-/*
- * ========== ADMIN: MANAGE EVENT OCCURRENCES ==========
- * Event occurrences are specific instances of events (like "STEAM Workshop on Dec 15")
- * These routes let admins view, create, edit, and delete event occurrences.
- */
+// ~~~ ~~~ ~~~ ~~~ ~~~ MILESTONES ~~~ ~~~ ~~~ ~~~ ~~~ 
+app.get('/milestone-progress', (req, res) => {
+    // Get milestones for current user only
+    knex('user_milestones')
+        .innerJoin('milestones', 'user_milestones.milestone_id', '=', 'milestones.milestone_id')
+        .select(
+            'milestones.milestone_id',
+            'milestones.milestone_title',
+            'user_milestones.milestone_date'
+        )
+        .where('user_milestones.user_id', req.session.user_id)
+        .orderBy('user_milestones.milestone_date', 'desc')
+        .then(milestone => {
+            res.render('milestone-progress', {
+                milestone: milestone,
+                error_message: ""
+            });
+        }).catch(err => {
+            console.log('Error fetching milestone information: ', err);
+            res.render('milestone-progress', {
+                milestone: [],
+                error_message: 'Error fetching milestone information'
+            });
+        });
+});
 
-// List all event occurrences with search and pagination
-app.get('/manage-event-occurrences', (req, res) => {
+app.get('/manage-milestones', (req, res) => {
+    // Get search query from URL
     const searchQuery = req.query.search || '';
     
-    // Pagination - 20 items per page
+    // Pagination Logic
     const page = parseInt(req.query.page, 10) || 1;
     const perPage = 20;
     const offset = (page - 1) * perPage;
-    
-    const errorMessage = req.query.error || "";
 
-    // Main query to fetch event occurrences
-    let eventsQuery = knex('event_occurrences')
-        .select(
-            'event_occurrences.event_occurrence_id',
-            'event_occurrences.event_template_id',
-            'event_occurrences.event_name',
-            'event_occurrences.event_date_time_start',
-            'event_occurrences.event_date_time_end',
-            'event_occurrences.event_location',
-            'event_occurrences.event_capacity',
-            'event_occurrences.event_registration_deadline'
-        );
+    // Query for the current page of milestones
+    let milestonesQuery = knex('milestones')
+        .select('milestone_id', 'milestone_title');
 
-    // Apply search filter if provided (searches name and location)
+    // If there's a search query, filter by milestone title
     if (searchQuery.trim() !== '') {
         const searchTerm = '%' + searchQuery.trim() + '%';
-        eventsQuery = eventsQuery.where(function () {
-            this.where('event_occurrences.event_name', 'ilike', searchTerm)
-                .orWhere('event_occurrences.event_location', 'ilike', searchTerm);
-        });
+        milestonesQuery = milestonesQuery.where('milestone_title', 'ilike', searchTerm);
     }
 
-    // Sort by date (newest first) and apply pagination
-    eventsQuery = eventsQuery
-        .orderBy('event_occurrences.event_date_time_start', 'desc')
+    milestonesQuery = milestonesQuery
+        .orderBy('milestone_title')
         .limit(perPage)
         .offset(offset);
 
-    // Count query needs same filters for accurate pagination
-    let countQuery = knex('event_occurrences');
+    // Count query with same filter
+    let countQuery = knex('milestones');
     if (searchQuery.trim() !== '') {
         const searchTerm = '%' + searchQuery.trim() + '%';
-        countQuery = countQuery.where(function () {
-            this.where('event_name', 'ilike', searchTerm)
-                .orWhere('event_location', 'ilike', searchTerm);
-        });
+        countQuery = countQuery.where('milestone_title', 'ilike', searchTerm);
     }
     countQuery = countQuery.count('* as count').first();
 
-    // Also get templates for the edit modal's dropdown
-    const templatesQuery = knex('event_templates')
-        .select('event_template_id', 'event_name')
-        .orderBy('event_name');
-
-    // Run all queries and render the page
-    Promise.all([eventsQuery, countQuery, templatesQuery])
-        .then(([events, countResult, templates]) => {
+    Promise.all([milestonesQuery, countQuery])
+        .then(([milestones, countResult]) => {
             const totalCount = parseInt(countResult.count, 10);
             const totalPages = Math.ceil(totalCount / perPage);
-
-            res.render('manage-event-occurrences', {
-                event: events,
-                templates: templates,
+            
+            res.render('manage-milestones', {
+                milestone: milestones,
                 currentPage: page,
                 totalPages,
                 totalCount,
                 searchQuery: searchQuery,
-                error_message: errorMessage
-            });
+                error_message: ""
+            })
         }).catch(err => {
-            console.log('Error fetching event information: ', err);
-            res.render('manage-event-occurrences', {
-                event: [],
-                templates: [],
-                currentPage: page,
-                totalPages: 0,
-                totalCount: 0,
+            console.log('Error fetching milestone information: ', err);
+            res.render('manage-milestones', {
+                milestone: [],
                 searchQuery: searchQuery,
-                error_message: 'Error fetching event information'
+                error_message: 'Error fetching milestone information'
             });
         });
 });
 
-// Show the "Add New Event Occurrence" form
-app.get('/manage-event-occurrences/new', (req, res) => {
-    // Fetch templates for the dropdown - includes default capacity
-    // so we can auto-fill capacity when user selects a template
-    knex('event_templates')
-        .select(
-            'event_template_id',
-            'event_name',
-            'event_default_capacity'
-        )
-        .orderBy('event_name')
-        .then(templates => {
-            res.render('add-event-occurrence', {
-                templates: templates,
-                error_message: ""
-            });
-        })
-        .catch(err => {
-            console.log('Error fetching event templates: ', err);
-            res.redirect('/manage-event-occurrences?error=Error fetching event templates');
-        });
+app.get('/manage-milestones/new', (req, res) => {
+    res.render('add-milestone', {
+        error_message: ""
+    });
 });
 
-app.post('/manage-event-occurrences/new', (req, res) => {
-    const { 
-        event_template_id, 
-        event_name, 
-        event_date_time_start, 
-        event_date_time_end, 
-        event_location, 
-        event_capacity, 
-        event_registration_deadline 
-    } = req.body;
-
-    // Build the insert object
-    const insertData = {
-        event_template_id,
-        event_name,
-        event_date_time_start,
-        event_date_time_end,
-        event_location,
-        event_capacity: parseInt(event_capacity, 10)
-    };
-
-    // Only add registration deadline if provided
-    if (event_registration_deadline) {
-        insertData.event_registration_deadline = event_registration_deadline;
-    }
+app.post('/manage-milestones/new', (req, res) => {
+    const { milestone_title } = req.body;
 
-    knex('event_occurrences')
-        .insert(insertData)
+    knex('milestones')
+        .insert({ milestone_title })
         .then(() => {
-            res.redirect('/manage-event-occurrences');
+            res.redirect('/manage-milestones');
         })
         .catch(err => {
-            console.log('Error creating event occurrence: ', err);
-            // Fetch templates again for the form
-            knex('event_templates')
-                .select('event_template_id', 'event_name', 'event_default_capacity')
-                .orderBy('event_name')
-                .then(templates => {
-                    res.render('add-event-occurrence', {
-                        templates: templates,
-                        error_message: 'An error occurred while creating the event occurrence.'
-                    });
-                })
-                .catch(() => {
-                    res.redirect('/manage-event-occurrences?error=An error occurred while creating the event occurrence');
-                });
+            console.log('Error creating milestone: ', err);
+            res.render('add-milestone', {
+                error_message: 'An error occurred while creating the milestone.'
+            });
         });
 });
 
-// Update event occurrence
-app.post('/manage-event-occurrences/:id/update', (req, res) => {
-    const occurrenceId = req.params.id;
-    const { 
-        event_template_id, 
-        event_name, 
-        event_date_time_start, 
-        event_date_time_end, 
-        event_location, 
-        event_capacity, 
-        event_registration_deadline 
-    } = req.body;
-
-    // Build the update object
-    const updateData = {
-        event_template_id,
-        event_name,
-        event_date_time_start,
-        event_date_time_end,
-        event_location,
-        event_capacity: parseInt(event_capacity, 10)
-    };
+app.post('/manage-milestones/:milestone_id/delete', (req, res) => {
+    const milestone_id = parseInt(req.params.milestone_id, 10);
 
-    // Handle registration deadline - set to null if empty, otherwise use the value
-    if (event_registration_deadline) {
-        updateData.event_registration_deadline = event_registration_deadline;
-    } else {
-        updateData.event_registration_deadline = null;
-    }
+    knex('milestones')
+        .where('milestone_id', milestone_id)
+        .first()
+        .then(milestone => {
+            if (!milestone) {
+                return res.redirect('/manage-milestones?error=Milestone does not exist');
+            }
 
-    knex('event_occurrences')
-        .where('event_occurrence_id', occurrenceId)
-        .update(updateData)
-        .then(() => {
-            res.redirect('/manage-event-occurrences');
+            return knex('milestones')
+                .where('milestone_id', milestone_id)
+                .del()
+                .then(() => {
+                    res.redirect('/manage-milestones');
+                });
         })
         .catch(err => {
-            console.log('Error updating event occurrence: ', err);
-            res.redirect('/manage-event-occurrences?error=An error occurred while updating the event occurrence');
+            console.log('Error deleting milestone: ', err);
+            res.redirect('/manage-milestones?error=Error deleting milestone. Please try again');
         });
 });
 
-// Delete event occurrence
-app.post('/manage-event-occurrences/:id/delete', (req, res) => {
-    const occurrenceId = req.params.id;
+app.post('/manage-milestones/:milestone_id/update', (req, res) => {
+    const milestone_id = parseInt(req.params.milestone_id, 10);
+    const { milestone_title } = req.body;
 
-    knex('event_occurrences')
-        .where('event_occurrence_id', occurrenceId)
-        .del()
-        .then(() => {
-            res.redirect('/manage-event-occurrences');
+    knex('milestones')
+        .where('milestone_id', milestone_id)
+        .first()
+        .then(milestone => {
+            if (!milestone) {
+                return res.redirect('/manage-milestones?error=Milestone does not exist');
+            }
+
+            return knex('milestones')
+                .where('milestone_id', milestone_id)
+                .update({ milestone_title })
+                .then(() => {
+                    res.redirect('/manage-milestones');
+                });
         })
         .catch(err => {
-            console.log('Error deleting event occurrence: ', err);
-            res.redirect('/manage-event-occurrences?error=An error occurred while deleting the event occurrence');
+            console.log('Error updating milestone: ', err);
+            res.redirect('/manage-milestones?error=Error updating milestone. Please try again');
         });
 });
 
-// ~~~~~ Manage Event Templates ~~~~~
-app.get('/manage-events', (req, res) => {
-    // Get search query from URL
+// ~~~ ~~~ ~~~ ~~~ ~~~ VENUES ~~~ ~~~ ~~~ ~~~ ~~~ 
+/*
+ * Venue Routes (Admin)
+ * Where events happen: address, room, how many people fit, accessibility notes
+ * and which partner organization (if any) hosts us there.
+ */
+app.get('/manage-venues', (req, res) => {
     const searchQuery = req.query.search || '';
-    
-    // Pagination logic
+
+    // Pagination Logic
     const page = parseInt(req.query.page, 10) || 1;
     const perPage = 20;
     const offset = (page - 1) * perPage;
-    
-    // Get error message from query parameter if present
-    const errorMessage = req.query.error || "";
-
-    // Query for the current page of events
-    let eventsQuery = knex('event_templates')
-        .select(
-            'event_template_id',
-            'event_name',
-            'event_type',
-            'event_description',
-            'event_recurrence_pattern',
-            'event_default_capacity'
-        );
 
-    // If there's a search query, filter by event name
-    if (searchQuery.trim() !== '') {
+    // Searches name, room, address and partner organization
+    const applySearch = query => {
+        if (searchQuery.trim() === '') {
+            return query;
+        }
         const searchTerm = '%' + searchQuery.trim() + '%';
-        eventsQuery = eventsQuery.where('event_name', 'ilike', searchTerm);
-    }
+        return query.where(function () {
+            this.where('venues.venue_name', 'ilike', searchTerm)
+                .orWhere('venues.venue_room', 'ilike', searchTerm)
+                .orWhere('venues.venue_address', 'ilike', searchTerm)
+                .orWhere('venues.venue_partner_organization', 'ilike', searchTerm);
+        });
+    };
 
-    eventsQuery = eventsQuery
-        .orderBy('event_name')
+    // Upcoming (not cancelled) events at each venue, so admins can see what a change would affect
+    const upcomingCount = knex('event_occurrences')
+        .count('*')
+        .whereRaw('event_occurrences.venue_id = venues.venue_id')
+        .where('event_occurrences.event_date_time_start', '>=', new Date())
+        .whereNot('event_occurrences.event_status', EVENT_STATUS.CANCELLED)
+        .as('upcoming_event_count');
+
+    const venuesQuery = applySearch(knex('venues').select('venues.*', upcomingCount))
+        .orderBy('venues.venue_name')
+        .orderBy('venues.venue_room')
         .limit(perPage)
         .offset(offset);
 
-    // Count query with same filter
-    let countQuery = knex('event_templates');
-    if (searchQuery.trim() !== '') {
-        const searchTerm = '%' + searchQuery.trim() + '%';
-        countQuery = countQuery.where('event_name', 'ilike', searchTerm);
-    }
-    countQuery = countQuery.count('* as count').first();
+    const countQuery = applySearch(knex('venues')).count('* as count').first();
 
-    Promise.all([eventsQuery, countQuery])
-        .then(([events, countResult]) => {
+    Promise.all([venuesQuery, countQuery])
+        .then(([venues, countResult]) => {
             const totalCount = parseInt(countResult.count, 10);
             const totalPages = Math.ceil(totalCount / perPage);
 
-            res.render('manage-events', {
-                event: events,
+            res.render('manage-venues', {
+                venues: venues,
                 currentPage: page,
                 totalPages,
                 totalCount,
                 searchQuery: searchQuery,
-                error_message: errorMessage
+                error_message: req.query.error || '',
+                success_message: req.query.success || ''
             });
         }).catch(err => {
-            console.log('Error fetching event information: ', err);
-            res.render('manage-events', {
-                event: [],
-                currentPage: page,
-                totalPages: 0,
-                totalCount: 0,
+            console.log('Error fetching venue information: ', err);
+            res.render('manage-venues', {
+                venues: [],
                 searchQuery: searchQuery,
-                error_message: 'Error fetching event information'
+                error_message: 'Error fetching venue information',
+                success_message: ''
             });
         });
 });
 
-app.get('/manage-events/new', (req, res) => {
-    res.render('add-event-template', {
-        error_message: "",
-        success_message: ""
-    })
-})
-
-app.post('/manage-events/new-template', (req, res) => {
-    const {
-        event_name,
-        event_type,
-        event_description,
-        event_recurrence_pattern,
-        event_default_capacity
-    } = req.body
-
-    knex('event_templates')
-        .insert({
-            event_name,
-            event_type,
-            event_description,
-            event_recurrence_pattern,
-            event_default_capacity: event_default_capacity || null
-        })
-        .then(() => {
-            res.redirect('/manage-events');
-        })
-        .catch(err => {
-            console.log('Error creating events:', err);
-            res.render('add-event-template', {
-                error_message: 'An error occured while creating an event.',
-                success_message: ""
-            })
-        })
+app.get('/manage-venues/new', (req, res) => {
+    res.render('add-venue', {
+        venue: {},
+        error_message: ""
+    });
 });
 
-app.post('/manage-events/:template_id/new', (req, res) => {
-    const template_id = parseInt(req.params.template_id, 10);
-    const {
-        event_name,
-        event_date_time_start,
-        event_date_time_end,
-        event_location,
-        event_capacity,
-        event_registration_deadline
-    } = req.body;
-
-    // First verify that the event template exists
-    knex('event_templates')
-        .where('event_template_id', template_id)
-        .first()
-        .then(template => {
-            if (!template) {
-                // Template doesn't exist, redirect with error
-                return res.redirect('/manage-events?error=Event template does not exist');
-            }
-
-            // Insert the event occurrence with the template_id
-            return knex('event_occurrences')
-                .insert({
-                    event_template_id: template_id,
-                    event_name,
-                    event_date_time_start,
-                    event_date_time_end,
-                    event_location,
-                    event_capacity: event_capacity || null,
-                    event_registration_deadline: event_registration_deadline || null
-                })
-                .then(() => {
-                    res.redirect('/manage-events');
-                });
-        })
-        .catch(err => {
-            console.log('Error creating occurrence:', err);
-            // Fetch events for error display
-            const page = 1;
-            const perPage = 20;
-            const offset = (page - 1) * perPage;
-            
-            const eventsQuery = knex('event_templates')
-                .select(
-                    'event_template_id',
-                    'event_name',
-                    'event_type',
-                    'event_description',
-                    'event_recurrence_pattern',
-                    'event_default_capacity'
-                )
-                .orderBy('event_name')
-                .limit(perPage)
-                .offset(offset);
-
-            const countQuery = getCount('event_templates');
-
-            Promise.all([eventsQuery, countQuery])
-                .then(([events, countResult]) => {
-                    const totalCount = parseInt(countResult.count, 10);
-                    const totalPages = Math.ceil(totalCount / perPage);
+app.post('/manage-venues/new', (req, res) => {
+    const { venue, errors } = parseVenueForm(req.body);
 
-                    res.render('manage-events', {
-                        event: events,
-                        currentPage: page,
-                        totalPages,
-                        totalCount,
-                        error_message: 'Something went wrong creating the event occurrence. Please try again.'
-                    });
-                })
-                .catch(renderErr => {
-                    console.log('Error fetching events for error display:', renderErr);
-                    res.render('manage-events', {
-                        event: [],
-                        currentPage: 1,
-                        totalPages: 0,
-                        totalCount: 0,
-                        error_message: 'Something went wrong creating the event occurrence. Please try again.'
-                    });
-                });
+    if (errors.length > 0) {
+        return res.render('add-venue', {
+            venue: venue,
+            error_message: errors.join(' ')
         });
-})
-
-// Update event template
-app.post('/manage-events/:template_id/update', (req, res) => {
-    const template_id = parseInt(req.params.template_id, 10);
-    const { 
-        event_name, 
-        event_type, 
-        event_description, 
-        event_recurrence_pattern, 
-        event_default_capacity 
-    } = req.body;
-
-    const updateData = {
-        event_name,
-        event_type,
-        event_description: event_description || null,
-        event_recurrence_pattern: event_recurrence_pattern || null,
-        event_default_capacity: event_default_capacity ? parseInt(event_default_capacity, 10) : null
-    };
+    }
 
-    knex('event_templates')
-        .where('event_template_id', template_id)
-        .update(updateData)
+    knex('venues')
+        .insert(venue)
         .then(() => {
-            res.redirect('/manage-events');
+            res.redirect('/manage-venues?success=' + encodeURIComponent(`${getVenueLabel(venue)} was added.`));
         })
         .catch(err => {
-            console.log('Error updating event template:', err);
-            res.redirect('/manage-events?error=Error updating event template. Please try again.');
+            if (isUniqueViolation(err)) {
+                return res.render('add-venue', {
+                    venue: venue,
+                    error_message: 'A venue with this name and room already exists.'
+                });
+            }
+            console.log('Error creating venue: ', err);
+            res.render('add-venue', {
+                venue: venue,
+                error_message: 'An error occurred while creating the venue.'
+            });
         });
 });
 
-app.post('/manage-events/:template_id/delete', (req, res) => {
-    const template_id = parseInt(req.params.template_id, 10);
+app.post('/manage-venues/:venue_id/update', async (req, res) => {
+    const venue_id = parseInt(req.params.venue_id, 10);
+    const { venue, errors } = parseVenueForm(req.body);
 
-    // Verify that the event template exists
-    knex('event_templates')
-        .where('event_template_id', template_id)
-        .first()
-        .then(template => {
-            if (!template) {
-                // Template doesn't exist, redirect with error
-                return res.redirect('/manage-events?error=Event template does not exist');
+    if (errors.length > 0) {
+        return res.redirect('/manage-venues?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const errorMessage = await knex.transaction(async trx => {
+            const existing = await trx('venues')
+                .where('venue_id', venue_id)
+                .first();
+            if (!existing) {
+                return 'Venue does not exist';
             }
 
-            // Delete the event template (CASCADE will handle related records)
-            return knex('event_templates')
-                .where('event_template_id', template_id)
-                .del()
-                .then(() => {
-                    res.redirect('/manage-events');
-                });
-        })
-        .catch(err => {
-            console.log('Error deleting event template:', err);
-            res.redirect('/manage-events?error=Error deleting event template. Please try again.');
-        });
-})
+            // Shrinking the venue can't leave upcoming events with more seats than fit
+            if (venue.venue_max_capacity) {
+                const tooBig = await trx('event_occurrences')
+                    .where('venue_id', venue_id)
+                    .where('event_date_time_start', '>=', new Date())
+                    .whereNot('event_status', EVENT_STATUS.CANCELLED)
+                    .where('event_capacity', '>', venue.venue_max_capacity)
+                    .count('* as count')
+                    .first();
+                if (parseInt(tooBig.count, 10) > 0) {
+                    return `${tooBig.count} upcoming event(s) here have a capacity over ${venue.venue_max_capacity}. Lower their capacity first.`;
+                }
+            }
 
-// ~~~ ~~~ ~~~ ~~~ ~~~ MILESTONES ~~~ ~~~ ~~~ ~~~ ~~~ 
-app.get('/milestone-progress', (req, res) => {
-    // Get milestones for current user only
-    knex('user_milestones')
-        .innerJoin('milestones', 'user_milestones.milestone_id', '=', 'milestones.milestone_id')
-        .select(
-            'milestones.milestone_id',
-            'milestones.milestone_title',
-            'user_milestones.milestone_date'
-        )
-        .where('user_milestones.user_id', req.session.user_id)
-        .orderBy('user_milestones.milestone_date', 'desc')
-        .then(milestone => {
-            res.render('milestone-progress', {
-                milestone: milestone,
-                error_message: ""
-            });
-        }).catch(err => {
-            console.log('Error fetching milestone information: ', err);
-            res.render('milestone-progress', {
-                milestone: [],
-                error_message: 'Error fetching milestone information'
-            });
+            await trx('venues')
+                .where('venue_id', venue_id)
+                .update({ ...venue, updated_at: new Date() });
+
+            // Keep the location labels in step with the venue
+            const label = getVenueLabel(venue);
+            await trx('event_occurrences')
+                .where('venue_id', venue_id)
+                .update({ event_location: label });
+            await trx('event_recurrence_rules')
+                .where('venue_id', venue_id)
+                .update({ recurrence_location: label });
+
+            return null;
         });
+
+        if (errorMessage) {
+            return res.redirect('/manage-venues?error=' + encodeURIComponent(errorMessage));
+        }
+        res.redirect('/manage-venues');
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return res.redirect('/manage-venues?error=' + encodeURIComponent('A venue with this name and room already exists.'));
+        }
+        console.log('Error updating venue: ', err);
+        res.redirect('/manage-venues?error=Error updating venue. Please try again');
+    }
 });
 
-app.get('/manage-milestones', (req, res) => {
-    // Get search query from URL
+app.post('/manage-venues/:venue_id/delete', (req, res) => {
+    const venue_id = parseInt(req.params.venue_id, 10);
+
+    Promise.all([
+        knex('venues').where('venue_id', venue_id).first(),
+        knex('event_occurrences').where('venue_id', venue_id).count('* as count').first()
+    ])
+        .then(([venue, eventCount]) => {
+            if (!venue) {
+                return res.redirect('/manage-venues?error=Venue does not exist');
+            }
+            // Past events still point here, so venues that were ever used stay for the history
+            if (parseInt(eventCount.count, 10) > 0) {
+                return res.redirect('/manage-venues?error=' + encodeURIComponent(`${getVenueLabel(venue)} has events, so it can't be deleted.`));
+            }
+
+            return knex('venues')
+                .where('venue_id', venue_id)
+                .del()
+                .then(() => {
+                    res.redirect('/manage-venues');
+                });
+        })
+        .catch(err => {
+            console.log('Error deleting venue: ', err);
+            res.redirect('/manage-venues?error=Error deleting venue. Please try again');
+        });
+});
+
+// ~~~ ~~~ ~~~ ~~~ ~~~ INSTRUCTORS ~~~ ~~~ ~~~ ~~~ ~~~ 
+/*
+ * Instructor Routes (Admin)
+ * The instructors and facilitators who lead events, how their events have been rated,
+ * and which login (if any) they use to reach their own rosters.
+ */
+app.get('/manage-instructors', (req, res) => {
     const searchQuery = req.query.search || '';
-    
+
     // Pagination Logic
     const page = parseInt(req.query.page, 10) || 1;
     const perPage = 20;
     const offset = (page - 1) * perPage;
 
-    // Query for the current page of milestones
-    let milestonesQuery = knex('milestones')
-        .select('milestone_id', 'milestone_title');
-
-    // If there's a search query, filter by milestone title
-    if (searchQuery.trim() !== '') {
+    // Searches name, email and type
+    const applySearch = query => {
+        if (searchQuery.trim() === '') {
+            return query;
+        }
         const searchTerm = '%' + searchQuery.trim() + '%';
-        milestonesQuery = milestonesQuery.where('milestone_title', 'ilike', searchTerm);
-    }
+        return query.where(function () {
+            this.where('instructors.instructor_first_name', 'ilike', searchTerm)
+                .orWhere('instructors.instructor_last_name', 'ilike', searchTerm)
+                .orWhereRaw("(instructors.instructor_first_name || ' ' || instructors.instructor_last_name) ILIKE ?", [searchTerm])
+                .orWhere('instructors.instructor_email', 'ilike', searchTerm)
+                .orWhere('instructors.instructor_type', 'ilike', searchTerm);
+        });
+    };
 
-    milestonesQuery = milestonesQuery
-        .orderBy('milestone_title')
+    const upcomingCount = knex('event_occurrence_instructors')
+        .innerJoin('event_occurrences', 'event_occurrence_instructors.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .count('*')
+        .whereRaw('event_occurrence_instructors.instructor_id = instructors.instructor_id')
+        .where('event_occurrences.event_date_time_start', '>=', new Date())
+        .whereNot('event_occurrences.event_status', EVENT_STATUS.CANCELLED)
+        .as('upcoming_event_count');
+
+    const instructorsQuery = applySearch(knex('instructors')
+        .leftJoin('users', 'instructors.user_id', '=', 'users.user_id')
+        .leftJoin(instructorSurveyStats(knex).as('stats'), 'instructors.instructor_id', '=', 'stats.instructor_id')
+        .select('instructors.*', 'users.user_email as login_email', upcomingCount,
+            'stats.survey_count', 'stats.avg_instructor_score', 'stats.promoters', 'stats.detractors'))
+        .orderBy('instructors.instructor_last_name')
+        .orderBy('instructors.instructor_first_name')
         .limit(perPage)
         .offset(offset);
 
-    // Count query with same filter
-    let countQuery = knex('milestones');
-    if (searchQuery.trim() !== '') {
-        const searchTerm = '%' + searchQuery.trim() + '%';
-        countQuery = countQuery.where('milestone_title', 'ilike', searchTerm);
-    }
-    countQuery = countQuery.count('* as count').first();
+    const countQuery = applySearch(knex('instructors')).count('* as count').first();
 
-    Promise.all([milestonesQuery, countQuery])
-        .then(([milestones, countResult]) => {
+    Promise.all([instructorsQuery, countQuery])
+        .then(([instructors, countResult]) => {
             const totalCount = parseInt(countResult.count, 10);
             const totalPages = Math.ceil(totalCount / perPage);
-            
-            res.render('manage-milestones', {
-                milestone: milestones,
+
+            instructors.forEach(instructor => {
+                instructor.survey_count = parseInt(instructor.survey_count, 10) || 0;
+                instructor.nps = calculateNps(parseInt(instructor.promoters, 10) || 0, parseInt(instructor.detractors, 10) || 0, instructor.survey_count);
+            });
+
+            res.render('manage-instructors', {
+                instructors: instructors,
                 currentPage: page,
                 totalPages,
                 totalCount,
                 searchQuery: searchQuery,
-                error_message: ""
-            })
+                error_message: req.query.error || '',
+                success_message: req.query.success || ''
+            });
         }).catch(err => {
-            console.log('Error fetching milestone information: ', err);
-            res.render('manage-milestones', {
-                milestone: [],
+            console.log('Error fetching instructor information: ', err);
+            res.render('manage-instructors', {
+                instructors: [],
                 searchQuery: searchQuery,
-                error_message: 'Error fetching milestone information'
+                error_message: 'Error fetching instructor information',
+                success_message: ''
             });
         });
 });
 
-app.get('/manage-milestones/new', (req, res) => {
-    res.render('add-milestone', {
+app.get('/manage-instructors/new', (req, res) => {
+    res.render('add-instructor', {
+        instructor: {},
+        login_email: '',
         error_message: ""
     });
 });
 
-app.post('/manage-milestones/new', (req, res) => {
-    const { milestone_title } = req.body;
+app.post('/manage-instructors/new', async (req, res) => {
+    const { instructor, loginEmail, errors } = parseInstructorForm(req.body || {});
 
-    knex('milestones')
-        .insert({ milestone_title })
-        .then(() => {
-            res.redirect('/manage-milestones');
-        })
-        .catch(err => {
-            console.log('Error creating milestone: ', err);
-            res.render('add-milestone', {
-                error_message: 'An error occurred while creating the milestone.'
-            });
+    const renderForm = message => res.render('add-instructor', {
+        instructor: instructor,
+        login_email: loginEmail,
+        error_message: message
+    });
+
+    if (errors.length > 0) {
+        return renderForm(errors.join(' '));
+    }
+
+    try {
+        const result = await knex.transaction(async trx => {
+            const link = await linkInstructorAccount(trx, null, loginEmail);
+            if (link.error) return link;
+
+            await trx('instructors').insert({ ...instructor, user_id: link.userId });
+            return {};
         });
+
+        if (result.error) {
+            return renderForm(result.error);
+        }
+        res.redirect('/manage-instructors?success=' + encodeURIComponent(`${instructor.instructor_first_name} ${instructor.instructor_last_name} was added.`));
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return renderForm('That account is already linked to another instructor.');
+        }
+        console.log('Error creating instructor: ', err);
+        renderForm('An error occurred while creating the instructor.');
+    }
 });
 
-app.post('/manage-milestones/:milestone_id/delete', (req, res) => {
-    const milestone_id = parseInt(req.params.milestone_id, 10);
+// Instructor profile: contact details, ratings and the events they've led / will lead
+app.get('/manage-instructors/:instructor_id', async (req, res) => {
+    const instructor_id = parseInt(req.params.instructor_id, 10);
 
-    knex('milestones')
-        .where('milestone_id', milestone_id)
-        .first()
-        .then(milestone => {
-            if (!milestone) {
-                return res.redirect('/manage-milestones?error=Milestone does not exist');
-            }
+    try {
+        const instructor = await knex('instructors')
+            .leftJoin('users', 'instructors.user_id', '=', 'users.user_id')
+            .select('instructors.*', 'users.user_email as login_email')
+            .where('instructors.instructor_id', instructor_id)
+            .first();
 
-            return knex('milestones')
-                .where('milestone_id', milestone_id)
-                .del()
-                .then(() => {
-                    res.redirect('/manage-milestones');
-                });
-        })
-        .catch(err => {
-            console.log('Error deleting milestone: ', err);
-            res.redirect('/manage-milestones?error=Error deleting milestone. Please try again');
+        if (!instructor) {
+            return res.redirect('/manage-instructors?error=Instructor does not exist');
+        }
+
+        const [stats, events] = await Promise.all([
+            instructorSurveyStats(knex)
+                .where('event_occurrence_instructors.instructor_id', instructor_id)
+                .first(),
+            // Every event they're assigned to, with its own survey average
+            knex('event_occurrence_instructors')
+                .innerJoin('event_occurrences', 'event_occurrence_instructors.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+                .innerJoin('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+                .leftJoin('registration', 'event_occurrences.event_occurrence_id', '=', 'registration.event_occurrence_id')
+                .leftJoin('surveys', 'registration.registration_id', '=', 'surveys.registration_id')
+                .where('event_occurrence_instructors.instructor_id', instructor_id)
+                .select(
+                    'event_occurrences.event_occurrence_id',
+                    'event_occurrences.event_date_time_start',
+                    'event_occurrences.event_date_time_end',
+                    'event_occurrences.event_location',
+                    'event_occurrences.event_status',
+                    'event_templates.event_name'
+                )
+                .count('surveys.survey_id as survey_count')
+                .avg('surveys.instructor_score as avg_instructor_score')
+                .groupBy('event_occurrences.event_occurrence_id', 'event_templates.event_name')
+                .orderBy('event_occurrences.event_date_time_start', 'desc')
+        ]);
+
+        const surveyCount = stats ? parseInt(stats.survey_count, 10) : 0;
+        const now = new Date();
+
+        res.render('instructor-profile', {
+            instructor: instructor,
+            instructorTypes: INSTRUCTOR_TYPES,
+            surveyCount: surveyCount,
+            avgInstructorScore: stats && stats.avg_instructor_score !== null ? parseFloat(stats.avg_instructor_score) : null,
+            nps: stats ? calculateNps(parseInt(stats.promoters, 10), parseInt(stats.detractors, 10), surveyCount) : null,
+            upcomingEvents: events.filter(event => new Date(event.event_date_time_start) >= now).reverse(),
+            pastEvents: events.filter(event => new Date(event.event_date_time_start) < now),
+            error_message: req.query.error || '',
+            success_message: req.query.success || ''
         });
+    } catch (err) {
+        console.log('Error fetching instructor profile: ', err);
+        res.redirect('/manage-instructors?error=Error fetching instructor profile');
+    }
 });
 
-app.post('/manage-milestones/:milestone_id/update', (req, res) => {
-    const milestone_id = parseInt(req.params.milestone_id, 10);
-    const { milestone_title } = req.body;
+app.post('/manage-instructors/:instructor_id/update', async (req, res) => {
+    const instructor_id = parseInt(req.params.instructor_id, 10);
+    const { instructor, loginEmail, errors } = parseInstructorForm(req.body || {});
+    const profileUrl = '/manage-instructors/' + instructor_id;
 
-    knex('milestones')
-        .where('milestone_id', milestone_id)
-        .first()
-        .then(milestone => {
-            if (!milestone) {
-                return res.redirect('/manage-milestones?error=Milestone does not exist');
+    if (errors.length > 0) {
+        return res.redirect(profileUrl + '?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const result = await knex.transaction(async trx => {
+            const existing = await trx('instructors')
+                .where('instructor_id', instructor_id)
+                .first();
+            if (!existing) {
+                return { error: 'Instructor does not exist' };
             }
 
-            return knex('milestones')
-                .where('milestone_id', milestone_id)
-                .update({ milestone_title })
-                .then(() => {
-                    res.redirect('/manage-milestones');
-                });
+            const link = await linkInstructorAccount(trx, existing.user_id, loginEmail);
+            if (link.error) return link;
+
+            await trx('instructors')
+                .where('instructor_id', instructor_id)
+                .update({ ...instructor, user_id: link.userId, updated_at: new Date() });
+            return {};
+        });
+
+        if (result.error) {
+            return res.redirect(profileUrl + '?error=' + encodeURIComponent(result.error));
+        }
+        res.redirect(profileUrl + '?success=' + encodeURIComponent('Instructor updated.'));
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            return res.redirect(profileUrl + '?error=' + encodeURIComponent('That account is already linked to another instructor.'));
+        }
+        console.log('Error updating instructor: ', err);
+        res.redirect(profileUrl + '?error=Error updating instructor. Please try again');
+    }
+});
+
+app.post('/manage-instructors/:instructor_id/delete', async (req, res) => {
+    const instructor_id = parseInt(req.params.instructor_id, 10);
+
+    try {
+        const deleted = await knex.transaction(async trx => {
+            const instructor = await trx('instructors')
+                .where('instructor_id', instructor_id)
+                .first();
+            if (!instructor) return null;
+
+            // Their login goes back to a regular participant; event assignments cascade
+            await linkInstructorAccount(trx, instructor.user_id, '');
+            await trx('instructors')
+                .where('instructor_id', instructor_id)
+                .del();
+            return instructor;
+        });
+
+        if (!deleted) {
+            return res.redirect('/manage-instructors?error=Instructor does not exist');
+        }
+        res.redirect('/manage-instructors?success=' + encodeURIComponent(`${deleted.instructor_first_name} ${deleted.instructor_last_name} was removed.`));
+    } catch (err) {
+        console.log('Error deleting instructor: ', err);
+        res.redirect('/manage-instructors?error=Error deleting instructor. Please try again');
+    }
+});
+
+/*
+ * Instructor's own events
+ * What a logged-in instructor leads, with links to the roster and check-in pages
+ * (the only admin pages they can open, and only for these events).
+ */
+app.get('/instructor/events', (req, res) => {
+    if ((req.session.level || '').toLowerCase() !== 'instructor') {
+        return res.redirect('/dashboard');
+    }
+
+    const seatsTaken = whereHoldsSeat(knex('registration')
+        .count('*')
+        .whereRaw('registration.event_occurrence_id = event_occurrences.event_occurrence_id'))
+        .as('registered_count');
+
+    knex('event_occurrence_instructors')
+        .innerJoin('instructors', 'event_occurrence_instructors.instructor_id', '=', 'instructors.instructor_id')
+        .innerJoin('event_occurrences', 'event_occurrence_instructors.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .innerJoin('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+        .where('instructors.user_id', req.session.user_id)
+        // Anything from today on, plus the last two weeks so late check-ins/no-shows can still be fixed
+        .where('event_occurrences.event_date_time_start', '>=', new Date(Date.now() - 14 * 24 * 60 * 60 * 1000))
+        .select(
+            'event_occurrences.event_occurrence_id',
+            'event_occurrences.event_date_time_start',
+            'event_occurrences.event_date_time_end',
+            'event_occurrences.event_location',
+            'event_occurrences.event_capacity',
+            'event_occurrences.event_status',
+            'event_templates.event_name',
+            seatsTaken
+        )
+        .orderBy('event_occurrences.event_date_time_start')
+        .then(events => {
+            res.render('instructor-events', {
+                events: events,
+                error_message: ''
+            });
         })
         .catch(err => {
-            console.log('Error updating milestone: ', err);
-            res.redirect('/manage-milestones?error=Error updating milestone. Please try again');
+            console.log('Error fetching instructor events: ', err);
+            res.render('instructor-events', {
+                events: [],
+                error_message: 'Error fetching your events'
+            });
         });
 });
 
@@ -1124,21 +7033,13 @@ app.post('/donate', (req, res) => {
     // If logged in, use their user_id. Otherwise use 1179 (anonymous donor account)
     const user_id = req.session.isLoggedIn ? req.session.user_id : 1179;
 
-    // Get the next available donation_id (max + 1)
-    // Note: In production, you'd probably let the database handle auto-increment
+    // Create the donation record - the database hands out donation_id from its sequence,
+    // so two donations submitted at once can't collide on the same ID
     knex('donations')
-        .max('donation_id as maxId')
-        .first()
-        .then(result => {
-            const nextId = (result.maxId || 0) + 1;
-            
-            // Create the donation record
-            return knex('donations').insert({
-                donation_id: nextId,
-                user_id: user_id,
-                donation_amount: parseFloat(donation_amount),
-                donation_date: new Date().toISOString().split('T')[0] // Today's date in YYYY-MM-DD format
-            });
+        .insert({
+            user_id: user_id,
+            donation_amount: parseFloat(donation_amount),
+            donation_date: new Date().toISOString().split('T')[0] // Today's date in YYYY-MM-DD format
         })
         .then(() => {
             // Success! Redirect back with a thank you message
@@ -1461,7 +7362,9 @@ app.get('/surveys', (req, res) => {
             if (registrations.length > 0) {
                 res.render('surveys', {
                     registrations: registrations,
-                    error_message: ""
+                    now: new Date(),
+                    error_message: req.query.error || "",
+                    success_message: req.query.success || ""
                 });
             } else {
                 res.render('surveys', {
@@ -1480,72 +7383,140 @@ app.get('/surveys', (req, res) => {
 });
 
 // ~~~ ~~~ NEW SURVEY ~~~ ~~~
-app.get('/add-survey/:registration_id/:event_occurrence_id', (req, res) => { // Get the new survey page
+app.get('/add-survey/:registration_id/:event_occurrence_id', async (req, res) => { // Get the new survey page
     const registration_id = parseInt(req.params.registration_id, 10);
     const event_occurrence_id = parseInt(req.params.event_occurrence_id, 10);
 
-    // First check if survey already exists
-    knex('surveys')
-        .where('registration_id', registration_id)
-        .first()
-        .then(survey => {
-            if (survey) {
-                return res.redirect('/surveys?error=Survey already exists');
+    try {
+        // Only your own registration, and the URL has to name the right occurrence
+        const registration = await findSurveyRegistration(knex, registration_id);
+        if (!registration || registration.user_id !== req.session.user_id || registration.event_occurrence_id !== event_occurrence_id) {
+            return res.redirect('/surveys?error=' + encodeURIComponent('Survey not found.'));
+        }
+
+        const blocker = await getSurveyBlocker(knex, registration);
+        if (blocker) {
+            return res.redirect('/surveys?error=' + encodeURIComponent(blocker));
+        }
+
+        // The template's own survey form, or the default one
+        const form = await getOccurrenceSurveyForm(knex, registration);
+        if (!form) {
+            return res.redirect('/surveys?error=' + encodeURIComponent('There is no survey for this event yet.'));
+        }
+
+        renderSurveyForm(res, registration, form, null);
+    } catch (err) {
+        console.log('Error fetching survey: ', err);
+        res.redirect('/surveys?error=' + encodeURIComponent('Error loading the survey form. Please try again.'));
+    }
+});
+
+app.post('/add-survey/:registration_id', async (req, res) => { // Add a new survey
+    const registration_id = parseInt(req.params.registration_id, 10);
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            // Same checks as the form itself - the POST can be sent without ever opening it
+            const registration = await findSurveyRegistration(trx, registration_id);
+            if (!registration || registration.user_id !== req.session.user_id) {
+                return { error: 'Survey not found.' };
             }
 
-            // Fetch event occurrence data for the survey form
-            return knex('event_occurrences')
-                .where('event_occurrence_id', event_occurrence_id)
-                .first()
-                .then(eventOccurrence => {
-                    if (!eventOccurrence) {
-                        return res.redirect('/surveys?error=Event occurrence not found');
-                    }
+            const blocker = await getSurveyBlocker(trx, registration);
+            if (blocker) {
+                return { error: blocker };
+            }
 
-                    // Format the event date
-                    const date = new Date(eventOccurrence.event_date_time_start);
-                    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                    const formattedDate = months[date.getMonth()] + ' ' + date.getDate() + ', ' + date.getFullYear();
-
-                    res.render('add-survey', {
-                        registration_id: registration_id,
-                        event_occurrence_id: event_occurrence_id,
-                        event_name: eventOccurrence.event_name,
-                        event_date: formattedDate,
-                        event_location: eventOccurrence.event_location || 'TBD',
-                        error_message: ""
-                    });
-                });
-        })
-        .catch(err => {
-            console.log('Error fetching survey: ', err);
-            res.redirect('/surveys?error=Error loading survey form');
+            const form = await getOccurrenceSurveyForm(trx, registration);
+            if (!form) {
+                return { error: 'There is no survey for this event yet.' };
+            }
+
+            const attempt = collectSurveyAnswers(form, req.body);
+            if (attempt.errors.length > 0) {
+                return { retry: { registration, form, attempt } };
+            }
+
+            await saveSurveyResponse(trx, registration_id, form, attempt.answers);
+            return { success: 'Thank you! Your survey has been submitted.' };
         });
+
+        if (outcome.retry) {
+            const { registration, form, attempt } = outcome.retry;
+            return renderSurveyForm(res, registration, form, attempt);
+        }
+        if (outcome.error) {
+            return res.redirect('/surveys?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect('/surveys?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        // Submitted twice at the same moment - the unique index on surveys.registration_id lets only one through
+        if (isUniqueViolation(err)) {
+            return res.redirect('/surveys?error=' + encodeURIComponent('A survey has already been submitted for this event. Thank you for your feedback!'));
+        }
+        console.log('Error creating survey: ', err);
+        res.redirect('/surveys?error=' + encodeURIComponent('An error occurred while creating the survey.'));
+    }
 });
 
-app.post('/add-survey/:registration_id', (req, res) => { // Add a new survey
-    const registration_id = parseInt(req.params.registration_id, 10);
-    const { satisfaction_score, usefulness_score, instructor_score, recommendation_score, survey_comments } = req.body;
+// ~~~ ~~~ SURVEY LINKS (Public) ~~~ ~~~
+// The signed links staff send after an event - these work without logging in (see Survey Links helpers)
+app.get('/survey/:token', async (req, res) => {
+    try {
+        const link = await checkSurveyLink(knex, req.params.token);
+        if (link.error) {
+            return res.render('survey-link', { title: 'Event Feedback', message: link.error });
+        }
+        renderSurveyForm(res, link.registration, link.form, null, `/survey/${encodeURIComponent(req.params.token)}`);
+    } catch (err) {
+        console.log('Error opening survey link: ', err);
+        res.render('survey-link', { title: 'Event Feedback', message: 'Error loading the survey. Please try again.' });
+    }
+});
 
-    // Get the current date and time
-    const survey_submission_date = new Date();
-    // Calculate the overall score
-    const overall_score = (parseFloat(satisfaction_score) + parseFloat(usefulness_score) + parseFloat(instructor_score) + parseFloat(recommendation_score)) / 4;
+app.post('/survey/:token', async (req, res) => {
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const link = await checkSurveyLink(trx, req.params.token);
+            if (link.error) {
+                return { error: link.error };
+            }
 
-    // Determine the NPS bucket
-    const nps_bucket = parseInt(recommendation_score) >= 4 ? 'Promoter' : parseInt(recommendation_score) < 3 ? 'Detractor' : 'Passive';
+            const attempt = collectSurveyAnswers(link.form, req.body);
+            if (attempt.errors.length > 0) {
+                return { retry: { ...link, attempt } };
+            }
 
-    knex('surveys')
-        .insert({ registration_id, overall_score, survey_submission_date, satisfaction_score, usefulness_score, instructor_score, recommendation_score, nps_bucket, survey_comments })
-        .then(() => {
-            res.redirect('/surveys');
-        })
-        .catch(err => {
-            console.log('Error creating survey: ', err);
-            res.render('add-survey', {
-                error_message: 'An error occurred while creating the survey.'
-            });
+            // Claim the link first, so two submissions at once can't both get through
+            const claimed = await trx('registration')
+                .where('registration_id', link.registration.registration_id)
+                .whereNull('registration_survey_link_used_at')
+                .update({ registration_survey_link_used_at: knex.fn.now() });
+            if (!claimed) {
+                return { error: 'This survey link has already been used. Thank you for your feedback!' };
+            }
+
+            await saveSurveyResponse(trx, link.registration.registration_id, link.form, attempt.answers);
+            return { success: true };
         });
+
+        if (outcome.retry) {
+            const { registration, form, attempt } = outcome.retry;
+            return renderSurveyForm(res, registration, form, attempt, `/survey/${encodeURIComponent(req.params.token)}`);
+        }
+        if (outcome.error) {
+            return res.render('survey-link', { title: 'Event Feedback', message: outcome.error });
+        }
+        res.render('survey-link', { title: 'Thank You!', message: 'Your feedback has been submitted. It helps us make the next event even better.' });
+    } catch (err) {
+        // Two submissions at the same moment - the unique index on surveys.registration_id lets only one through
+        if (isUniqueViolation(err)) {
+            return res.render('survey-link', { title: 'Event Feedback', message: 'A survey has already been submitted for this event. Thank you for your feedback!' });
+        }
+        console.log('Error submitting survey link: ', err);
+        res.render('survey-link', { title: 'Event Feedback', message: 'An error occurred while submitting the survey. Please try again.' });
+    }
 });
 
 // ~~~ ~~~ DELETE SURVEY (User) ~~~ ~~~
@@ -1579,6 +7550,8 @@ app.post('/surveys/:survey_id/delete', (req, res) => {
 });
 
 // ~~~ ~~~ ~~~ ~~~ ~~~ REGISTRATIONS ~~~ ~~~ ~~~ ~~~ ~~~ 
+const RECENT_NOTIFICATION_DAYS = 30; // How far back the "Updates" box on the registrations page goes
+
 app.get('/registrations/:user_id', (req, res) => {
     const user_id = parseInt(req.params.user_id, 10);
     // Get registrations for current user only
@@ -1592,6 +7565,10 @@ app.get('/registrations/:user_id', (req, res) => {
             'registration.registration_attended_flag',
             'registration.registration_check_in_time',
             'registration.registration_created_at',
+            'registration.registration_waitlist_position',
+            'registration.registration_cancelled_reason',
+            'registration.registration_review_note',
+            'event_occurrences.event_template_id',
             'event_occurrences.event_name',
             'event_occurrences.event_location',
             'event_occurrences.event_date_time_start',
@@ -1600,16 +7577,91 @@ app.get('/registrations/:user_id', (req, res) => {
         .where('registration.user_id', user_id)
         .orderBy('event_occurrences.event_date_time_end', 'desc')
         .then(registrations => {
+            // "Switch Date" is offered when the same event has another upcoming date
+            const now = new Date();
+            const templateIds = [...new Set(registrations.map(registration => registration.event_template_id))];
+
+            return whereNotCancelled(knex('event_occurrences'))
+                .select('event_occurrences.event_template_id')
+                .count('* as count')
+                .whereIn('event_occurrences.event_template_id', templateIds)
+                .where('event_occurrences.event_date_time_start', '>=', now)
+                .groupBy('event_occurrences.event_template_id')
+                .then(upcomingDates => {
+                    registrations.forEach(registration => {
+                        const dates = upcomingDates.find(row => row.event_template_id === registration.event_template_id);
+                        registration.can_switch_date = UPCOMING_STATUSES.includes(registration.registration_status) &&
+                            new Date(registration.event_date_time_start) >= now &&
+                            Boolean(dates) && parseInt(dates.count, 10) > 1;
+                    });
+                    return registrations;
+                });
+        })
+        .then(registrations => {
+            // Check-in codes are only shown to the participant themselves (or an admin),
+            // and only for upcoming events they hold a seat for
+            const canSeeCodes = req.session.user_id === user_id || (req.session.level || '').toLowerCase() === 'admin';
+            const now = new Date();
+
+            return Promise.all(registrations.map(registration => {
+                if (!canSeeCodes ||
+                    registration.registration_status !== REGISTRATION_STATUS.REGISTERED ||
+                    new Date(registration.event_date_time_end) < now) {
+                    return registration;
+                }
+                registration.check_in_code = getCheckInCode(registration.registration_id);
+                return QRCode.toDataURL(registration.check_in_code, { width: 200, margin: 1 })
+                    .then(qr => {
+                        registration.check_in_qr = qr;
+                        return registration;
+                    });
+            }));
+        })
+        .then(registrations => {
+            // Only the participant gets their private calendar link
+            if (req.session.user_id !== user_id) {
+                return [registrations, null];
+            }
+            return getCalendarToken(knex, user_id)
+                .then(token => [registrations, token]);
+        })
+        .then(([registrations, calendarToken]) => {
+            // Recent news about their events (cancellations, new times) - only for the participant themselves (or an admin)
+            if (req.session.user_id !== user_id && (req.session.level || '').toLowerCase() !== 'admin') {
+                return [registrations, calendarToken, []];
+            }
+            const recentNotificationDate = new Date();
+            recentNotificationDate.setDate(recentNotificationDate.getDate() - RECENT_NOTIFICATION_DAYS);
+
+            return knex('notifications')
+                .select('notification_id', 'notification_subject', 'notification_body', 'event_occurrence_id', 'created_at')
+                .where('user_id', user_id)
+                .where('created_at', '>=', recentNotificationDate)
+                .orderBy('created_at', 'desc')
+                .then(notifications => [registrations, calendarToken, notifications]);
+        })
+        .then(([registrations, calendarToken, notifications]) => {
+            // webcal:// makes phones/desktops open their calendar app and subscribe
+            const calendar_feed_url = calendarToken
+                ? getBaseUrl(req).replace(/^https?:/, 'webcal:') + `/calendar/${calendarToken}.ics`
+                : '';
+
             if (registrations.length > 0) {
                 res.render('registrations', {
                     registrations: registrations,
-                    error_message: "",
+                    error_message: req.query.error || "",
+                    success_message: req.query.success || "",
+                    calendar_feed_url: calendar_feed_url,
+                    notifications: notifications,
                     user_id: user_id
                 });
             } else {
                 res.render('registrations', {
                     registrations: [],
-                    error_message: "",
+                    error_message: req.query.error || "",
+                    success_message: req.query.success || "",
+                    calendar_feed_url: calendar_feed_url,
+                    notifications: notifications,
                     user_id: user_id
                 });
             }
@@ -1623,6 +7675,24 @@ app.get('/registrations/:user_id', (req, res) => {
         });
 });
 
+// Swap in a new private calendar link (e.g. if the old one was shared by accident)
+app.post('/registrations/:user_id/calendar/reset', (req, res) => {
+    const user_id = parseInt(req.params.user_id, 10);
+
+    if (req.session.user_id !== user_id) {
+        return res.redirect(`/registrations/${req.session.user_id}`);
+    }
+
+    resetCalendarToken(knex, user_id)
+        .then(() => {
+            res.redirect(`/registrations/${user_id}?success=` + encodeURIComponent('Your calendar link has been reset. Re-subscribe using the new link.'));
+        })
+        .catch(err => {
+            console.log('Error resetting calendar link: ', err);
+            res.redirect(`/registrations/${user_id}?error=` + encodeURIComponent('Error resetting calendar link. Please try again.'));
+        });
+});
+
 app.post('/registrations/:registration_id/cancel', (req, res) => {
     const registration_id = parseInt(req.params.registration_id, 10);
     knex('registration')
@@ -1632,13 +7702,26 @@ app.post('/registrations/:registration_id/cancel', (req, res) => {
             if (!registration) {
                 return res.redirect('/registrations?error=Registration does not exist');
             }
-            // Cancel the registration
-            return knex('registration')
-                .where('registration_id', registration_id)
-                .update({
-                    registration_status: 'Cancelled'
-                })
-                .then(() => {
+            // Cancel the registration, then let the waitlist know a seat may have opened up
+            return knex.transaction(async trx => {
+                const previous = await transitionRegistration(trx, registration_id, REGISTRATION_STATUS.CANCELLED);
+                if (!previous) {
+                    return false; // Already cancelled, or the event already happened (attended / no-show)
+                }
+
+                if (previous.registration_status === REGISTRATION_STATUS.WAITLISTED) {
+                    // Leaving the waitlist doesn't free a seat, just close the gap in line
+                    await resequenceWaitlist(trx, registration.event_occurrence_id);
+                } else if (previous.registration_status !== REGISTRATION_STATUS.PENDING) {
+                    // (a withdrawn request never had a seat either)
+                    await promoteFromWaitlist(trx, registration.event_occurrence_id);
+                }
+                return true;
+            })
+                .then(cancelled => {
+                    if (!cancelled) {
+                        return res.redirect(`/registrations/${registration.user_id}?error=` + encodeURIComponent('This registration can no longer be cancelled.'));
+                    }
                     res.redirect(`/registrations/${registration.user_id}`);
                 });
         })
@@ -1648,38 +7731,173 @@ app.post('/registrations/:registration_id/cancel', (req, res) => {
         })
 });
 
+/*
+ * Switch Date (transfer a registration)
+ * Participants can move their own registration to another date of the same event, and admins can
+ * move anyone's (from the roster). See transferRegistration for the rules.
+ */
+app.get('/registrations/:registration_id/transfer', async (req, res) => {
+    const registrationId = parseInt(req.params.registration_id, 10);
+    const isAdmin = (req.session.level || '').toLowerCase() === 'admin';
+
+    try {
+        const registration = await findTransferableRegistration(knex, registrationId);
+        if (!registration || (registration.user_id !== req.session.user_id && !isAdmin)) {
+            return res.redirect(`/registrations/${req.session.user_id}?error=` + encodeURIComponent('Registration does not exist.'));
+        }
+
+        // Admins moving someone else's registration came from (and go back to) the roster
+        const backUrl = registration.user_id === req.session.user_id
+            ? `/registrations/${registration.user_id}`
+            : `/manage-event-occurrences/${registration.event_occurrence_id}/roster`;
+
+        if (!UPCOMING_STATUSES.includes(registration.registration_status) || new Date(registration.event_date_time_start) < new Date()) {
+            return res.redirect(backUrl + '?error=' + encodeURIComponent('This registration can no longer be moved.'));
+        }
+
+        res.render('registration-transfer', {
+            registration: registration,
+            options: await getTransferOptions(knex, registration),
+            backUrl: backUrl,
+            confirmOverlapId: parseInt(req.query.confirm_overlap, 10) || null,
+            error_message: req.query.error || ''
+        });
+    } catch (err) {
+        console.log('Error loading other dates: ', err);
+        res.redirect(`/registrations/${req.session.user_id}?error=` + encodeURIComponent('Error loading the other dates. Please try again.'));
+    }
+});
+
+app.post('/registrations/:registration_id/transfer', async (req, res) => {
+    const registrationId = parseInt(req.params.registration_id, 10);
+    const toOccurrenceId = parseInt(req.body && req.body.to_occurrence_id, 10);
+    const joinWaitlist = Boolean(req.body && req.body.join_waitlist === '1');
+    // Set when they've seen the overlap warning and chose "Move Anyway"
+    const confirmedOverlap = Boolean(req.body && req.body.confirm_overlap === '1');
+    const isAdmin = (req.session.level || '').toLowerCase() === 'admin';
+    const transferUrl = `/registrations/${registrationId}/transfer`;
+
+    try {
+        const registration = await findTransferableRegistration(knex, registrationId);
+        if (!registration || (registration.user_id !== req.session.user_id && !isAdmin)) {
+            return res.redirect(`/registrations/${req.session.user_id}?error=` + encodeURIComponent('Registration does not exist.'));
+        }
+        const movedByStaff = registration.user_id !== req.session.user_id;
+
+        const outcome = await knex.transaction(async trx => {
+            const result = await transferRegistration(trx, registrationId, toOccurrenceId, joinWaitlist, confirmedOverlap);
+
+            // Let the participant know when someone else changed their date
+            if (result.success && movedByStaff) {
+                await trx('notifications').insert({
+                    user_id: registration.user_id,
+                    event_occurrence_id: toOccurrenceId,
+                    notification_type: 'registration-transferred',
+                    notification_subject: `New date: ${result.to.event_name}`,
+                    notification_body: `Your registration for ${result.from.event_name} has been moved from ` +
+                        `${formatEventTime(result.from.event_date_time_start, result.from.event_date_time_end)} to ` +
+                        `${formatEventTime(result.to.event_date_time_start, result.to.event_date_time_end)}.`
+                });
+            }
+            return result;
+        });
+
+        if (outcome.error) {
+            // A clash they can confirm past gets a "Move Anyway" button on that date
+            const confirmParam = outcome.overlap ? `&confirm_overlap=${toOccurrenceId}` : '';
+            return res.redirect(transferUrl + '?error=' + encodeURIComponent(outcome.error) + confirmParam);
+        }
+        const backUrl = movedByStaff
+            ? `/manage-event-occurrences/${registration.event_occurrence_id}/roster`
+            : `/registrations/${registration.user_id}`;
+        res.redirect(backUrl + '?success=' + encodeURIComponent(movedByStaff
+            ? `${registration.user_first_name} ${registration.user_last_name}: ${outcome.success}`
+            : outcome.success));
+    } catch (err) {
+        console.log('Error moving registration: ', err);
+        res.redirect(transferUrl + '?error=' + encodeURIComponent('Error moving the registration. Please try again.'));
+    }
+});
+
 // ~~~ ~~~ REGISTER FOR EVENT ~~~ ~~~
 app.post('/registration/:user_id/register/:event_occurrence_id', (req, res) => {
     const user_id = parseInt(req.params.user_id, 10);
     const event_occurrence_id = parseInt(req.params.event_occurrence_id, 10);
-    const { registration_status, event_registration_deadline, event_capacity } = req.body;
 
-    // Check if the event registration deadline has passed
-    const currentDate = new Date();
-    const eventRegistrationDeadline = new Date(event_registration_deadline);
-    if (eventRegistrationDeadline < currentDate) {
-        return res.redirect('/registrations?error=Event registration deadline has passed');
-    }
+    // The deadline and capacity come from the locked occurrence row, not the form,
+    // so the check and the insert can't be split by another request
+    knex.transaction(trx => {
+        return lockOccurrence(trx, event_occurrence_id)
+            .then(occurrence => {
+                if (!occurrence) {
+                    return 'Event not found';
+                }
+                if (occurrence.event_status === EVENT_STATUS.CANCELLED) {
+                    return 'This event has been cancelled';
+                }
 
-    // Check if the event capacity has been reached
-    const eventCapacity = parseInt(event_capacity, 10);
-    knex('registration')
-        .where('event_occurrence_id', event_occurrence_id)
-        .count('* as count')
-        .first()
+                // Check if the event registration deadline has passed
+                const currentDate = new Date();
+                if (occurrence.event_registration_deadline && new Date(occurrence.event_registration_deadline) < currentDate) {
+                    return 'Event registration deadline has passed';
+                }
+
+                // Check if the event capacity has been reached (and that they aren't already signed up)
+                return Promise.all([countTakenSeats(trx, event_occurrence_id), findActiveRegistration(trx, user_id, event_occurrence_id), checkEligibility(trx, occurrence, user_id), getTemplateQuestions(trx, occurrence.event_template_id)])
+                    .then(([currentCapacity, existingRegistration, ineligibleReason, questions]) => {
+                        if (existingRegistration) {
+                            return 'You are already registered for this event';
+                        }
+                        if (ineligibleReason) {
+                            return ineligibleReason;
+                        }
+                        // There's no questions page on this route
+                        if (questions.some(question => question.question_required)) {
+                            return 'This event has signup questions - please register from the event page';
+                        }
+                        if (occurrence.event_capacity && currentCapacity >= occurrence.event_capacity) {
+                            return 'Event capacity has been reached';
+                        }
+                        // No warning page on this route, so any clash (unless overlaps are allowed) stops it
+                        return checkOverlapPolicy(trx, user_id, occurrence, false);
+                    })
+                    .then(overlaps => {
+                        if (typeof overlaps === 'string') {
+                            return overlaps; // An error message from the checks above
+                        }
+                        if (overlaps) {
+                            return `This event overlaps with ${overlaps[0].event_name}`;
+                        }
+                        // Register the user - 'registered', 'pending' if the program needs approval first,
+                        // or 'waitlisted' if the no-show policy holds them back
+                        return requiresApproval(trx, occurrence)
+                            .then(needsApproval => (needsApproval ? Promise.resolve(null) : applyNoShowPolicy(trx, occurrence, user_id))
+                                .then(heldPosition => trx('registration')
+                                    .insert({
+                                        user_id,
+                                        event_occurrence_id,
+                                        registration_status: needsApproval ? REGISTRATION_STATUS.PENDING
+                                            : heldPosition ? REGISTRATION_STATUS.WAITLISTED : REGISTRATION_STATUS.REGISTERED,
+                                        registration_waitlist_position: heldPosition,
+                                        registration_no_show_hold: Boolean(heldPosition),
+                                        registration_created_at: new Date()
+                                    })
+                                    .then(() => ({ needsApproval, heldPosition }))));
+                    });
+            });
+    })
         .then(result => {
-            const currentCapacity = parseInt(result.count, 10);
-            if (currentCapacity >= eventCapacity) { // If the event capacity has been reached, redirect with an error message
-                return res.redirect('/registrations?error=Event capacity has been reached');
+            if (typeof result === 'string') { // One of the checks failed, redirect with an error message
+                return res.redirect('/registrations?error=' + encodeURIComponent(result));
             }
-            // Register the user
-            return knex('registration')
-                .insert({ user_id, event_occurrence_id, registration_status, registration_created_at: new Date() })
-                .then(() => {
-                    res.redirect('/events?success=Registration+Successful');
-                });
+            const message = result.needsApproval ? APPROVAL_REQUESTED_MESSAGE
+                : result.heldPosition ? describeNoShowHold(result.heldPosition) : 'Registration Successful';
+            res.redirect('/events?success=' + encodeURIComponent(message));
         })
         .catch(err => { // If there is an error checking the event capacity, redirect with an error message
+            if (isUniqueViolation(err)) {
+                return res.redirect('/registrations?error=You are already registered for this event');
+            }
             console.log('Error checking event capacity: ', err);
             res.redirect('/registrations?error=Error checking event capacity. Please try again');
         })
@@ -1689,6 +7907,7 @@ app.post('/registration/:user_id/register/:event_occurrence_id', (req, res) => {
 app.get('/manage-surveys', (req, res) => { // Get the manage surveys page
     // Get search query from URL
     const searchQuery = req.query.search || '';
+    const themeFilters = parseSurveyThemeFilters(req.query);
     
     // Pagination logic
     const page = parseInt(req.query.page, 10) || 1;
@@ -1710,7 +7929,9 @@ app.get('/manage-surveys', (req, res) => { // Get the manage surveys page
             'event_location',
             'users.user_id',
             'user_first_name',
-            'user_last_name'
+            'user_last_name',
+            'survey_sentiment',
+            knex.raw('(select array_agg(theme order by theme) from survey_themes where survey_themes.survey_id = surveys.survey_id) as themes')
         );
 
     // If there's a search query, filter by user name or event name
@@ -1724,6 +7945,8 @@ app.get('/manage-surveys', (req, res) => { // Get the manage surveys page
         });
     }
 
+    applySurveyThemeFilters(surveyQuery, themeFilters);
+
     surveyQuery = surveyQuery
         .orderBy('survey_submission_date', 'desc')
         .limit(perPage)
@@ -1744,6 +7967,7 @@ app.get('/manage-surveys', (req, res) => { // Get the manage surveys page
                 .orWhere(knex.raw("concat_ws(' ', user_first_name, user_last_name) ilike ?", [searchTerm]));
         });
     }
+    applySurveyThemeFilters(countQuery, themeFilters);
     countQuery = countQuery.count('* as count').first();
     
     Promise.all([surveyQuery, countQuery])
@@ -1757,13 +7981,19 @@ app.get('/manage-surveys', (req, res) => { // Get the manage surveys page
                 totalPages,
                 totalCount,
                 searchQuery: searchQuery,
-                error_message: ""
+                themeFilters,
+                themes: SURVEY_THEMES,
+                sentiments: SURVEY_SENTIMENTS,
+                error_message: req.query.error || ""
             })
         }).catch(err => {
             console.log('Error fetching surveys: ', err);
             res.render('manage-surveys', {
                 survey: [],
                 searchQuery: searchQuery,
+                themeFilters,
+                themes: SURVEY_THEMES,
+                sentiments: SURVEY_SENTIMENTS,
                 error_message: 'Error fetching surveys'
             });
         });
@@ -1773,9 +8003,15 @@ app.get('/manage-surveys', (req, res) => { // Get the manage surveys page
 app.post('/manage-surveys/:survey_id/update', (req, res) => {
     const survey_id = parseInt(req.params.survey_id, 10);
     const { overall_score, survey_submission_date } = req.body;
+    const score = overall_score ? parseFloat(overall_score) : null;
+
+    // Overall scores are an average of 1-5 ratings
+    if (score !== null && !(score >= 1 && score <= 5)) {
+        return res.redirect('/manage-surveys?error=' + encodeURIComponent('The overall score has to be between 1 and 5.'));
+    }
 
     const updateData = {
-        overall_score: overall_score ? parseInt(overall_score, 10) : null,
+        overall_score: score,
         survey_submission_date: survey_submission_date || null
     };
 
@@ -1818,6 +8054,507 @@ app.post('/manage-surveys/:survey_id/delete', (req, res) => {
         })
 });
 
+// ~~~~~ Survey Analytics (Admin) ~~~~~
+/*
+ * How each program is doing over time: NPS, average scores and response rates per template,
+ * per month and (once a template is picked) per occurrence, with the comments behind them.
+ */
+app.get('/manage-surveys/analytics', async (req, res) => {
+    const filters = parseSurveyAnalyticsFilters(req.query);
+    const monthColumn = "to_char(event_occurrences.event_date_time_start, 'YYYY-MM')";
+
+    try {
+        const [templates, overall, byTemplate, byMonth, byOccurrence] = await Promise.all([
+            knex('event_templates').select('event_template_id', 'event_name').orderBy('event_name'),
+            surveyStatsQuery(knex, filters).first(),
+            surveyStatsQuery(knex, filters)
+                .innerJoin('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+                .select('event_templates.event_template_id', 'event_templates.event_name')
+                .groupBy('event_templates.event_template_id', 'event_templates.event_name')
+                .orderBy('event_templates.event_name'),
+            surveyStatsQuery(knex, filters)
+                .select(knex.raw(`${monthColumn} AS month`))
+                .groupByRaw(monthColumn)
+                .orderBy('month', 'desc'),
+            // One row per date only makes sense for a single program
+            filters.templateId
+                ? surveyStatsQuery(knex, filters)
+                    .select(
+                        'event_occurrences.event_occurrence_id',
+                        'event_occurrences.event_name',
+                        'event_occurrences.event_location',
+                        'event_occurrences.event_date_time_start'
+                    )
+                    .groupBy('event_occurrences.event_occurrence_id')
+                    .orderBy('event_occurrences.event_date_time_start', 'desc')
+                : []
+        ]);
+
+        res.render('survey-analytics', {
+            templates: templates,
+            filters: filters,
+            overall: summarizeSurveyStats(overall),
+            byTemplate: byTemplate.map(summarizeSurveyStats),
+            byMonth: byMonth.map(summarizeSurveyStats),
+            byOccurrence: byOccurrence.map(summarizeSurveyStats),
+            error_message: req.query.error || ''
+        });
+    } catch (err) {
+        console.log('Error fetching survey analytics: ', err);
+        res.redirect('/manage-surveys?error=' + encodeURIComponent('Error loading survey analytics. Please try again.'));
+    }
+});
+
+// Free-text answers for whatever slice of the analytics was clicked on
+app.get('/manage-surveys/analytics/comments', async (req, res) => {
+    const filters = parseSurveyAnalyticsFilters(req.query);
+
+    // Pagination logic
+    const page = parseInt(req.query.page, 10) || 1;
+    const perPage = 20;
+    const offset = (page - 1) * perPage;
+
+    const commentsQuery = () => knex('survey_answers')
+        .innerJoin('survey_form_questions', 'survey_answers.question_id', '=', 'survey_form_questions.question_id')
+        .innerJoin('surveys', 'survey_answers.survey_id', '=', 'surveys.survey_id')
+        .innerJoin('registration', 'surveys.registration_id', '=', 'registration.registration_id')
+        .innerJoin('users', 'registration.user_id', '=', 'users.user_id')
+        .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+        .where('survey_form_questions.question_type', 'text')
+        .whereRaw("trim(coalesce(survey_answers.answer_text, '')) <> ''")
+        .modify(query => {
+            applySurveyAnalyticsFilters(query, filters);
+            if (filters.bucket) query.where('surveys.nps_bucket', filters.bucket);
+        });
+
+    try {
+        const [templates, comments, countResult] = await Promise.all([
+            knex('event_templates').select('event_template_id', 'event_name').orderBy('event_name'),
+            commentsQuery()
+                .select(
+                    'surveys.survey_id',
+                    'surveys.survey_submission_date',
+                    'surveys.overall_score',
+                    'surveys.nps_bucket',
+                    'survey_form_questions.question_label',
+                    'survey_answers.answer_text',
+                    'event_occurrences.event_occurrence_id',
+                    'event_occurrences.event_name',
+                    'event_occurrences.event_date_time_start',
+                    'users.user_first_name',
+                    'users.user_last_name'
+                )
+                .orderBy('event_occurrences.event_date_time_start', 'desc')
+                .orderBy('surveys.survey_id')
+                .limit(perPage)
+                .offset(offset),
+            commentsQuery().count('* as count').first()
+        ]);
+
+        const totalCount = parseInt(countResult.count, 10);
+
+        res.render('survey-comments', {
+            templates: templates,
+            filters: filters,
+            comments: comments,
+            currentPage: page,
+            totalPages: Math.ceil(totalCount / perPage),
+            totalCount,
+            error_message: ''
+        });
+    } catch (err) {
+        console.log('Error fetching survey comments: ', err);
+        res.redirect('/manage-surveys/analytics?error=' + encodeURIComponent('Error loading survey comments. Please try again.'));
+    }
+});
+
+// ~~~~~ Survey Comment Themes (Admin) ~~~~~
+/*
+ * How often each theme comes up in each program's comments (see Survey Comment Themes above),
+ * with every number linking to the surveys behind it on /manage-surveys.
+ */
+app.get('/manage-surveys/themes', async (req, res) => {
+    // Only the date range applies here - every program gets its own row
+    const { from, to } = parseSurveyAnalyticsFilters(req.query);
+    const filters = { from, to };
+
+    const taggedSurveys = () => {
+        const query = knex('surveys')
+            .innerJoin('registration', 'surveys.registration_id', '=', 'registration.registration_id')
+            .innerJoin('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
+            .innerJoin('event_templates', 'event_occurrences.event_template_id', '=', 'event_templates.event_template_id')
+            .whereNotNull('surveys.survey_sentiment');
+        applySurveyAnalyticsFilters(query, filters);
+        return query;
+    };
+
+    try {
+        const [totals, mentions, stale] = await Promise.all([
+            taggedSurveys()
+                .select('event_templates.event_template_id', 'event_templates.event_name')
+                .count('* as comment_count')
+                .select(
+                    knex.raw("count(*) filter (where surveys.survey_sentiment = 'positive') as positive_count"),
+                    knex.raw("count(*) filter (where surveys.survey_sentiment = 'negative') as negative_count")
+                )
+                .groupBy('event_templates.event_template_id', 'event_templates.event_name')
+                .orderBy('event_templates.event_name'),
+            taggedSurveys()
+                .innerJoin('survey_themes', 'surveys.survey_id', '=', 'survey_themes.survey_id')
+                .select('event_templates.event_template_id', 'survey_themes.theme')
+                .count('* as mention_count')
+                .select(knex.raw("count(*) filter (where surveys.survey_sentiment = 'negative') as negative_count"))
+                .groupBy('event_templates.event_template_id', 'survey_themes.theme'),
+            knex('surveys')
+                .where(function () {
+                    this.whereNull('survey_themes_version')
+                        .orWhereNot('survey_themes_version', SURVEY_LEXICON_VERSION);
+                })
+                .count('* as count')
+                .first()
+        ]);
+
+        const newCounts = () => ({ comment_count: 0, positive_count: 0, negative_count: 0, themes: {} });
+        const addCounts = (target, row) => {
+            ['comment_count', 'positive_count', 'negative_count'].forEach(key => {
+                target[key] += parseInt(row[key], 10);
+            });
+        };
+        const addMention = (target, row) => {
+            const counts = target.themes[row.theme] || (target.themes[row.theme] = { mention_count: 0, negative_count: 0 });
+            counts.mention_count += parseInt(row.mention_count, 10);
+            counts.negative_count += parseInt(row.negative_count, 10);
+        };
+
+        // One row per program plus the total across all of them
+        const overall = newCounts();
+        const programs = totals.map(row => {
+            const program = { event_template_id: row.event_template_id, event_name: row.event_name, ...newCounts() };
+            addCounts(program, row);
+            addCounts(overall, row);
+            return program;
+        });
+        mentions.forEach(row => {
+            const program = programs.find(p => p.event_template_id === row.event_template_id);
+            if (program) addMention(program, row);
+            addMention(overall, row);
+        });
+
+        res.render('survey-themes', {
+            themes: SURVEY_THEMES,
+            lexiconLanguages: SURVEY_LEXICON_LANGUAGES,
+            filters: filters,
+            programs: programs,
+            overall: overall,
+            staleCount: parseInt(stale.count, 10),
+            error_message: req.query.error || '',
+            success_message: req.query.success || ''
+        });
+    } catch (err) {
+        console.log('Error fetching survey themes: ', err);
+        res.redirect('/manage-surveys?error=' + encodeURIComponent('Error loading the theme report. Please try again.'));
+    }
+});
+
+// Tag anything the nightly job hasn't gotten to yet (new lexicons, or surveys from before tagging existed)
+app.post('/manage-surveys/themes/tag', async (req, res) => {
+    try {
+        const tagged = await tagStaleSurveys();
+        res.redirect('/manage-surveys/themes?success=' + encodeURIComponent(`${tagged} survey(s) tagged.`));
+    } catch (err) {
+        console.log('Error tagging surveys: ', err);
+        res.redirect('/manage-surveys/themes?error=' + encodeURIComponent('Error tagging surveys. Please try again.'));
+    }
+});
+
+// ~~~~~ Survey Form Builder (Admin) ~~~~~
+/*
+ * Admins build the post-event survey forms here and pick which one is the default.
+ * Templates choose their form on the manage events page.
+ */
+app.get('/manage-survey-forms', async (req, res) => {
+    try {
+        const [forms, questionCounts, templateCounts, responseCounts] = await Promise.all([
+            knex('survey_forms').orderBy('survey_form_is_default', 'desc').orderBy('survey_form_name'),
+            knex('survey_form_questions').select('survey_form_id').count('* as count').groupBy('survey_form_id'),
+            knex('event_templates').whereNotNull('survey_form_id').select('survey_form_id').count('* as count').groupBy('survey_form_id'),
+            knex('surveys').whereNotNull('survey_form_id').select('survey_form_id').count('* as count').groupBy('survey_form_id')
+        ]);
+
+        const countFor = (rows, formId) => {
+            const row = rows.find(entry => entry.survey_form_id === formId);
+            return row ? parseInt(row.count, 10) : 0;
+        };
+        forms.forEach(form => {
+            form.question_count = countFor(questionCounts, form.survey_form_id);
+            form.template_count = countFor(templateCounts, form.survey_form_id);
+            form.response_count = countFor(responseCounts, form.survey_form_id);
+        });
+
+        res.render('manage-survey-forms', {
+            forms: forms,
+            error_message: req.query.error || '',
+            success_message: req.query.success || ''
+        });
+    } catch (err) {
+        console.log('Error fetching survey forms:', err);
+        res.render('manage-survey-forms', {
+            forms: [],
+            error_message: 'Error fetching survey forms',
+            success_message: ''
+        });
+    }
+});
+
+// Create an empty form, then carry on in the builder
+app.post('/manage-survey-forms/new', async (req, res) => {
+    const { form, errors } = parseSurveyFormSettings(req.body || {});
+
+    if (errors.length > 0) {
+        return res.redirect('/manage-survey-forms?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const [created] = await knex('survey_forms').insert(form).returning('survey_form_id');
+        res.redirect(`/manage-survey-forms/${created.survey_form_id}?success=` + encodeURIComponent('Survey form created. Add some questions below.'));
+    } catch (err) {
+        console.log('Error creating survey form:', err);
+        res.redirect('/manage-survey-forms?error=' + encodeURIComponent('Error creating the survey form. Please try again.'));
+    }
+});
+
+app.get('/manage-survey-forms/:survey_form_id', async (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+
+    try {
+        const form = await getSurveyForm(knex, survey_form_id);
+        if (!form) {
+            return res.redirect('/manage-survey-forms?error=Survey form does not exist');
+        }
+
+        const [answerCounts, templates, responses] = await Promise.all([
+            knex('survey_answers')
+                .innerJoin('survey_form_questions', 'survey_answers.question_id', '=', 'survey_form_questions.question_id')
+                .where('survey_form_questions.survey_form_id', survey_form_id)
+                .select('survey_answers.question_id')
+                .count('* as count')
+                .groupBy('survey_answers.question_id'),
+            knex('event_templates')
+                .where('survey_form_id', survey_form_id)
+                .select('event_template_id', 'event_name')
+                .orderBy('event_name'),
+            knex('surveys').where('survey_form_id', survey_form_id).count('* as count').first()
+        ]);
+
+        form.questions.forEach(question => {
+            const answered = answerCounts.find(row => row.question_id === question.question_id);
+            question.answer_count = answered ? parseInt(answered.count, 10) : 0;
+        });
+
+        res.render('survey-form-builder', {
+            form: form,
+            templates: templates,
+            responseCount: parseInt(responses.count, 10),
+            questionTypes: SURVEY_QUESTION_TYPES,
+            error_message: req.query.error || '',
+            success_message: req.query.success || ''
+        });
+    } catch (err) {
+        console.log('Error fetching survey form:', err);
+        res.redirect('/manage-survey-forms?error=' + encodeURIComponent('Error loading the survey form. Please try again.'));
+    }
+});
+
+// Name, description and scoring rules (which have to fit the scale of the question driving NPS)
+app.post('/manage-survey-forms/:survey_form_id/update', async (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+    const formUrl = `/manage-survey-forms/${survey_form_id}`;
+    const { form, errors } = parseSurveyFormSettings(req.body || {});
+
+    if (errors.length > 0) {
+        return res.redirect(formUrl + '?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const existing = await trx('survey_forms').where('survey_form_id', survey_form_id).forUpdate().first();
+            if (!existing) {
+                return { missing: true };
+            }
+
+            const npsQuestion = await trx('survey_form_questions')
+                .where({ survey_form_id: survey_form_id, question_drives_nps: true })
+                .first();
+            const problem = checkNpsThresholds(form, npsQuestion);
+            if (problem) {
+                return { error: problem };
+            }
+
+            await trx('survey_forms')
+                .where('survey_form_id', survey_form_id)
+                .update({ ...form, updated_at: new Date() });
+            return { success: 'Survey form saved.' };
+        });
+
+        if (outcome.missing) {
+            return res.redirect('/manage-survey-forms?error=Survey form does not exist');
+        }
+        const key = outcome.error ? 'error' : 'success';
+        res.redirect(formUrl + `?${key}=` + encodeURIComponent(outcome[key]));
+    } catch (err) {
+        console.log('Error updating survey form:', err);
+        res.redirect(formUrl + '?error=' + encodeURIComponent('Error saving the survey form. Please try again.'));
+    }
+});
+
+// Templates without a form of their own use the default one
+app.post('/manage-survey-forms/:survey_form_id/default', async (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const form = await trx('survey_forms').where('survey_form_id', survey_form_id).first();
+            if (!form) {
+                return { error: 'Survey form does not exist' };
+            }
+
+            await trx('survey_forms').where('survey_form_is_default', true).update({ survey_form_is_default: false });
+            await trx('survey_forms').where('survey_form_id', survey_form_id).update({ survey_form_is_default: true, updated_at: new Date() });
+            return { success: `"${form.survey_form_name}" is now the default survey form.` };
+        });
+
+        if (outcome.error) {
+            return res.redirect('/manage-survey-forms?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect('/manage-survey-forms?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        console.log('Error changing the default survey form:', err);
+        res.redirect('/manage-survey-forms?error=' + encodeURIComponent('Error changing the default survey form. Please try again.'));
+    }
+});
+
+// Forms that people have already filled in are kept, so their answers still make sense
+app.post('/manage-survey-forms/:survey_form_id/delete', async (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+
+    try {
+        const outcome = await knex.transaction(async trx => {
+            const form = await trx('survey_forms').where('survey_form_id', survey_form_id).forUpdate().first();
+            if (!form) {
+                return { error: 'Survey form does not exist' };
+            }
+            if (form.survey_form_is_default) {
+                return { error: 'The default survey form can\'t be deleted. Make another form the default first.' };
+            }
+
+            const responses = await trx('surveys').where('survey_form_id', survey_form_id).count('* as count').first();
+            if (parseInt(responses.count, 10) > 0) {
+                return { error: `"${form.survey_form_name}" already has responses, so it can't be deleted.` };
+            }
+
+            // Templates using it go back to the default form (survey_form_id is ON DELETE SET NULL)
+            await trx('survey_forms').where('survey_form_id', survey_form_id).del();
+            return { success: 'Survey form deleted.' };
+        });
+
+        if (outcome.error) {
+            return res.redirect('/manage-survey-forms?error=' + encodeURIComponent(outcome.error));
+        }
+        res.redirect('/manage-survey-forms?success=' + encodeURIComponent(outcome.success));
+    } catch (err) {
+        console.log('Error deleting survey form:', err);
+        res.redirect('/manage-survey-forms?error=' + encodeURIComponent('Error deleting the survey form. Please try again.'));
+    }
+});
+
+// Add a question to the end of the form
+app.post('/manage-survey-forms/:survey_form_id/questions', async (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+    const formUrl = `/manage-survey-forms/${survey_form_id}`;
+    const { question, errors } = parseSurveyQuestionForm(req.body || {});
+
+    if (errors.length > 0) {
+        return res.redirect(formUrl + '?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const outcome = await knex.transaction(trx => saveSurveyQuestion(trx, survey_form_id, null, question));
+        const key = outcome.error ? 'error' : 'success';
+        res.redirect(formUrl + `?${key}=` + encodeURIComponent(outcome[key]));
+    } catch (err) {
+        console.log('Error adding survey question:', err);
+        res.redirect(formUrl + '?error=' + encodeURIComponent('Error adding the question. Please try again.'));
+    }
+});
+
+app.post('/manage-survey-forms/:survey_form_id/questions/:question_id/update', async (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+    const question_id = parseInt(req.params.question_id, 10);
+    const formUrl = `/manage-survey-forms/${survey_form_id}`;
+    const { question, errors } = parseSurveyQuestionForm(req.body || {});
+
+    if (errors.length > 0) {
+        return res.redirect(formUrl + '?error=' + encodeURIComponent(errors.join(' ')));
+    }
+
+    try {
+        const outcome = await knex.transaction(trx => saveSurveyQuestion(trx, survey_form_id, question_id, question));
+        const key = outcome.error ? 'error' : 'success';
+        res.redirect(formUrl + `?${key}=` + encodeURIComponent(outcome[key]));
+    } catch (err) {
+        console.log('Error updating survey question:', err);
+        res.redirect(formUrl + '?error=' + encodeURIComponent('Error updating the question. Please try again.'));
+    }
+});
+
+// Deleting a question also deletes the answers people gave to it
+app.post('/manage-survey-forms/:survey_form_id/questions/:question_id/delete', (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+    const question_id = parseInt(req.params.question_id, 10);
+    const formUrl = `/manage-survey-forms/${survey_form_id}`;
+
+    knex('survey_form_questions')
+        .where({ question_id: question_id, survey_form_id: survey_form_id })
+        .del()
+        .then(() => {
+            res.redirect(formUrl + '?success=' + encodeURIComponent('Question deleted.'));
+        })
+        .catch(err => {
+            console.log('Error deleting survey question:', err);
+            res.redirect(formUrl + '?error=' + encodeURIComponent('Error deleting the question. Please try again.'));
+        });
+});
+
+// Swap a question with its neighbour (direction 'up' or 'down')
+app.post('/manage-survey-forms/:survey_form_id/questions/:question_id/move', async (req, res) => {
+    const survey_form_id = parseInt(req.params.survey_form_id, 10);
+    const question_id = parseInt(req.params.question_id, 10);
+    const formUrl = `/manage-survey-forms/${survey_form_id}`;
+    const direction = req.body && req.body.direction === 'up' ? -1 : 1;
+
+    try {
+        await knex.transaction(async trx => {
+            const form = await getSurveyForm(trx, survey_form_id);
+            const questions = form ? form.questions : [];
+            const index = questions.findIndex(question => question.question_id === question_id);
+            const neighbour = questions[index + direction];
+            if (index === -1 || !neighbour) return;
+
+            // Renumber 1..n in the new order, so gaps or duplicate positions get cleaned up too
+            [questions[index], questions[index + direction]] = [neighbour, questions[index]];
+            for (let position = 0; position < questions.length; position++) {
+                await trx('survey_form_questions')
+                    .where('question_id', questions[position].question_id)
+                    .update({ question_order: position + 1 });
+            }
+        });
+        res.redirect(formUrl);
+    } catch (err) {
+        console.log('Error reordering survey questions:', err);
+        res.redirect(formUrl + '?error=' + encodeURIComponent('Error reordering the questions. Please try again.'));
+    }
+});
+
 // ~~~ ~~~ ~~~ ~~~ ~~~ Participants (Admin only) ~~~ ~~~ ~~~ ~~~ ~~~ 
 app.get('/manage-participants', (req, res) => {
     // Get search query from URL
@@ -1884,19 +8621,31 @@ app.get('/manage-participants', (req, res) => {
         .then(([users, countResult]) => {
             const totalCount = parseInt(countResult.count, 10);
             const totalPages = Math.ceil(totalCount / perPage);
-
-            res.render('manage-participants', {
-                user: users,
-                currentPage: page,
-                totalPages,
-                totalCount,
-                searchQuery: searchQuery,
-                error_message: ""
-            })
+            const userIds = users.map(usr => usr.user_id);
+            const since = new Date(Date.now() - NO_SHOW_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+            // Attendance over all time, plus the recent no-shows the reliability policy looks at
+            return Promise.all([getAttendanceStats(knex, userIds), getAttendanceStats(knex, userIds, since)])
+                .then(([attendance, recentAttendance]) => {
+                    res.render('manage-participants', {
+                        user: users,
+                        attendance: attendance,
+                        recentAttendance: recentAttendance,
+                        noShowLimit: NO_SHOW_LIMIT,
+                        currentPage: page,
+                        totalPages,
+                        totalCount,
+                        searchQuery: searchQuery,
+                        error_message: ""
+                    });
+                });
         }).catch(err => {
             console.log('Error fetching users: ', err);
             res.render('manage-participants', {
                 user: [],
+                attendance: {},
+                recentAttendance: {},
+                noShowLimit: NO_SHOW_LIMIT,
                 searchQuery: searchQuery,
                 error_message: 'Error fetching users.'
             });
@@ -1966,15 +8715,26 @@ app.get('/dashboard', (req, res) => {
             return null;
         });
 
+    // Registration requests waiting in the approval queue
+    const pendingApprovalsQuery = knex('registration')
+        .where('registration_status', REGISTRATION_STATUS.PENDING)
+        .count('* as count')
+        .first()
+        .then(result => parseInt(result.count, 10))
+        .catch(err => {
+            console.log('Error fetching pending approvals: ', err);
+            return 0;
+        });
+
     // ===== PARTICIPANT KPIs =====
     // These queries fetch stats specific to the logged-in user
     
     // 1. Upcoming Reservations: events they're registered for that haven't happened yet
-    //    (registration_status = NULL means pending/confirmed, vs cancelled)
+    //    (only 'registered' - not cancelled or still on a waitlist)
     const upcomingReservationsQuery = knex('registration')
         .join('event_occurrences', 'registration.event_occurrence_id', '=', 'event_occurrences.event_occurrence_id')
         .where('registration.user_id', currentUserId)
-        .whereNull('registration.registration_status')
+        .where('registration.registration_status', REGISTRATION_STATUS.REGISTERED)
         .where('event_occurrences.event_date_time_start', '>=', currentDate)
         .count('* as count')
         .first()
@@ -2017,11 +8777,12 @@ app.get('/dashboard', (req, res) => {
         upcomingEventQuery, 
         totalParticipantsQuery,
         upcomingEventsCountQuery,
+        pendingApprovalsQuery,
         upcomingReservationsQuery,
         milestonesCompletedQuery,
         surveysPendingQuery
     ])
-        .then(([totalDonations, upcomingEvent, totalParticipants, upcomingEvents, upcomingReservations, milestonesCompleted, surveysPending]) => {
+        .then(([totalDonations, upcomingEvent, totalParticipants, upcomingEvents, pendingApprovals, upcomingReservations, milestonesCompleted, surveysPending]) => {
             res.render('dashboard', {
                 error_message: "",
                 // Admin KPIs
@@ -2029,6 +8790,7 @@ app.get('/dashboard', (req, res) => {
                 upcomingEvent: upcomingEvent,
                 totalParticipants: totalParticipants,
                 upcomingEvents: upcomingEvents,
+                pendingApprovals: pendingApprovals,
                 // Participant KPIs
                 upcomingReservations: upcomingReservations,
                 milestonesCompleted: milestonesCompleted,
@@ -2043,6 +8805,7 @@ app.get('/dashboard', (req, res) => {
                 upcomingEvent: null,
                 totalParticipants: null,
                 upcomingEvents: null,
+                pendingApprovals: null,
                 upcomingReservations: null,
                 milestonesCompleted: null,
                 surveysPending: null
@@ -2378,7 +9141,7 @@ app.post('/login', async (req, res) => {
         // This data becomes available as req.session.* in all future requests
         req.session.isLoggedIn = true;
         req.session.email = user.user_email;
-        req.session.level = user.user_role; // 'admin' or 'participant'
+        req.session.level = user.user_role; // 'admin', 'instructor' or 'participant'
         req.session.first_name = user.user_first_name;
         req.session.last_name = user.user_last_name;
         req.session.user_id = user.user_id;
@@ -2723,4 +9486,6 @@ app.post('/account-info', async (req, res) => {
  */
 app.listen(port, () => {
     console.log(`🚀 Ella Rises server is running at http://localhost:${port}`);
+    scheduleNightly('nightly attendance job', runNightlyAttendanceJob);
+    scheduleNightly('nightly survey theme job', runNightlySurveyThemeJob);
 });
\ No newline at end of file